@@ -1,7 +1,7 @@
 /**
  * djs-forge — Complete example bot
  *
- * Shows: InteractionRouter, Paginator, CooldownManager,
+ * Shows: InteractionRouter, CommandSync, Paginator, CooldownManager,
  *        ConfirmationManager, WebhookManager, EmbedPresets, Timestamp, Perms
  */
 
@@ -9,7 +9,6 @@ import {
   Client,
   GatewayIntentBits,
   EmbedBuilder,
-  Routes,
 } from 'discord.js';
 
 import { DjsForge, EmbedPresets, Timestamp, Perms, Strings } from 'djs-forge';
@@ -23,14 +22,6 @@ const client = new Client({
 const forge   = new DjsForge(client);
 const confirm = new ConfirmationManager({ timeout: 20_000 });
 
-// ─── Register slash commands (run once) ──────────────────────────────────────
-
-const commands = [
-  { name: 'pages',   description: 'Demo the paginator' },
-  { name: 'ban',     description: 'Ban a user (with cooldown + confirmation)' },
-  { name: 'info',    description: 'Server info with Timestamp utils' },
-];
-
 // ─── Interaction Router ───────────────────────────────────────────────────────
 // No more  if (i.customId === 'x') else if (i.customId === 'y')
 
@@ -58,20 +49,11 @@ forge.router
     });
   })
 
-  // Fallback
-  .fallback(async (interaction) => {
-    await interaction.reply({ content: '❓ Unknown action.', ephemeral: true });
-  })
+  // ─── Slash commands ───────────────────────────────────────────────────────
+  // No more  if (interaction.commandName === 'x') else if ...
 
-  .attach(client);
-
-// ─── Command Handler ──────────────────────────────────────────────────────────
-
-client.on('interactionCreate', async (interaction) => {
-  if (!interaction.isChatInputCommand()) return;
-
-  // ── /pages — Paginator demo ──
-  if (interaction.commandName === 'pages') {
+  // /pages — Paginator demo
+  .command('pages', { data: { name: 'pages', description: 'Demo the paginator' } }, async (interaction) => {
     const pages = Array.from({ length: 8 }, (_, i) => ({
       embeds: [
         new EmbedBuilder()
@@ -83,11 +65,10 @@ client.on('interactionCreate', async (interaction) => {
     }));
 
     await new Paginator(pages, { showPageCount: true, timeout: 60_000 }).reply(interaction);
-    return;
-  }
+  })
 
-  // ── /ban — Cooldown + Confirmation + Permission check ──
-  if (interaction.commandName === 'ban') {
+  // /ban — Cooldown + Confirmation + Permission check
+  .command('ban', { data: { name: 'ban', description: 'Ban a user (with cooldown + confirmation)' } }, async (interaction) => {
     // Permission check
     if (!Perms.botHas(interaction, ['BanMembers'])) {
       return interaction.reply({
@@ -97,14 +78,14 @@ client.on('interactionCreate', async (interaction) => {
     }
 
     // Cooldown: 30 seconds per user
-    const cd = forge.cooldowns.check('ban', interaction.user.id, 30_000);
+    const cd = await forge.cooldowns.check('ban', interaction.user.id, 30_000);
     if (cd.onCooldown) {
       return interaction.reply({
         embeds: [EmbedPresets.warning('On Cooldown', `Please wait **${cd.remainingText}** before using this again.`)],
         ephemeral: true,
       });
     }
-    forge.cooldowns.set('ban', interaction.user.id, 30_000);
+    await forge.cooldowns.set('ban', interaction.user.id, 30_000);
 
     // Confirmation
     let confirmed;
@@ -122,11 +103,10 @@ client.on('interactionCreate', async (interaction) => {
       embeds: [EmbedPresets.success('User Banned', 'The user has been banned.')],
       components: [],
     });
-    return;
-  }
+  })
 
-  // ── /info — Timestamp utils ──
-  if (interaction.commandName === 'info') {
+  // /info — Timestamp utils
+  .command('info', { data: { name: 'info', description: 'Server info with Timestamp utils' } }, async (interaction) => {
     const guild = interaction.guild;
     await interaction.reply({
       embeds: [
@@ -140,13 +120,23 @@ client.on('interactionCreate', async (interaction) => {
           ),
       ],
     });
-  }
-});
+  })
+
+  // Fallback
+  .fallback(async (interaction) => {
+    await interaction.reply({ content: '❓ Unknown action.', ephemeral: true });
+  })
+
+  .attach(client);
 
 // ─── Login ────────────────────────────────────────────────────────────────────
 
-client.once('ready', () => {
+client.once('ready', async () => {
   console.log(`✅ Logged in as ${client.user.tag}`);
+
+  // Deploy the router's commands — only what changed since the last start
+  const diff = await forge.commands.deploy(forge.router);
+  console.log(`Commands: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed`);
 });
 
 client.login(process.env.DISCORD_TOKEN);
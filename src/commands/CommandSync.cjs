@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./CommandSync.mjs');
+module.exports = mod;
@@ -0,0 +1,295 @@
+import { ForgeRest } from '../rest/ForgeRest.mjs';
+import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+
+// Fields Discord adds to every command it returns
+const SERVER_FIELDS = new Set(['id', 'application_id', 'guild_id', 'version', 'default_permission']);
+
+// Only compared when the local definition sets them — their server-side defaults vary
+const LOCAL_ONLY_FIELDS = ['dm_permission', 'contexts', 'integration_types', 'handler'];
+
+// Display-only fields Discord may add to commands and options
+const LOCALIZED_FIELDS = new Set(['name_localized', 'description_localized']);
+
+const TYPE_LABEL = { 1: '/', 2: 'user:', 3: 'message:', 4: 'entry:' };
+
+/**
+ * CommandSync — Deploy application commands, touching only what changed.
+ *
+ * Fetches the commands currently deployed (globally or to one guild), compares
+ * them structurally with your definitions, then creates, edits and deletes
+ * just the commands that differ. Unchanged commands are never re-sent, so
+ * deploying on every start-up costs one GET.
+ *
+ * @example
+ * import { CommandSync } from 'djs-forge/commands';
+ *
+ * const sync = new CommandSync(client);
+ *
+ * client.once('ready', async () => {
+ *   // Preview: prints the diff, changes nothing
+ *   await sync.deploy(forge.router, { guildId: DEV_GUILD, dryRun: true });
+ *
+ *   const diff = await sync.deploy(forge.router);
+ *   console.log(`${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed`);
+ * });
+ */
+export class CommandSync {
+  /**
+   * @param {import('discord.js').Client} client
+   * @param {{ applicationId?: string, logger?: (line: string) => void }} [options]
+   */
+  constructor(client, options = {}) {
+    this._client        = client;
+    this._rest          = new ForgeRest(client);
+    this._applicationId = options.applicationId ?? null;
+    this._logger        = options.logger ?? console.log;
+  }
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Compare local definitions with the deployed commands without changing anything.
+   * @param {CommandSource} commands
+   * @param {DeployOptions} [options]
+   * @returns {Promise<CommandDiff>}
+   */
+  async diff(commands, options = {}) {
+    const local    = toDefinitions(commands);
+    const deployed = await this.fetch(options);
+    return diffCommands(local, deployed, options.prune ?? true);
+  }
+
+  /**
+   * Deploy commands, issuing only the requests needed to match `commands`.
+   * @param {CommandSource} commands   A router (its `definitions()` are used) or an array of builders / JSON
+   * @param {DeployOptions} [options]
+   * @returns {Promise<CommandDiff>}
+   */
+  async deploy(commands, options = {}) {
+    const local    = toDefinitions(commands);
+    const deployed = await this.fetch(options);
+    const diff     = diffCommands(local, deployed, options.prune ?? true);
+
+    if (options.dryRun) {
+      this._logger(CommandSync.format(diff, options.guildId));
+      return diff;
+    }
+
+    const base = this._basePath(options.guildId);
+
+    // Nothing deployed yet — one bulk overwrite instead of a POST per command
+    if (!deployed.length && diff.added.length) {
+      await this._rest.request('PUT', base, { body: local });
+      return diff;
+    }
+
+    for (const command of diff.added) {
+      await this._rest.request('POST', base, { body: command });
+    }
+    for (const { id, command } of diff.changed) {
+      await this._rest.request('PATCH', `${base}/${id}`, { body: command });
+    }
+    for (const { id } of diff.removed) {
+      await this._rest.request('DELETE', `${base}/${id}`);
+    }
+    return diff;
+  }
+
+  /**
+   * Fetch the deployed commands.
+   * @param {{ guildId?: string }} [options]
+   * @returns {Promise<object[]>}
+   */
+  async fetch(options = {}) {
+    return this._rest.request('GET', this._basePath(options.guildId), {
+      query: { with_localizations: 'true' },
+    });
+  }
+
+  /**
+   * Render a diff as readable text, as printed by dry runs.
+   * @param {CommandDiff} diff
+   * @param {string} [guildId]
+   * @returns {string}
+   */
+  static format(diff, guildId) {
+    const scope = guildId ? `guild ${guildId}` : 'global';
+    if (!diff.added.length && !diff.changed.length && !diff.removed.length) {
+      return `Commands (${scope}): up to date, ${diff.unchanged.length} unchanged`;
+    }
+
+    const lines = [`Commands (${scope}):`];
+    for (const command of diff.added) lines.push(`  + ${label(command)}`);
+    for (const { command, changes } of diff.changed) {
+      lines.push(`  ~ ${label(command)}`);
+      for (const change of changes) {
+        lines.push(`      ${change.path}: ${show(change.before)} → ${show(change.after)}`);
+      }
+    }
+    for (const { command } of diff.removed) lines.push(`  - ${label(command)}`);
+    lines.push(`  ${diff.unchanged.length} unchanged`);
+    return lines.join('\n');
+  }
+
+  // ─── Internals ─────────────────────────────────────────────────────────────
+
+  _basePath(guildId) {
+    const appId = this._applicationId ?? this._client.application?.id;
+    if (!appId) {
+      throw new ForgeError(ForgeErrorCode.CLIENT_NOT_READY, 'Application ID not available yet. Wait for ready or pass applicationId');
+    }
+    return guildId
+      ? `/applications/${appId}/guilds/${guildId}/commands`
+      : `/applications/${appId}/commands`;
+  }
+}
+
+// ─── Diffing ─────────────────────────────────────────────────────────────────
+
+function toDefinitions(commands) {
+  const list = typeof commands?.definitions === 'function' ? commands.definitions() : commands;
+  if (!Array.isArray(list)) {
+    throw new ForgeError(ForgeErrorCode.INVALID_FORM_BODY, 'Pass an InteractionRouter or an array of command definitions');
+  }
+  return list.map(command => structuredClone(command?.toJSON?.() ?? command));
+}
+
+function keyOf(command) {
+  return `${command.type ?? 1}:${command.name}`;
+}
+
+function diffCommands(local, deployed, removeMissing) {
+  const remote = new Map(deployed.map(command => [keyOf(command), command]));
+  const diff   = { added: [], changed: [], removed: [], unchanged: [] };
+
+  for (const command of local) {
+    const existing = remote.get(keyOf(command));
+    remote.delete(keyOf(command));
+
+    if (!existing) {
+      diff.added.push(command);
+      continue;
+    }
+
+    const changes = [];
+    compare(normalise(existing, command), normalise(command, command), '', changes);
+    if (changes.length) diff.changed.push({ id: existing.id, command, changes });
+    else diff.unchanged.push({ id: existing.id, command });
+  }
+
+  if (removeMissing) {
+    for (const command of remote.values()) diff.removed.push({ id: command.id, command });
+  }
+  return diff;
+}
+
+/**
+ * Strip server-only fields and empty values so that a command returned by
+ * Discord and the definition it was created from compare equal.
+ */
+function normalise(command, local) {
+  const out = { ...command, type: command.type ?? 1 };
+  for (const field of SERVER_FIELDS) delete out[field];
+  for (const field of LOCAL_ONLY_FIELDS) if (local[field] === undefined) delete out[field];
+  return prune(out);
+}
+
+function prune(value) {
+  if (Array.isArray(value)) return value.map(prune);
+  if (!value || typeof value !== 'object') return value;
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    // Discord omits falsy flags and empty collections, builders often send them
+    if (v === undefined || v === null || v === false || v === '' || LOCALIZED_FIELDS.has(key)) continue;
+    if (Array.isArray(v) && !v.length) continue;
+    if (typeof v === 'object' && !Array.isArray(v) && !Object.keys(v).length) continue;
+    out[key] = prune(v);
+  }
+  return out;
+}
+
+function compare(before, after, path, changes) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const key of keys) {
+    const a = before[key];
+    const b = after[key];
+    const at = path ? `${path}.${key}` : key;
+
+    if (key === 'options' && (Array.isArray(a) || Array.isArray(b))) {
+      compareOptions(a ?? [], b ?? [], path, changes);
+    } else if (isPlainObject(a) && isPlainObject(b)) {
+      compare(a, b, at, changes);
+    } else if (!equal(a, b)) {
+      changes.push({ path: at, before: a, after: b });
+    }
+  }
+}
+
+/** Options are matched by name so a change reads "options.reason.required", not "options.2.required". */
+function compareOptions(before, after, path, changes) {
+  const prefix = path ? `${path}.options` : 'options';
+  const old    = new Map(before.map(option => [option.name, option]));
+
+  for (const option of after) {
+    const existing = old.get(option.name);
+    if (existing) compare(existing, option, `${prefix}.${option.name}`, changes);
+    else changes.push({ path: `${prefix}.${option.name}`, before: undefined, after: option });
+  }
+  for (const option of before) {
+    if (!after.some(o => o.name === option.name)) {
+      changes.push({ path: `${prefix}.${option.name}`, before: option, after: undefined });
+    }
+  }
+
+  // Same options in a different order still changes how Discord shows them
+  const oldOrder = before.map(o => o.name).filter(name => after.some(o => o.name === name));
+  const newOrder = after.map(o => o.name).filter(name => old.has(name));
+  if (!equal(oldOrder, newOrder)) changes.push({ path: `${prefix}[order]`, before: oldOrder, after: newOrder });
+}
+
+function equal(a, b) {
+  return canonical(a) === canonical(b);
+}
+
+/** JSON with sorted keys — Discord does not preserve the key order it was sent. */
+function canonical(value) {
+  return JSON.stringify(value, (_, v) => isPlainObject(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]]))
+    : v);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function label(command) {
+  return `${TYPE_LABEL[command.type ?? 1] ?? ''}${command.name}`;
+}
+
+function show(value) {
+  if (value === undefined) return '∅';
+  if (isPlainObject(value) && value.name) return `{ ${value.name} }`;
+  return JSON.stringify(value);
+}
+
+/**
+ * @typedef {import('../routing/InteractionRouter.mjs').InteractionRouter | Array<object>} CommandSource
+ *
+ * @typedef {object} DeployOptions
+ * @property {string}  [guildId]     Deploy to one guild instead of globally
+ * @property {boolean} [dryRun=false] Print the diff and make no changes
+ * @property {boolean} [prune=true]  Delete deployed commands that are no longer defined
+ *
+ * @typedef {object} CommandChange
+ * @property {string} path    e.g. "description" or "options.ban.options.reason.required"
+ * @property {any}    before  Deployed value (undefined when added)
+ * @property {any}    after   Local value (undefined when removed)
+ *
+ * @typedef {object} CommandDiff
+ * @property {object[]} added
+ * @property {Array<{ id: string, command: object, changes: CommandChange[] }>} changed
+ * @property {Array<{ id: string, command: object }>} removed
+ * @property {Array<{ id: string, command: object }>} unchanged
+ */
@@ -2,20 +2,39 @@ import {
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
-  ComponentType,
+  ModalBuilder,
+  StringSelectMenuBuilder,
+  TextInputBuilder,
+  TextInputStyle,
 } from 'discord.js';
+import { randomBytes } from 'node:crypto';
 import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+import { CustomIdCodec } from '../routing/CustomIdCodec.mjs';
+import { MemoryStore } from '../stores/MemoryStore.mjs';
+import { Perms } from '../utils/index.mjs';
 
 const DEFAULT_ID = {
   CONFIRM: 'forge_confirm_yes',
   CANCEL:  'forge_confirm_no',
+  CHOICE:  'forge_choice',
+  APPROVE: 'forge_approve_yes',
+  DENY:    'forge_approve_no',
 };
 
+const MAX_ROW_BUTTONS = 5;
+const MAX_CHOICES     = 25;
+const MAX_MODAL_TITLE = 45;
+
+// Persistent confirmations encode their state key and the choice in the customId
+const CONFIRM_ROUTE = new CustomIdCodec('forge_confirm', { id: 'string', choice: ['yes', 'no'] });
+
 /**
  * ConfirmationManager — await a yes/no confirmation from the user.
  *
  * Sends a message with Confirm / Cancel buttons and resolves with the result.
- * The message is automatically updated after the user responds.
+ * The message is automatically updated after the user responds. `choose()`
+ * offers several choices instead, and `approve()` waits for a quorum of
+ * approvers rather than the invoking user.
  *
  * @example
  * import { ConfirmationManager } from 'djs-forge/confirmations';
@@ -30,6 +49,48 @@ const DEFAULT_ID = {
  * if (!confirmed) return interaction.editReply({ content: 'Cancelled.' });
  *
  * // ... proceed
+ *
+ * // Never throws: a status, and the click to answer yourself
+ * const { status, interaction: click } = await confirm.prompt(interaction, {
+ *   content:     'Restart the server?',
+ *   updateReply: false,
+ *   signal:      controller.signal,   // abort when the command is superseded
+ * });
+ * if (status === 'confirmed') await click.update({ content: 'Restarting…', components: [] });
+ *
+ * // Destructive: type the channel name in a modal, and the button only works after 5s
+ * await confirm.ask(interaction, {
+ *   content:   `Type **${channel.name}** to purge it.`,
+ *   phrase:    channel.name,
+ *   countdown: 5_000,
+ * });
+ *
+ * // Persistent: a named handler runs on click, even after a restart
+ * confirm.persist(forge.router, { store: redisStore });
+ * confirm.register('purge', async (interaction, { confirmed, data }) => {
+ *   if (confirmed) await purge(data.channelId);
+ * });
+ *
+ * await confirm.ask(interaction, {
+ *   content: 'Purge this channel?',
+ *   handler: 'purge',
+ *   data:    { channelId: interaction.channelId },
+ *   timeout: 86_400_000,
+ * });
+ *
+ * // Several choices: buttons up to 5, a select menu beyond
+ * const action = await confirm.choose(interaction, {
+ *   content: 'What should happen to this message?',
+ *   choices: [{ label: 'Warn', value: 'warn' }, { label: 'Delete', value: 'delete', style: ButtonStyle.Danger }],
+ * });
+ *
+ * // Quorum: 2 of the admins must approve, live "approved by" progress on the message
+ * const { approved, approvedBy } = await confirm.approve(interaction, {
+ *   content:   `Ban ${user}?`,
+ *   approvers: { roles: [ADMIN_ROLE] },
+ *   required:  2,
+ *   timeout:   600_000,
+ * });
  */
 export class ConfirmationManager {
   /**
@@ -46,92 +107,537 @@ export class ConfirmationManager {
       confirmedText:  defaults.confirmedText  ?? '✅ Confirmed.',
       cancelledText:  defaults.cancelledText  ?? '❌ Cancelled.',
       timedOutText:   defaults.timedOutText   ?? '⏳ Timed out.',
+      abortedText:    defaults.abortedText    ?? '⏹️ No longer needed.',
+      phraseLabel:    defaults.phraseLabel    ?? 'Type the phrase to confirm',
+      mismatchText:   defaults.mismatchText   ?? '❌ That does not match, nothing was done.',
       updateReply:    defaults.updateReply    !== false,
     };
+
+    this._store    = null;
+    /** @type {Set<import('../routing/InteractionRouter.mjs').InteractionRouter>} */
+    this._routers  = new Set();
+    /** @type {Map<string, Function>} */
+    this._handlers = new Map();
   }
 
   // ─── Public API ────────────────────────────────────────────────────────────
 
+  /**
+   * Handle the buttons of persistent confirmations through `router`. Call it
+   * once at start-up, together with `register()` for every handler name.
+   * Calling it again keeps the store unless a new one is given, and routes
+   * each router only once.
+   * @param {import('../routing/InteractionRouter.mjs').InteractionRouter} router
+   * @param {{ store?: import('../stores/MemoryStore.mjs').ForgeStore }} [options]
+   * @returns {this}
+   */
+  persist(router, options = {}) {
+    this._store = options.store ?? this._store ?? new MemoryStore();
+    if (this._routers.has(router)) return this;
+
+    this._routers.add(router);
+    router.on(CONFIRM_ROUTE, (interaction, params) => this._handlePersistent(interaction, params));
+    return this;
+  }
+
+  /**
+   * Register the handler a persistent confirmation runs when answered.
+   * @param {string}   name
+   * @param {(interaction: import('discord.js').ButtonInteraction, result: { confirmed: boolean, data: any }) => any} handler
+   * @returns {this}
+   */
+  register(name, handler) {
+    if (typeof handler !== 'function') {
+      throw new ForgeError(ForgeErrorCode.ROUTER_INVALID_PATTERN, 'Handler must be a function');
+    }
+    this._handlers.set(name, handler);
+    return this;
+  }
+
   /**
    * Ask for a confirmation via an interaction reply.
    * Resolves `true` on confirm, `false` on cancel.
    * Throws `ForgeError(CONFIRMATION_TIMED_OUT)` on timeout.
    *
+   * Rejects with the signal's reason when `signal` aborts.
+   *
+   * For destructive actions, `phrase` makes Confirm open a modal where the
+   * phrase must be typed, and `countdown` keeps Confirm disabled, counting
+   * down on its label, for that many ms.
+   *
+   * With `handler` set the confirmation is persistent: the answer goes to the
+   * registered handler instead, and this resolves as soon as the prompt is sent.
+   *
    * @param {import('discord.js').RepliableInteraction} interaction
    * @param {ConfirmationAskOptions} [options]
-   * @returns {Promise<boolean>}
+   * @returns {Promise<boolean|undefined>}  The answer; undefined for a persistent
+   *   confirmation, whose answer goes to its handler
    */
   async ask(interaction, options = {}) {
     const opts = { ...this._defaults, ...options };
+    checkSafeguards(opts);
+    if (opts.handler !== undefined) return this._askPersistent(interaction, opts);
 
-    const nonce   = `${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
-    const yesId   = `${DEFAULT_ID.CONFIRM}_${nonce}`;
-    const noId    = `${DEFAULT_ID.CANCEL}_${nonce}`;
-
-    const row = new ActionRowBuilder().addComponents(
-      new ButtonBuilder()
-        .setCustomId(yesId)
-        .setLabel(opts.confirmLabel)
-        .setStyle(opts.confirmStyle),
-      new ButtonBuilder()
-        .setCustomId(noId)
-        .setLabel(opts.cancelLabel)
-        .setStyle(opts.cancelStyle),
+    const { status } = await this._prompt(interaction, opts, true);
+    if (status === 'timeout') throw new ForgeError(ForgeErrorCode.CONFIRMATION_TIMED_OUT);
+    if (status === 'aborted') throw opts.signal.reason;
+    return status === 'confirmed';
+  }
+
+  /**
+   * Like `ask()`, but never throws for the outcome: resolves with its
+   * `status`, who answered and the button interaction.
+   *
+   * With `updateReply: false` the button interaction is handed back
+   * unacknowledged, so you can `update()` or `reply()` to it yourself —
+   * within Discord's 3 seconds. Otherwise the message is edited as in `ask()`.
+   * With `phrase`, a confirmation hands back the modal submit instead.
+   *
+   * @param {import('discord.js').RepliableInteraction} interaction
+   * @param {ConfirmationAskOptions} [options]
+   * @returns {Promise<ConfirmationResult>}
+   */
+  async prompt(interaction, options = {}) {
+    const opts = { ...this._defaults, ...options };
+    if (opts.handler !== undefined) {
+      throw new ForgeError(ForgeErrorCode.CONFIRMATION_INVALID_OPTIONS, 'Persistent confirmations answer through their handler; use ask()');
+    }
+    checkSafeguards(opts);
+    return this._prompt(interaction, opts, opts.updateReply);
+  }
+
+  /**
+   * Offer several choices and resolve with the `value` of the one picked.
+   * Up to 5 choices are shown as buttons and more (up to 25) as a select
+   * menu; `menu` forces either. Only the invoking user can answer.
+   * Throws `ForgeError(CONFIRMATION_TIMED_OUT)` on timeout.
+   * `phrase` and `countdown` are not supported and throw CONFIRMATION_INVALID_OPTIONS.
+   *
+   * @param {import('discord.js').RepliableInteraction} interaction
+   * @param {ChoiceAskOptions} options
+   * @returns {Promise<string>}
+   */
+  async choose(interaction, options) {
+    const opts    = { ...this._defaults, ...options };
+    const choices = normalizeChoices(opts.choices);
+    const id      = `${DEFAULT_ID.CHOICE}_${nonce()}`;
+    const menu    = opts.menu ?? choices.length > MAX_ROW_BUTTONS;
+    rejectSafeguards(opts, 'choose()');
+    opts.signal?.throwIfAborted();
+
+    // Components carry the index, so values may be any string
+    const rows = menu
+      ? [new ActionRowBuilder().addComponents(
+          new StringSelectMenuBuilder()
+            .setCustomId(id)
+            .setPlaceholder(opts.placeholder ?? 'Choose…')
+            .addOptions(choices.map((choice, i) => ({
+              label:       choice.label,
+              value:       String(i),
+              description: choice.description,
+              emoji:       choice.emoji,
+            }))),
+        )]
+      : chunk(choices.map((choice, i) => {
+          const button = new ButtonBuilder()
+            .setCustomId(`${id}_${i}`)
+            .setLabel(choice.label)
+            .setStyle(choice.style ?? ButtonStyle.Secondary);
+          if (choice.emoji) button.setEmoji(choice.emoji);
+          return button;
+        }), MAX_ROW_BUTTONS).map(buttons => new ActionRowBuilder().addComponents(buttons));
+
+    const message = await this._reply(interaction, opts, rows);
+    const { status, answer } = await this._collect(
+      message, interaction, opts,
+      menu ? [id] : choices.map((_, i) => `${id}_${i}`),
     );
+    if (status === 'timeout') throw new ForgeError(ForgeErrorCode.CONFIRMATION_TIMED_OUT);
+    if (status === 'aborted') throw opts.signal.reason;
+
+    const choice  = choices[Number(menu ? answer.values[0] : answer.customId.slice(id.length + 1))];
+
+    if (opts.updateReply) {
+      const text = typeof opts.chosenText === 'function' ? opts.chosenText(choice) : opts.chosenText ?? `✅ ${choice.label}`;
+      await message.edit({ content: text, embeds: [], components: [] }).catch(() => {});
+    }
+
+    return choice.value;
+  }
+
+  /**
+   * Wait until enough approvers approve. Anyone listed in `approvers.users`
+   * or holding one of `approvers.roles` can vote once; the message shows who
+   * approved so far. Resolves `approved: false` as soon as the quorum can no
+   * longer be reached — with roles, once as many deny as need to approve.
+   * Throws `ForgeError(CONFIRMATION_TIMED_OUT)` on timeout.
+   * `phrase` and `countdown` are not supported and throw CONFIRMATION_INVALID_OPTIONS.
+   *
+   * The prompt is public unless `ephemeral` is set, so the approvers can see it.
+   *
+   * @param {import('discord.js').RepliableInteraction} interaction
+   * @param {ApprovalAskOptions} options
+   * @returns {Promise<ApprovalResult>}
+   */
+  async approve(interaction, options) {
+    const opts = { ...this._defaults, ephemeral: false, ...options };
+    const { users = [], roles = [] } = opts.approvers ?? {};
+    if (!users.length && !roles.length) {
+      throw new ForgeError(ForgeErrorCode.CONFIRMATION_INVALID_OPTIONS, 'Pass approvers: { users, roles }');
+    }
+
+    const required = opts.required ?? (roles.length ? 1 : users.length);
+    if (!Number.isInteger(required) || required < 1 || (!roles.length && required > users.length)) {
+      throw new ForgeError(ForgeErrorCode.CONFIRMATION_INVALID_OPTIONS, `Cannot require ${required} approvals from ${users.length} users`);
+    }
+    const deniedAt = roles.length ? required : users.length - required + 1;
+    rejectSafeguards(opts, 'approve()');
+    opts.signal?.throwIfAborted();
+
+    const id    = nonce();
+    const yesId = `${DEFAULT_ID.APPROVE}_${id}`;
+    const noId  = `${DEFAULT_ID.DENY}_${id}`;
+    const approvedBy = [];
+    const deniedBy   = [];
+    const withProgress = (text) => [text, progressText(approvedBy, deniedBy, required)].filter(Boolean).join('\n\n');
+
+    const message = await this._send(interaction, {
+      ...opts,
+      confirmLabel: opts.approveLabel ?? 'Approve',
+      confirmStyle: opts.approveStyle ?? ButtonStyle.Success,
+      cancelLabel:  opts.denyLabel    ?? 'Deny',
+      cancelStyle:  opts.denyStyle    ?? ButtonStyle.Danger,
+      content:      withProgress(opts.content),
+    }, yesId, noId);
+
+    return new Promise((resolve, reject) => {
+      const collector = message.createMessageComponentCollector({
+        time:   opts.timeout,
+        filter: (i) => i.customId === yesId || i.customId === noId,
+      });
+      const abort = () => collector.stop('aborted');
+
+      collector.on('collect', async (vote) => {
+        const userId = vote.user.id;
+        if (!users.includes(userId) && !Perms.hasRole(vote, roles)) {
+          return vote.reply({ content: '❌ You are not one of the approvers.', ephemeral: true }).catch(() => {});
+        }
+        if (approvedBy.includes(userId) || deniedBy.includes(userId)) {
+          return vote.reply({ content: 'You already voted.', ephemeral: true }).catch(() => {});
+        }
+
+        (vote.customId === yesId ? approvedBy : deniedBy).push(userId);
+        const approved = approvedBy.length >= required;
+        if (!approved && deniedBy.length < deniedAt) {
+          return vote.update({ content: withProgress(opts.content) }).catch(() => {});
+        }
+
+        collector.stop('decided');
+        if (opts.updateReply) {
+          await vote.update({
+            content:    withProgress(approved ? opts.confirmedText : opts.cancelledText),
+            embeds:     [],
+            components: [],
+          }).catch(() => {});
+        } else {
+          await vote.deferUpdate().catch(() => {});
+        }
+        resolve({ approved, approvedBy: [...approvedBy], deniedBy: [...deniedBy] });
+      });
+
+      collector.on('end', async (_, reason) => {
+        opts.signal?.removeEventListener('abort', abort);
+        if (reason === 'decided') return;
+
+        const aborted = reason === 'aborted';
+        if (opts.updateReply) {
+          await message.edit({
+            content: withProgress(aborted ? opts.abortedText : opts.timedOutText), embeds: [], components: [],
+          }).catch(() => {});
+        }
+        reject(aborted ? opts.signal.reason : new ForgeError(ForgeErrorCode.CONFIRMATION_TIMED_OUT));
+      });
+
+      opts.signal?.addEventListener('abort', abort, { once: true });
+      if (opts.signal?.aborted) abort();   // fired while the prompt was being sent
+    });
+  }
+
+  // ─── Internals ─────────────────────────────────────────────────────────────
+
+  async _send(interaction, opts, yesId, noId) {
+    const row = confirmRow(opts, yesId, noId, Math.ceil((opts.countdown ?? 0) / 1_000));
+    return this._reply(interaction, opts, [row]);
+  }
 
+  async _reply(interaction, opts, rows) {
     const payload = {
       content:    opts.content    ?? undefined,
       embeds:     opts.embeds     ?? [],
-      components: [...(opts.components ?? []), row],
+      components: [...(opts.components ?? []), ...rows],
       ephemeral:  opts.ephemeral,
       fetchReply: true,
     };
 
-    const message = await (interaction.deferred || interaction.replied
+    return interaction.deferred || interaction.replied
       ? interaction.editReply(payload)
-      : interaction.reply(payload));
+      : interaction.reply(payload);
+  }
 
-    return new Promise((resolve, reject) => {
+  /** Shared by `ask()` and `prompt()`; `defer` acknowledges the click for the caller. */
+  async _prompt(interaction, opts, defer) {
+    if (opts.signal?.aborted) return { status: 'aborted', by: null, interaction: null };
+
+    const id       = nonce();
+    const yesId    = `${DEFAULT_ID.CONFIRM}_${id}`;
+    const noId     = `${DEFAULT_ID.CANCEL}_${id}`;
+    const deadline = Date.now() + opts.timeout;
+    const typed    = opts.phrase !== undefined;
+
+    const message = await this._send(interaction, opts, yesId, noId);
+    const stopCountdown = opts.countdown ? this._countdown(interaction, opts, yesId, noId) : async () => {};
+
+    // A wrong or abandoned phrase leaves the prompt open until the deadline
+    for (;;) {
+      const remaining = { ...opts, timeout: Math.max(1, deadline - Date.now()) };
+      // showModal() has to be the first response to the click
+      const { status, answer } = await this._collect(message, interaction, remaining, [yesId, noId], defer && !typed);
+      await stopCountdown();
+      if (!answer) return { status, by: null, interaction: null };
+
+      const confirmed = answer.customId === yesId;
+      let   reply     = answer;
+      if (confirmed && typed) {
+        reply = await this._awaitPhrase(answer, opts, deadline);
+        if (!reply) continue;
+      }
+      if (defer && typed) await reply.deferUpdate().catch(() => {});
+
+      if (opts.updateReply) {
+        await message.edit({
+          content:    confirmed ? opts.confirmedText : opts.cancelledText,
+          embeds:     [],
+          components: [],
+        }).catch(() => {});
+      }
+
+      return { status: confirmed ? 'confirmed' : 'cancelled', by: answer.user, interaction: reply };
+    }
+  }
+
+  /** Show the phrase modal; resolves with the submit if the phrase matches, otherwise null. */
+  async _awaitPhrase(click, opts, deadline) {
+    const modalId = `${click.customId}_${Date.now()}`;
+    await click.showModal(new ModalBuilder()
+      .setCustomId(modalId)
+      .setTitle(opts.confirmLabel.slice(0, MAX_MODAL_TITLE))
+      .addComponents(new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('phrase')
+          .setLabel(opts.phraseLabel)
+          .setStyle(TextInputStyle.Short)
+          .setPlaceholder(opts.phrase.slice(0, 100))
+          .setRequired(true),
+      )));
+
+    const submit = await click.awaitModalSubmit({
+      time:   Math.max(1, deadline - Date.now()),
+      filter: (i) => i.customId === modalId && i.user.id === click.user.id,
+    }).catch(() => null);
+    if (!submit) return null;
+
+    if (submit.fields.getTextInputValue('phrase').trim() === opts.phrase) return submit;
+    await submit.reply({ content: opts.mismatchText, ephemeral: true }).catch(() => {});
+    return null;
+  }
+
+  /** Count the disabled Confirm button down once a second; returns a function stopping it. */
+  _countdown(interaction, opts, yesId, noId) {
+    let left    = Math.ceil(opts.countdown / 1_000);
+    let pending = Promise.resolve();
+    const timer = setInterval(() => {
+      if (--left <= 0) clearInterval(timer);
+      // editReply() reaches ephemeral replies too
+      pending = interaction.editReply({
+        components: [...(opts.components ?? []), confirmRow(opts, yesId, noId, left)],
+      }).catch(() => {});
+    }, 1_000);
+
+    return async () => {
+      clearInterval(timer);
+      await pending;   // so a late tick cannot overwrite the final edit
+    };
+  }
+
+  /**
+   * Wait for the first of `customIds` the invoking user clicks; anyone else is
+   * told the prompt is not for them. Resolves `answered`, `timeout` or
+   * `aborted` (when `opts.signal` fires), editing the message for the latter two.
+   */
+  _collect(message, interaction, opts, customIds, defer = true) {
+    return new Promise((resolve) => {
       const collector = message.createMessageComponentCollector({
-        componentType: ComponentType.Button,
-        time:          opts.timeout,
-        max:           1,
-        filter:        (i) => {
+        time:   opts.timeout,
+        max:    1,
+        filter: (i) => {
+          if (!customIds.includes(i.customId)) return false;
           const isOwner = i.user.id === interaction.user.id;
           if (!isOwner) {
             i.reply({ content: '❌ This confirmation is not for you.', ephemeral: true }).catch(() => {});
           }
-          return isOwner && (i.customId === yesId || i.customId === noId);
+          return isOwner;
         },
       });
+      const abort = () => collector.stop('aborted');
+
+      collector.on('collect', async (answer) => {
+        if (defer) await answer.deferUpdate();
+        resolve({ status: 'answered', answer });
+      });
 
-      collector.on('collect', async (btn) => {
-        await btn.deferUpdate();
-        const confirmed = btn.customId === yesId;
+      collector.on('end', async (_, reason) => {
+        opts.signal?.removeEventListener('abort', abort);
+        if (reason === 'limit') return;
 
+        const status = reason === 'aborted' ? 'aborted' : 'timeout';
         if (opts.updateReply) {
           await message.edit({
-            content:    confirmed ? opts.confirmedText : opts.cancelledText,
-            embeds:     [],
-            components: [],
+            content: status === 'aborted' ? opts.abortedText : opts.timedOutText, embeds: [], components: [],
           }).catch(() => {});
         }
-
-        resolve(confirmed);
+        resolve({ status, answer: null });
       });
 
-      collector.on('end', async (_, reason) => {
-        if (reason !== 'limit') {
-          if (opts.updateReply) {
-            await message.edit({
-              content: opts.timedOutText, embeds: [], components: [],
-            }).catch(() => {});
-          }
-          reject(new ForgeError(ForgeErrorCode.CONFIRMATION_TIMED_OUT));
-        }
-      });
+      opts.signal?.addEventListener('abort', abort, { once: true });
+      if (opts.signal?.aborted) abort();   // fired while the prompt was being sent
     });
   }
+
+  async _askPersistent(interaction, opts) {
+    if (!this._store) {
+      throw new ForgeError(ForgeErrorCode.PERSISTENCE_NOT_CONFIGURED, 'Call confirmations.persist(router) at start-up');
+    }
+    if (!this._handlers.has(opts.handler)) {
+      throw new ForgeError(ForgeErrorCode.ROUTER_HANDLER_NOT_FOUND, `No confirmation handler registered as "${opts.handler}"`);
+    }
+
+    const id = randomBytes(8).toString('hex');
+    await this._store.set(stateKey(id), {
+      handler:       opts.handler,
+      data:          opts.data ?? null,
+      userId:        interaction.user.id,
+      updateReply:   opts.updateReply,
+      confirmedText: opts.confirmedText,
+      cancelledText: opts.cancelledText,
+    }, opts.timeout);
+
+    await this._send(
+      interaction,
+      opts,
+      CONFIRM_ROUTE.build({ id, choice: 'yes' }),
+      CONFIRM_ROUTE.build({ id, choice: 'no' }),
+    );
+  }
+
+  async _handlePersistent(interaction, { id, choice }) {
+    const state = await this._store.get(stateKey(id));
+
+    // Expired: there is no timer across restarts, so the click reveals it
+    if (!state) {
+      return interaction.update({ content: this._defaults.timedOutText, embeds: [], components: [] });
+    }
+    if (interaction.user.id !== state.userId) {
+      return interaction.reply({ content: '❌ This confirmation is not for you.', ephemeral: true });
+    }
+
+    const handler = this._handlers.get(state.handler);
+    if (!handler) {
+      throw new ForgeError(ForgeErrorCode.ROUTER_HANDLER_NOT_FOUND, `No confirmation handler registered as "${state.handler}"`);
+    }
+
+    await this._store.delete(stateKey(id));
+    const confirmed = choice === 'yes';
+
+    if (state.updateReply) {
+      await interaction.update({
+        content:    confirmed ? state.confirmedText : state.cancelledText,
+        embeds:     [],
+        components: [],
+      });
+    } else {
+      await interaction.deferUpdate();
+    }
+
+    await handler(interaction, { confirmed, data: state.data });
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function stateKey(id) {
+  return `forge:confirm:${id}`;
+}
+
+/** Confirm / Cancel; Confirm stays disabled and shows the seconds left while `wait` > 0. */
+function confirmRow(opts, yesId, noId, wait = 0) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(yesId)
+      .setLabel(wait > 0 ? `${opts.confirmLabel} (${wait})` : opts.confirmLabel)
+      .setStyle(opts.confirmStyle)
+      .setDisabled(wait > 0),
+    new ButtonBuilder()
+      .setCustomId(noId)
+      .setLabel(opts.cancelLabel)
+      .setStyle(opts.cancelStyle),
+  );
+}
+
+function checkSafeguards(opts) {
+  if (opts.handler !== undefined && (opts.phrase !== undefined || opts.countdown)) {
+    throw new ForgeError(ForgeErrorCode.CONFIRMATION_INVALID_OPTIONS, 'Persistent confirmations support neither `phrase` nor `countdown`');
+  }
+  if (opts.phrase !== undefined && (typeof opts.phrase !== 'string' || !opts.phrase.trim())) {
+    throw new ForgeError(ForgeErrorCode.CONFIRMATION_INVALID_OPTIONS, '`phrase` must be a non-empty string');
+  }
+  if (opts.countdown !== undefined && !(opts.countdown >= 0 && opts.countdown < opts.timeout)) {
+    throw new ForgeError(ForgeErrorCode.CONFIRMATION_INVALID_OPTIONS, '`countdown` must be shorter than the timeout');
+  }
+}
+
+/** `phrase` and `countdown` guard a single Confirm button; multi-answer prompts have none. */
+function rejectSafeguards(opts, method) {
+  if (opts.phrase !== undefined || opts.countdown) {
+    throw new ForgeError(ForgeErrorCode.CONFIRMATION_INVALID_OPTIONS, `${method} supports neither \`phrase\` nor \`countdown\``);
+  }
+}
+
+function nonce() {
+  return `${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+}
+
+function chunk(items, size) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
+}
+
+/** Accepts plain strings as `{ label, value }`, checks count and uniqueness. */
+function normalizeChoices(choices) {
+  const list = (choices ?? []).map(c => typeof c === 'string' ? { label: c, value: c } : c);
+  if (!list.length || list.length > MAX_CHOICES) {
+    throw new ForgeError(ForgeErrorCode.CONFIRMATION_INVALID_OPTIONS, `Pass 1 to ${MAX_CHOICES} choices`);
+  }
+  if (new Set(list.map(c => c.value)).size !== list.length) {
+    throw new ForgeError(ForgeErrorCode.CONFIRMATION_INVALID_OPTIONS, 'Choice values must be unique');
+  }
+  return list;
+}
+
+function progressText(approvedBy, deniedBy, required) {
+  const approved = approvedBy.length ? ` · ${approvedBy.map(id => `<@${id}>`).join(', ')}` : '';
+  const denied   = deniedBy.length ? `\nDenied by ${deniedBy.map(id => `<@${id}>`).join(', ')}` : '';
+  return `Approved ${approvedBy.length}/${required}${approved}${denied}`;
 }
 
 /**
@@ -145,6 +651,9 @@ export class ConfirmationManager {
  * @property {string}  [confirmedText]
  * @property {string}  [cancelledText]
  * @property {string}  [timedOutText]
+ * @property {string}  [abortedText]     Shown when `signal` aborts
+ * @property {string}  [phraseLabel]     Label of the text input asking for `phrase`
+ * @property {string}  [mismatchText]    Ephemeral reply to a mistyped phrase
  * @property {boolean} [updateReply=true]  Whether to update the message after response
  */
 
@@ -157,4 +666,53 @@ export class ConfirmationManager {
  * @property {boolean}[ephemeral]
  * @property {string} [confirmLabel]
  * @property {string} [cancelLabel]
+ * @property {string} [handler]  Name passed to `register()`; makes the confirmation persistent
+ * @property {any}    [data]     JSON-serialisable data handed to the handler
+ * @property {AbortSignal} [signal]  Removes the buttons and settles as `aborted` when it fires
+ * @property {string} [phrase]     Confirm opens a modal where this must be typed (trimmed, case-sensitive)
+ * @property {number} [countdown]  ms Confirm stays disabled (whole seconds), counting down on its label
+ */
+
+/**
+ * @typedef {object} ConfirmationResult
+ * @property {'confirmed'|'cancelled'|'timeout'|'aborted'} status
+ * @property {import('discord.js').User|null} by  Who answered
+ * @property {import('discord.js').ButtonInteraction|import('discord.js').ModalMessageModalSubmitInteraction|null} interaction
+ *   The click, or the phrase modal's submit; unacknowledged when `updateReply` is false
+ */
+
+/**
+ * @typedef {object} Choice
+ * @property {string} label
+ * @property {string} value
+ * @property {string} [description]  Select menus only
+ * @property {string} [emoji]
+ * @property {import('discord.js').ButtonStyle} [style]  Buttons only (default: Secondary)
+ */
+
+/**
+ * @typedef {Omit<ConfirmationAskOptions, 'phrase'|'countdown'> & {
+ *   choices:      Array<Choice|string>,
+ *   menu?:        boolean,
+ *   placeholder?: string,
+ *   chosenText?:  string | ((choice: Choice) => string),
+ * }} ChoiceAskOptions
+ */
+
+/**
+ * @typedef {Omit<ConfirmationAskOptions, 'phrase'|'countdown'> & {
+ *   approvers:     { users?: string[], roles?: string[] },
+ *   required?:     number,   // default: every listed user, or 1 with roles
+ *   approveLabel?: string,
+ *   approveStyle?: import('discord.js').ButtonStyle,
+ *   denyLabel?:    string,
+ *   denyStyle?:    import('discord.js').ButtonStyle,
+ * }} ApprovalAskOptions
+ */
+
+/**
+ * @typedef {object} ApprovalResult
+ * @property {boolean}  approved
+ * @property {string[]} approvedBy  User IDs, in order
+ * @property {string[]} deniedBy
  */
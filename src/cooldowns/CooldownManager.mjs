@@ -1,20 +1,32 @@
+import { readFile, rename, writeFile } from 'node:fs/promises';
 import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+import { MemoryStore } from '../stores/MemoryStore.mjs';
+import { compileRule, resolveLimit } from './CooldownRules.mjs';
+import { compileLimit } from './RateLimits.mjs';
+
+// Compare-and-swap retries before a use is refused as contended
+const MAX_ATTEMPTS = 5;
+
+const SNAPSHOT_VERSION = 1;
 
 /**
  * CooldownManager — Per-user, per-command (or any key) cooldown tracking.
  *
  * Supports multiple scopes: user, guild, channel, global.
- * Everything is in-memory by default; swap the store for Redis-compatible usage.
+ * Everything is in-memory by default. Every method is async so the store can
+ * be shared: pass a `RedisStore` or `SqliteStore` and all shards and processes
+ * see the same cooldowns. `use()` is an atomic check-and-set in every store.
  *
  * @example
  * import { CooldownManager } from 'djs-forge/cooldowns';
+ * import { RedisStore } from 'djs-forge/stores';
  *
- * const cooldowns = new CooldownManager();
+ * const cooldowns = new CooldownManager({ store: new RedisStore(redis) });
  *
  * client.on('interactionCreate', async (interaction) => {
  *   if (!interaction.isChatInputCommand()) return;
  *
- *   const result = cooldowns.check('ban', interaction.user.id, 10_000);
+ *   const result = await cooldowns.check('ban', interaction.user.id, 10_000);
  *
  *   if (result.onCooldown) {
  *     return interaction.reply({
@@ -23,46 +35,83 @@ import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
  *     });
  *   }
  *
- *   cooldowns.set('ban', interaction.user.id, 10_000);
+ *   await cooldowns.set('ban', interaction.user.id, 10_000);
  *   // ... run command
  * });
+ *
+ * // Instead of a duration: 5 uses in any 60s, or bursts of 3 refilling one every 20s
+ * await cooldowns.scope.user('search', interaction, { uses: 5, per: 60_000 });
+ * await cooldowns.scope.guild('ping', interaction, { capacity: 3, every: 20_000 });
+ *
+ * // Declared once: premium users and staff get less, admins none
+ * cooldowns.define('search', {
+ *   limit:     { uses: 5, per: 60_000 },
+ *   overrides: [{ entitlements: [PREMIUM_SKU], roles: [BOOSTER_ROLE], limit: { uses: 20, per: 60_000 } }],
+ *   bypass:    { permissions: ['Administrator'] },
+ * });
+ * router.command('search', [cooldowns.middleware()], handler);
+ *
+ * // Survive restarts without an external store: saved every minute and on destroy()
+ * const daily = new CooldownManager({ snapshot: './cooldowns.json' });
+ * process.once('SIGTERM', async () => { await daily.destroy(); process.exit(0); });
  */
 export class CooldownManager {
   /**
    * @param {CooldownManagerOptions} [options]
    */
   constructor(options = {}) {
-    /** @type {Map<string, number>}  key → expiry timestamp */
-    this._store  = options.store ?? new Map();
-    this._prefix = options.keyPrefix ?? 'forge:cd:';
+    /** @type {import('../stores/MemoryStore.mjs').CooldownStore}  key → expiry timestamp */
+    // A plain Map (the pre-async store option) is wrapped rather than rejected
+    this._store     = isMapLike(options.store) ? fromLegacyMap(options.store) : options.store ?? new MemoryStore();
+    this._ownsStore = !options.store;
+    this._prefix    = options.keyPrefix ?? 'forge:cd:';
+    this._rules     = new Map();
+    /** @type {Map<string, CooldownStats>} */
+    this._stats     = new Map();
+    this._monetization = options.monetization ?? null;
+    this._entitled     = new MemoryStore();   // userId → SKU IDs, when fetched through the API
+
+    if (typeof this._store.acquire !== 'function' || typeof this._store.keys !== 'function') {
+      throw new ForgeError(ForgeErrorCode.STORE_INVALID_CONFIG, 'Cooldown stores need get, set, delete, acquire and keys');
+    }
 
-    // Auto-sweep expired entries every minute to prevent memory leaks
-    if (options.autoSweep !== false) {
-      this._sweepInterval = setInterval(() => this.sweep(), 60_000);
+    // Auto-sweep expired entries every minute; stores with native expiry have no sweep()
+    if (options.autoSweep !== false && this._store.sweep) {
+      this._sweepInterval = setInterval(() => this.sweep().catch(() => {}), 60_000);
       if (this._sweepInterval.unref) this._sweepInterval.unref();
     }
+
+    // Restore the last snapshot before anything reads the store, then save on an interval
+    const snapshot = typeof options.snapshot === 'string' ? { path: options.snapshot } : options.snapshot;
+    this._snapshotPath = snapshot?.path ?? null;
+    this._saving       = Promise.resolve();
+    this._ready        = this._snapshotPath ? this._restore() : Promise.resolve();
+    if (this._snapshotPath && snapshot.interval !== 0) {
+      this._saveInterval = setInterval(() => this.save().catch(warn), snapshot.interval ?? 60_000);
+      if (this._saveInterval.unref) this._saveInterval.unref();
+    }
   }
 
+  /** Resolves once the snapshot (if any) has been restored; every method waits for it. */
+  get ready() { return this._ready; }
+
   // ─── Core API ──────────────────────────────────────────────────────────────
 
   /**
    * Check if a key is on cooldown WITHOUT setting a new entry.
    * @param {string} command   Command / bucket name
    * @param {string} entityId  User ID, guild ID, etc.
-   * @param {number} [duration] Not needed for pure checks; used to compute remaining
-   * @returns {CooldownResult}
+   * @param {number|import('./RateLimits.mjs').RateLimit} [limit]
+   *   Needed for rate limits; a plain duration is not needed for pure checks
+   * @returns {Promise<CooldownResult>}
    */
-  check(command, entityId, duration) {
-    const key    = this._key(command, entityId);
-    const expiry = this._get(key);
-    const now    = Date.now();
-
-    if (!expiry || now >= expiry) {
-      return { onCooldown: false, remaining: 0, remainingText: '0s' };
-    }
+  async check(command, entityId, limit) {
+    await this._ready;
+    const state = await this._store.get(this._key(command, entityId));
+    if (typeof limit !== 'object' || limit === null) return fixedResult(state);
 
-    const remaining = expiry - now;
-    return { onCooldown: true, remaining, remainingText: formatMs(remaining), expiry };
+    const now = Date.now();
+    return toResult(compileLimit(limit).inspect(state, now), now);
   }
 
   /**
@@ -70,123 +119,537 @@ export class CooldownManager {
    * @param {string} command
    * @param {string} entityId
    * @param {number} durationMs  Duration in milliseconds
-   * @returns {number}  Expiry timestamp
+   * @returns {Promise<number>}  Expiry timestamp
    */
-  set(command, entityId, durationMs) {
+  async set(command, entityId, durationMs) {
     if (durationMs <= 0) throw new ForgeError(ForgeErrorCode.COOLDOWN_INVALID_DURATION);
+    await this._ready;
     const expiry = Date.now() + durationMs;
-    this._set(this._key(command, entityId), expiry);
+    await this._store.set(this._key(command, entityId), expiry, durationMs);
     return expiry;
   }
 
   /**
-   * Check AND set in one call. Throws ForgeError if on cooldown.
-   * Great for fire-and-forget usage in command handlers.
+   * Check AND set in one atomic call. Throws ForgeError if on cooldown.
+   * Great for fire-and-forget usage in command handlers; two shards racing
+   * for the same key cannot both get through.
    * @param {string} command
    * @param {string} entityId
-   * @param {number} durationMs
-   * @throws {ForgeError} COOLDOWN_ACTIVE if on cooldown
+   * @param {number|import('./RateLimits.mjs').RateLimit} limit
+   *   A duration in ms (one use, then wait), `{ uses, per }` or `{ capacity, every, refill? }`
+   * @returns {Promise<CooldownResult>}  Always `onCooldown: false`, as the use went
+   *   through; `usesLeft` and `nextIn` describe what is left after it
+   * @throws {ForgeError} COOLDOWN_ACTIVE if on cooldown; COOLDOWN_CONTENDED when concurrent
+   *   uses kept changing the entry, which is not counted as a hit
    */
-  use(command, entityId, durationMs) {
-    const result = this.check(command, entityId, durationMs);
-    if (result.onCooldown) {
-      throw new ForgeError(
-        ForgeErrorCode.COOLDOWN_ACTIVE,
-        `${result.remainingText} remaining`
-      );
+  async use(command, entityId, limit) {
+    try {
+      const result = await this._use(command, entityId, limit);
+      this._count(command, 'misses');
+      return result;
+    } catch (err) {
+      if (err.code === ForgeErrorCode.COOLDOWN_ACTIVE) this._count(command, 'hits');
+      throw err;
     }
-    this.set(command, entityId, durationMs);
   }
 
   /**
    * Reset (remove) a cooldown entry early.
    * @param {string} command
    * @param {string} entityId
+   * @returns {Promise<void>}
    */
-  reset(command, entityId) {
-    this._delete(this._key(command, entityId));
+  async reset(command, entityId) {
+    await this._ready;
+    await this._store.delete(this._key(command, entityId));
   }
 
   /**
    * Reset ALL entries for a given command.
    * @param {string} command
+   * @returns {Promise<void>}
    */
-  resetAll(command) {
-    const prefix = `${this._prefix}${command}:`;
-    for (const key of this._keys()) {
-      if (key.startsWith(prefix)) this._delete(key);
-    }
+  async resetAll(command) {
+    await this._ready;
+    const keys = await this._store.keys(`${this._prefix}${command}:`);
+    await Promise.all(keys.map(key => this._store.delete(key)));
   }
 
   /**
    * Get remaining cooldown for a key (0 if not on cooldown).
    * @param {string} command
    * @param {string} entityId
-   * @returns {number}  ms remaining
+   * @param {import('./RateLimits.mjs').RateLimit} [limit]  Needed for rate limits
+   * @returns {Promise<number>}  ms remaining
    */
-  remaining(command, entityId) {
-    return this.check(command, entityId).remaining;
+  async remaining(command, entityId, limit) {
+    return (await this.check(command, entityId, limit)).remaining;
   }
 
   /**
    * Sweep expired entries from the store.
    * Called automatically every minute; call manually if you need it sooner.
-   * @returns {number}  Number of entries removed
+   * Stores that expire keys themselves (Redis) have nothing to sweep.
+   * @returns {Promise<number>}  Number of entries removed
+   */
+  async sweep() {
+    return this._store.sweep ? this._store.sweep() : 0;
+  }
+
+  /**
+   * Destroy the manager and stop its timers, writing a final snapshot first
+   * when one is configured — await it in your shutdown handler.
+   * A store passed in options is left untouched; it may be shared.
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    clearInterval(this._sweepInterval);
+    clearInterval(this._saveInterval);
+    if (this._snapshotPath) await this.save();
+    if (this._ownsStore) await this._store.clear();
+  }
+
+  // ─── Admin ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Entries currently tracked, soonest to expire first. A bare ID also matches
+   * its scoped form, so `{ entityId: user.id }` finds `user_<id>` entries too.
+   * @param {{ command?: string, entityId?: string }} [filter]
+   * @returns {Promise<CooldownEntry[]>}
    */
-  sweep() {
+  async list({ command, entityId } = {}) {
     const now     = Date.now();
-    let   removed = 0;
-    for (const [key, expiry] of this._entries()) {
-      if (now >= expiry) { this._delete(key); removed++; }
+    const entries = await this._entries(this._prefix + (command === undefined ? '' : `${command}:`));
+
+    return entries
+      .map(({ key, value, expiresAt }) => {
+        const rest = key.slice(this._prefix.length);
+        const at   = rest.lastIndexOf(':');
+        const left = expiresAt === null ? Infinity : Math.max(0, expiresAt - now);
+        return {
+          command:       rest.slice(0, at),
+          entityId:      rest.slice(at + 1),
+          expiresAt,
+          remaining:     left,
+          remainingText: left === Infinity ? 'never expires' : formatMs(left),
+          state:         value,
+        };
+      })
+      .filter(e => (command === undefined || e.command === command) && (entityId === undefined || sameEntity(e.entityId, entityId)))
+      .sort((a, b) => a.remaining - b.remaining);
+  }
+
+  /**
+   * Remove every entry of one user, guild or channel across all commands.
+   * @param {string} entityId  A bare ID or a scoped one like `user_<id>`
+   * @returns {Promise<number>}  Entries removed
+   */
+  async resetEntity(entityId) {
+    const entries = await this.list({ entityId });
+    await Promise.all(entries.map(e => this._store.delete(this._key(e.command, e.entityId))));
+    return entries.length;
+  }
+
+  /**
+   * Lengthen an existing cooldown; a missing entry is left alone.
+   * Rate-limited entries need their limit, as for `check()`.
+   * @param {string} command
+   * @param {string} entityId
+   * @param {number} ms
+   * @param {import('./RateLimits.mjs').RateLimit} [limit]
+   * @returns {Promise<CooldownResult>}  The state afterwards
+   */
+  async extend(command, entityId, ms, limit) {
+    if (!(ms > 0)) throw new ForgeError(ForgeErrorCode.COOLDOWN_INVALID_DURATION);
+    return this._shift(command, entityId, ms, limit);
+  }
+
+  /**
+   * Shorten an existing cooldown, removing it when nothing is left.
+   * @param {string} command
+   * @param {string} entityId
+   * @param {number} ms
+   * @param {import('./RateLimits.mjs').RateLimit} [limit]
+   * @returns {Promise<CooldownResult>}  The state afterwards
+   */
+  async reduce(command, entityId, ms, limit) {
+    if (!(ms > 0)) throw new ForgeError(ForgeErrorCode.COOLDOWN_INVALID_DURATION);
+    return this._shift(command, entityId, -ms, limit);
+  }
+
+  /**
+   * Counters of `use()` since start (or `resetStats()`), for this process only.
+   * `hits` were refused by a cooldown, `misses` went through, `bypassed` were
+   * exempt through a rule.
+   * @param {string} [command]  Omit for every command
+   * @returns {CooldownStats|Record<string, CooldownStats>}
+   */
+  stats(command) {
+    if (command !== undefined) return { hits: 0, misses: 0, bypassed: 0, ...this._stats.get(command) };
+    return Object.fromEntries([...this._stats].map(([name, stats]) => [name, { ...stats }]));
+  }
+
+  /** @param {string} [command]  Omit to clear every counter */
+  resetStats(command) {
+    if (command === undefined) this._stats.clear();
+    else this._stats.delete(command);
+  }
+
+  // ─── Snapshots ─────────────────────────────────────────────────────────────
+
+  /**
+   * Every live entry under this manager's prefix, as plain JSON. Keys are
+   * stored without the prefix, so `import()` works into any manager or store.
+   * @returns {Promise<CooldownSnapshot>}
+   */
+  async export() {
+    const entries = await this._entries(this._prefix);
+    return {
+      version:    SNAPSHOT_VERSION,
+      exportedAt: Date.now(),
+      entries:    entries.map(({ key, value, expiresAt }) => ({ key: key.slice(this._prefix.length), value, expiresAt })),
+    };
+  }
+
+  /**
+   * Write the entries of a snapshot into the store, overwriting existing ones.
+   * Entries that expired in the meantime are skipped.
+   * @param {CooldownSnapshot} snapshot
+   * @returns {Promise<number>}  Entries imported
+   * @throws {ForgeError} COOLDOWN_INVALID_SNAPSHOT
+   */
+  async import(snapshot) {
+    await this._ready;
+    return this._load(snapshot);
+  }
+
+  /**
+   * Write the snapshot file now. Called on the snapshot interval and by
+   * `destroy()`; the file is replaced atomically, so a crash mid-write keeps
+   * the previous snapshot.
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this._snapshotPath) {
+      throw new ForgeError(ForgeErrorCode.STORE_INVALID_CONFIG, 'Pass a snapshot path to save cooldowns');
     }
-    return removed;
+    // Chained so an interval save and destroy() never write the file at once
+    const run = this._saving.then(async () => {
+      const temp = `${this._snapshotPath}.tmp`;
+      await writeFile(temp, JSON.stringify(await this.export()));
+      await rename(temp, this._snapshotPath);
+    });
+    this._saving = run.catch(() => {});
+    return run;
   }
 
+  // ─── Rules ─────────────────────────────────────────────────────────────────
+
   /**
-   * Destroy the manager and stop the auto-sweep timer.
+   * Declare the cooldown of a command once: a default limit, per-role /
+   * permission / entitlement overrides and a bypass list. Then call
+   * `useRule()` / `checkRule()` with just the interaction.
+   * @param {string} command
+   * @param {import('./CooldownRules.mjs').CooldownRule} rule
+   * @returns {this}
    */
-  destroy() {
-    clearInterval(this._sweepInterval);
-    this._store.clear?.();
+  define(command, rule) {
+    this._rules.set(command, compileRule(command, rule));
+    return this;
+  }
+
+  /**
+   * Use a defined rule for the interaction's user. Exempt users resolve
+   * without touching the store, with `bypassed: true`.
+   * @param {string} command
+   * @param {import('discord.js').BaseInteraction} interaction
+   * @returns {Promise<CooldownResult>}
+   * @throws {ForgeError} COOLDOWN_ACTIVE if on cooldown
+   */
+  async useRule(command, interaction) {
+    const { scope, limit } = await this._resolve(command, interaction);
+    if (!limit) {
+      this._count(command, 'bypassed');
+      return bypassed();
+    }
+    return this.use(command, scopeId[scope](interaction), limit);
+  }
+
+  /**
+   * Check a defined rule for the interaction's user without using it.
+   * @param {string} command
+   * @param {import('discord.js').BaseInteraction} interaction
+   * @returns {Promise<CooldownResult>}
+   */
+  async checkRule(command, interaction) {
+    const { scope, limit } = await this._resolve(command, interaction);
+    if (!limit) return bypassed();
+    return this.check(command, scopeId[scope](interaction), limit);
+  }
+
+  /**
+   * Router middleware applying a defined rule; COOLDOWN_ACTIVE reaches the
+   * router's error handler, which tells the user how long to wait.
+   * @param {string} [command]  Defaults to the most specific defined rule for the
+   *   interaction's command path: "mod ban", else "mod"
+   */
+  middleware(command) {
+    return async (interaction, params, next) => {
+      await this.useRule(command ?? this._rulePath(interaction), interaction);
+      await next();
+    };
   }
 
   // ─── Convenience Scopes ────────────────────────────────────────────────────
 
   /**
    * Scope helpers — these just standardise the entityId format.
+   * Each takes a duration or a rate limit; `scope.check.*` inspects without using.
    *
    * @example
-   * cooldowns.scope.user('ban', interaction, 10_000)  // per user
-   * cooldowns.scope.guild('ban', interaction, 30_000) // per guild
+   * await cooldowns.scope.user('ban', interaction, 10_000)  // per user
+   * await cooldowns.scope.guild('ban', interaction, 30_000) // per guild
+   *
+   * const { usesLeft, nextIn } = await cooldowns.scope.check.user('search', interaction, { uses: 5, per: 60_000 });
    */
   get scope() {
     return {
-      user: (command, interaction, duration) =>
-        this.use(command, `user_${interaction.user.id}`, duration),
+      user: (command, interaction, limit) =>
+        this.use(command, scopeId.user(interaction), limit),
 
-      guild: (command, interaction, duration) =>
-        this.use(command, `guild_${interaction.guildId ?? 'dm'}`, duration),
+      guild: (command, interaction, limit) =>
+        this.use(command, scopeId.guild(interaction), limit),
 
-      channel: (command, interaction, duration) =>
-        this.use(command, `channel_${interaction.channelId}`, duration),
+      channel: (command, interaction, limit) =>
+        this.use(command, scopeId.channel(interaction), limit),
 
-      global: (command, _interaction, duration) =>
-        this.use(command, 'global', duration),
+      global: (command, _interaction, limit) =>
+        this.use(command, scopeId.global(), limit),
+
+      check: {
+        user:    (command, interaction, limit) => this.check(command, scopeId.user(interaction), limit),
+        guild:   (command, interaction, limit) => this.check(command, scopeId.guild(interaction), limit),
+        channel: (command, interaction, limit) => this.check(command, scopeId.channel(interaction), limit),
+        global:  (command, _interaction, limit) => this.check(command, scopeId.global(), limit),
+      },
     };
   }
 
-  // ─── Store Abstraction (override for Redis) ────────────────────────────────
+  // ─── Internals ─────────────────────────────────────────────────────────────
 
   _key(command, entityId) { return `${this._prefix}${command}:${entityId}`; }
-  _get(key)              { return this._store.get(key); }
-  _set(key, value)       { this._store.set(key, value); }
-  _delete(key)           { this._store.delete(key); }
-  _keys()                { return this._store.keys(); }
-  _entries()             { return this._store.entries(); }
+
+  /** "config roles add" → "config roles" → "config": the first with a rule, else the full path. */
+  _rulePath(interaction) {
+    const segments = [
+      interaction.commandName,
+      interaction.options?.getSubcommandGroup?.(false),
+      interaction.options?.getSubcommand?.(false),
+    ].filter(Boolean);
+    const paths = segments.map((_, i) => segments.slice(0, segments.length - i).join(' '));
+    return paths.find(path => this._rules.has(path)) ?? paths[0];
+  }
+
+  async _entries(prefix) {
+    await this._ready;
+    if (typeof this._store.entries !== 'function') {
+      throw new ForgeError(ForgeErrorCode.STORE_INVALID_CONFIG, 'Listing cooldowns needs a store with entries()');
+    }
+    return this._store.entries(prefix);
+  }
+
+  _count(command, field) {
+    let stats = this._stats.get(command);
+    if (!stats) this._stats.set(command, stats = { hits: 0, misses: 0, bypassed: 0 });
+    stats[field]++;
+  }
+
+  async _shift(command, entityId, ms, limit) {
+    const key  = this._key(command, entityId);
+    const rule = typeof limit === 'object' && limit !== null ? compileLimit(limit) : null;
+    const read = (state, now) => rule ? toResult(rule.inspect(state, now), now) : fixedResult(state, now);
+    await this._ready;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const now   = Date.now();
+      const state = await this._store.get(key);
+      if (state === undefined) return read(undefined, now);
+      if (!rule && typeof state !== 'number') {
+        throw new ForgeError(ForgeErrorCode.COOLDOWN_INVALID_LIMIT, `Pass the rate limit of "${command}" to change its entries`);
+      }
+
+      const next = rule ? rule.shift(state, ms, now) : shiftExpiry(state, ms, now);
+      if (!next) {
+        await this._store.delete(key);
+        return read(undefined, now);
+      }
+      // Custom stores without swap() fall back to a plain write
+      const written = this._store.swap
+        ? await this._store.swap(key, state, next.state, next.ttl)
+        : (await this._store.set(key, next.state, next.ttl), true);
+      if (written) return read(next.state, now);
+    }
+
+    throw new ForgeError(ForgeErrorCode.COOLDOWN_CONTENDED, `gave up after ${MAX_ATTEMPTS} attempts`);
+  }
+
+  async _use(command, entityId, limit) {
+    const key  = this._key(command, entityId);
+    const rule = typeof limit === 'object' && limit !== null ? compileLimit(limit) : null;
+
+    if (!rule && !(limit > 0)) throw new ForgeError(ForgeErrorCode.COOLDOWN_INVALID_DURATION);
+    if (rule && typeof this._store.swap !== 'function') {
+      throw new ForgeError(ForgeErrorCode.STORE_INVALID_CONFIG, 'Rate limits need a store with swap()');
+    }
+    await this._ready;
+
+    // Retry when the state changed underneath us (or the blocking entry just expired)
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const now = Date.now();
+
+      if (!rule) {
+        if (await this._store.acquire(key, now + limit, limit)) return granted(fixedResult(now + limit, now));
+        const state = await this._store.get(key);
+
+        // Rule overrides share the key: a rate-limit state left by another limit counts as expired
+        if (state !== undefined && typeof state !== 'number') {
+          const written = this._store.swap
+            ? await this._store.swap(key, state, now + limit, limit)
+            : (await this._store.set(key, now + limit, limit), true);
+          if (written) return granted(fixedResult(now + limit, now));
+          continue;
+        }
+
+        const current = fixedResult(state);
+        if (current.onCooldown) throw active(current);
+        continue;
+      }
+
+      const state = await this._store.get(key);
+      const taken = rule.take(state, now);
+      if (!taken.allowed) throw active(toResult(taken.info, now));
+      if (await this._store.swap(key, state, taken.state, taken.ttl)) return granted(toResult(taken.info, now));
+    }
+
+    throw new ForgeError(ForgeErrorCode.COOLDOWN_CONTENDED, `gave up after ${MAX_ATTEMPTS} attempts`);
+  }
+
+  async _restore() {
+    let raw;
+    try {
+      raw = await readFile(this._snapshotPath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return;   // First start
+      warn(err);
+      return;
+    }
+    // A damaged snapshot must not keep the bot from starting
+    try { await this._load(JSON.parse(raw)); } catch (err) { warn(err); }
+  }
+
+  async _load(snapshot) {
+    if (snapshot?.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.entries)) {
+      throw new ForgeError(ForgeErrorCode.COOLDOWN_INVALID_SNAPSHOT);
+    }
+
+    const now  = Date.now();
+    const live = snapshot.entries.filter(e => typeof e?.key === 'string' && (e.expiresAt == null || e.expiresAt > now));
+    await Promise.all(live.map(({ key, value, expiresAt }) =>
+      this._store.set(this._prefix + key, value, expiresAt == null ? undefined : expiresAt - now)));
+    return live.length;
+  }
+
+  async _resolve(command, interaction) {
+    const rule = this._rules.get(command);
+    if (!rule) throw new ForgeError(ForgeErrorCode.COOLDOWN_RULE_NOT_FOUND, `No rule defined for "${command}"`);
+    return { scope: rule.scope, limit: await resolveLimit(rule, interaction, (i) => this._entitlements(i)) };
+  }
+
+  /** SKU IDs the user is entitled to right now. */
+  async _entitlements(interaction) {
+    // discord.js 14.15+ delivers the active entitlements with every interaction
+    if (interaction.entitlements) {
+      return [...interaction.entitlements.values()].filter(e => e.isActive?.() ?? true).map(e => e.skuId);
+    }
+    if (!this._monetization) return [];
+
+    let skus = await this._entitled.get(interaction.user.id);
+    if (!skus) {
+      const entitlements = await this._monetization.getEntitlements({ userId: interaction.user.id, excludeEnded: true });
+      skus = (entitlements ?? []).map(e => e.sku_id);
+      await this._entitled.set(interaction.user.id, skus, 60_000);
+    }
+    return skus;
+  }
 }
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
+const scopeId = {
+  user:    (interaction) => `user_${interaction.user.id}`,
+  guild:   (interaction) => `guild_${interaction.guildId ?? 'dm'}`,
+  channel: (interaction) => `channel_${interaction.channelId}`,
+  global:  () => 'global',
+};
+
+/** A synchronous Map-compatible object rather than a store. */
+function isMapLike(store) {
+  return typeof store?.acquire !== 'function'
+    && typeof store?.[Symbol.iterator] === 'function'
+    && ['get', 'set', 'delete'].every(method => typeof store[method] === 'function');
+}
+
+/**
+ * Wrap a pre-async `Map` store. It holds `key → expiry` numbers, which become
+ * entries expiring at that time, so cooldowns running during the upgrade stay.
+ */
+function fromLegacyMap(map) {
+  for (const [key, value] of map) {
+    if (typeof value === 'number') map.set(key, { value, expiresAt: value });
+  }
+  return new MemoryStore(map);
+}
+
+/** `user_<id>`, `guild_<id>` and `channel_<id>` also match a bare `<id>`. */
+function sameEntity(stored, entityId) {
+  return stored === entityId || ['user_', 'guild_', 'channel_'].some(scope => stored === scope + entityId);
+}
+
+function shiftExpiry(expiry, ms, now) {
+  const next = expiry + ms;
+  return next > now ? { state: next, ttl: next - now } : null;
+}
+
+function warn(err) {
+  process.emitWarning(`CooldownManager snapshot: ${err.message}`, { type: 'ForgeWarning' });
+}
+
+/** Result for a plain cooldown, whose state is its expiry timestamp. */
+function fixedResult(expiry, now = Date.now()) {
+  const remaining = typeof expiry === 'number' && now < expiry ? expiry - now : 0;
+  return toResult({ remaining, usesLeft: remaining ? 0 : 1, nextIn: remaining }, now);
+}
+
+function toResult({ remaining, usesLeft, nextIn }, now) {
+  if (!remaining) {
+    return { onCooldown: false, remaining: 0, remainingText: '0s', usesLeft, nextIn };
+  }
+  return { onCooldown: true, remaining, remainingText: formatMs(remaining), expiry: now + remaining, usesLeft, nextIn };
+}
+
+/** The result of a use that went through: not on cooldown, with what is left after it. */
+function granted({ usesLeft, nextIn }) {
+  return { onCooldown: false, remaining: 0, remainingText: '0s', usesLeft, nextIn };
+}
+
+function bypassed() {
+  return { onCooldown: false, remaining: 0, remainingText: '0s', usesLeft: Infinity, nextIn: 0, bypassed: true };
+}
+
+function active(result) {
+  return new ForgeError(ForgeErrorCode.COOLDOWN_ACTIVE, `${result.remainingText} remaining`);
+}
+
 function formatMs(ms) {
   if (ms < 1_000)    return `${ms}ms`;
   if (ms < 60_000)   return `${(ms / 1_000).toFixed(1)}s`;
@@ -206,11 +669,42 @@ function formatMs(ms) {
  * @property {number}  remaining     ms remaining (0 if not on cooldown)
  * @property {string}  remainingText Human-readable remaining time
  * @property {number}  [expiry]      Expiry timestamp if on cooldown
+ * @property {number}  usesLeft      Uses available right now (tokens for a bucket)
+ * @property {number}  nextIn        ms until one more use becomes available (0 when already full)
+ * @property {boolean} [bypassed]    Rules only: the user is exempt
  */
 
 /**
  * @typedef {object} CooldownManagerOptions
- * @property {Map<string,number>} [store]      Custom store (Map-compatible)
+ * @property {import('../stores/MemoryStore.mjs').CooldownStore} [store]  Shared store, e.g. RedisStore or SqliteStore (default: MemoryStore)
  * @property {string}             [keyPrefix]  Prefix for all keys
- * @property {boolean}            [autoSweep]  Auto-sweep expired entries (default: true)
+ * @property {boolean}            [autoSweep]  Auto-sweep expired entries when the store needs it (default: true)
+ * @property {import('../managers/index.mjs').MonetizationManager} [monetization]
+ *           Looks up entitlements for rules when interactions do not carry them (cached for a minute)
+ * @property {string|{ path: string, interval?: number }} [snapshot]
+ *           JSON file restored on start and saved every `interval` ms (default: 60s; 0 = only on destroy)
+ */
+
+/**
+ * @typedef {object} CooldownEntry
+ * @property {string}      command
+ * @property {string}      entityId       As stored, e.g. `user_<id>`
+ * @property {number|null} expiresAt
+ * @property {number}      remaining      ms until the entry expires (Infinity without expiry)
+ * @property {string}      remainingText
+ * @property {any}         state          Expiry timestamp, or the rate-limit state
+ */
+
+/**
+ * @typedef {object} CooldownStats
+ * @property {number} hits      Uses refused because of a cooldown
+ * @property {number} misses    Uses let through
+ * @property {number} bypassed  Rule uses skipped for exempt users
+ */
+
+/**
+ * @typedef {object} CooldownSnapshot
+ * @property {number} version
+ * @property {number} exportedAt
+ * @property {{ key: string, value: any, expiresAt: number|null }[]} entries  Keys without the manager's prefix
  */
@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./CooldownRules.mjs');
+module.exports = mod;
@@ -0,0 +1,89 @@
+import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+import { Perms } from '../utils/index.mjs';
+import { compileLimit } from './RateLimits.mjs';
+
+const SCOPES = ['user', 'guild', 'channel', 'global'];
+
+/**
+ * Validate a rule passed to `CooldownManager.define()`.
+ *
+ * A rule has a default `limit`, `overrides` tried in order (the first one the
+ * user matches wins) and a `bypass` condition. A condition matches when the
+ * user meets ANY of its criteria: listed user, role, all `permissions`, an
+ * active entitlement to one of the SKUs, or `when(interaction)` resolving true.
+ *
+ * @param {string} command
+ * @param {CooldownRule} rule
+ */
+export function compileRule(command, rule) {
+  const scope = rule.scope ?? 'user';
+  if (!SCOPES.includes(scope)) {
+    throw new ForgeError(ForgeErrorCode.COOLDOWN_INVALID_LIMIT, `Unknown scope "${scope}" for "${command}"`);
+  }
+
+  const overrides = rule.overrides ?? [];
+  for (const limit of [rule.limit, ...overrides.map(o => o.limit)]) checkLimit(command, limit);
+
+  return { scope, limit: rule.limit || null, overrides, bypass: rule.bypass ?? null };
+}
+
+/**
+ * The limit that applies to this interaction, or null when it has no cooldown.
+ * @param {ReturnType<typeof compileRule>} rule
+ * @param {import('discord.js').BaseInteraction} interaction
+ * @param {(interaction: any) => Promise<string[]>} entitlementsOf  SKU IDs the user is entitled to
+ */
+export async function resolveLimit(rule, interaction, entitlementsOf) {
+  if (rule.bypass && await matches(rule.bypass, interaction, entitlementsOf)) return null;
+
+  for (const override of rule.overrides) {
+    if (await matches(override, interaction, entitlementsOf)) return override.limit || null;
+  }
+  return rule.limit;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+async function matches(condition, interaction, entitlementsOf) {
+  if (condition.users?.includes(interaction.user.id)) return true;
+  if (condition.roles && Perms.hasRole(interaction, condition.roles)) return true;
+  if (condition.permissions && Perms.memberHas(interaction, condition.permissions)) return true;
+
+  // Checked last among the built-ins: without interaction.entitlements it costs an API call
+  if (condition.entitlements) {
+    const owned = await entitlementsOf(interaction);
+    if (condition.entitlements.some(sku => owned.includes(sku))) return true;
+  }
+  return Boolean(condition.when && await condition.when(interaction));
+}
+
+/** `null` / `0` mean no cooldown; anything else must be a valid duration or rate limit. */
+function checkLimit(command, limit) {
+  if (!limit) return;
+  if (typeof limit === 'number') {
+    if (limit < 0) throw new ForgeError(ForgeErrorCode.COOLDOWN_INVALID_DURATION, `Negative duration for "${command}"`);
+    return;
+  }
+  compileLimit(limit);
+}
+
+/**
+ * @typedef {object} CooldownCondition
+ * @property {string[]} [users]         User IDs
+ * @property {string[]} [roles]         Role IDs; any of them
+ * @property {string[]} [permissions]   Permission names, all required, e.g. ['ManageMessages']
+ * @property {string[]} [entitlements]  SKU IDs; an active entitlement to any of them
+ * @property {(interaction: any) => boolean|Promise<boolean>} [when]
+ */
+
+/**
+ * @typedef {CooldownCondition & { limit: number|import('./RateLimits.mjs').RateLimit|null }} CooldownOverride
+ */
+
+/**
+ * @typedef {object} CooldownRule
+ * @property {number|import('./RateLimits.mjs').RateLimit|null} limit  Default for everyone else; null = none
+ * @property {'user'|'guild'|'channel'|'global'} [scope='user']
+ * @property {CooldownOverride[]}  [overrides]  First match wins
+ * @property {CooldownCondition}   [bypass]     Matching users skip the cooldown entirely
+ */
@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./RateLimits.mjs');
+module.exports = mod;
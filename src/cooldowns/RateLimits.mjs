@@ -0,0 +1,111 @@
+import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+
+/**
+ * Rate-limit rules for CooldownManager.
+ *
+ *   { uses: 5, per: 60_000 }                  → sliding window: 5 uses in any 60s
+ *   { capacity: 5, refill: 1, every: 12_000 } → token bucket: bursts of 5, one token back every 12s
+ *
+ * Rules are pure. `inspect(state, now)` reports what is left and `take(state, now)`
+ * returns the state after one more use, which the manager writes back with a
+ * compare-and-swap so concurrent uses across processes never over-spend.
+ * `shift(state, ms, now)` delays (or, with a negative `ms`, advances) recovery
+ * for `extend()` / `reduce()`; it returns null once nothing is left to track.
+ * A state of another shape — left on the same key by a different limit, e.g. a
+ * rule override — reads as empty.
+ *
+ * @param {RateLimit} limit
+ */
+export function compileLimit(limit) {
+  if (limit && 'uses' in limit)     return new SlidingWindow(limit);
+  if (limit && 'capacity' in limit) return new TokenBucket(limit);
+  throw new ForgeError(ForgeErrorCode.COOLDOWN_INVALID_LIMIT, 'Use { uses, per } or { capacity, every, refill? }');
+}
+
+// ─── Rules ───────────────────────────────────────────────────────────────────
+
+/** State: timestamps of the uses still inside the window, oldest first. */
+class SlidingWindow {
+  constructor({ uses, per }) {
+    if (!positiveInt(uses) || !(per > 0)) {
+      throw new ForgeError(ForgeErrorCode.COOLDOWN_INVALID_LIMIT, '`uses` must be a positive integer and `per` > 0');
+    }
+    this.uses = uses;
+    this.per  = per;
+  }
+
+  inspect(state, now) {
+    const live     = (Array.isArray(state) ? state : []).filter(at => at > now - this.per);
+    const usesLeft = Math.max(0, this.uses - live.length);
+    // A slot frees up when the oldest use leaves the window
+    const nextIn   = live.length ? live[0] + this.per - now : 0;
+    const blocking = live[live.length - this.uses];
+    return { live, usesLeft, nextIn, remaining: usesLeft ? 0 : blocking + this.per - now };
+  }
+
+  take(state, now) {
+    const { live, ...info } = this.inspect(state, now);
+    if (!info.usesLeft) return { allowed: false, info };
+
+    const next = [...live, now];
+    const { live: _, ...after } = this.inspect(next, now);
+    return { allowed: true, state: next, ttl: this.per, info: after };
+  }
+
+  shift(state, ms, now) {
+    const { live } = this.inspect(Array.isArray(state) ? state.map(at => at + ms) : [], now);
+    return live.length ? { state: live, ttl: live[live.length - 1] + this.per - now } : null;
+  }
+}
+
+/** State: `{ tokens, at }` — the level at time `at`; it refills continuously up to `capacity`. */
+class TokenBucket {
+  constructor({ capacity, refill = 1, every }) {
+    if (!positiveInt(capacity) || !(refill > 0) || !(every > 0)) {
+      throw new ForgeError(ForgeErrorCode.COOLDOWN_INVALID_LIMIT, '`capacity` must be a positive integer, `refill` and `every` > 0');
+    }
+    this.capacity   = capacity;
+    this.msPerToken = every / refill;
+  }
+
+  inspect(state, now) {
+    // No state means the bucket has been full long enough to expire
+    const tokens   = typeof state?.tokens === 'number'
+      ? Math.min(this.capacity, state.tokens + (now - state.at) / this.msPerToken)
+      : this.capacity;
+    // Below zero after extend(): the bucket owes tokens before the next use
+    const usesLeft = Math.max(0, Math.floor(tokens));
+    const nextIn   = tokens >= this.capacity ? 0 : Math.ceil((usesLeft + 1 - tokens) * this.msPerToken);
+    return { tokens, usesLeft, nextIn, remaining: usesLeft ? 0 : nextIn };
+  }
+
+  take(state, now) {
+    const { tokens, ...info } = this.inspect(state, now);
+    if (!info.usesLeft) return { allowed: false, info };
+
+    const next = { tokens: tokens - 1, at: now };
+    const { tokens: _, ...after } = this.inspect(next, now);
+    // Once full again the entry carries no information, so let it expire
+    return { allowed: true, state: next, ttl: this._ttl(next.tokens), info: after };
+  }
+
+  shift(state, ms, now) {
+    const tokens = this.inspect(state, now).tokens - ms / this.msPerToken;
+    return tokens < this.capacity ? { state: { tokens, at: now }, ttl: this._ttl(tokens) } : null;
+  }
+
+  _ttl(tokens) {
+    return Math.ceil((this.capacity - tokens) * this.msPerToken);
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function positiveInt(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * @typedef {{ uses: number, per: number }
+ *   | { capacity: number, every: number, refill?: number }} RateLimit
+ */
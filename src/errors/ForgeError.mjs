@@ -45,22 +45,51 @@ export const ForgeErrorCode = Object.freeze({
   // Webhooks
   WEBHOOK_INVALID_URL:         'WEBHOOK_INVALID_URL',
   WEBHOOK_NOT_FOUND:           'WEBHOOK_NOT_FOUND',
+  WEBHOOK_QUEUE_FULL:          'WEBHOOK_QUEUE_FULL',
+  WEBHOOK_FILE_TOO_LARGE:      'WEBHOOK_FILE_TOO_LARGE',
+  WEBHOOK_INVALID_FILE:        'WEBHOOK_INVALID_FILE',
 
   // Interaction Router
   ROUTER_HANDLER_NOT_FOUND:    'ROUTER_HANDLER_NOT_FOUND',
   ROUTER_INVALID_PATTERN:      'ROUTER_INVALID_PATTERN',
+  ROUTER_INVALID_MIDDLEWARE:   'ROUTER_INVALID_MIDDLEWARE',
+  ROUTER_INVALID_PARAMS:       'ROUTER_INVALID_PARAMS',
+  ROUTER_CUSTOM_ID_TOO_LONG:   'ROUTER_CUSTOM_ID_TOO_LONG',
+
+  // Loader
+  LOADER_INVALID_MODULE:       'LOADER_INVALID_MODULE',
 
   // Paginator
   PAGINATOR_NO_PAGES:          'PAGINATOR_NO_PAGES',
   PAGINATOR_INVALID_PAGE:      'PAGINATOR_INVALID_PAGE',
+  PAGINATOR_INVALID_SOURCE:    'PAGINATOR_INVALID_SOURCE',
+  PAGINATOR_INVALID_ACCESS:    'PAGINATOR_INVALID_ACCESS',
+  PAGINATOR_TOO_MANY_COMPONENTS: 'PAGINATOR_TOO_MANY_COMPONENTS',
+  PAGINATOR_PAGE_FAILED:       'PAGINATOR_PAGE_FAILED',
 
   // Cooldowns
   COOLDOWN_ACTIVE:             'COOLDOWN_ACTIVE',
   COOLDOWN_INVALID_DURATION:   'COOLDOWN_INVALID_DURATION',
+  COOLDOWN_INVALID_LIMIT:      'COOLDOWN_INVALID_LIMIT',
+  COOLDOWN_RULE_NOT_FOUND:     'COOLDOWN_RULE_NOT_FOUND',
+  COOLDOWN_INVALID_SNAPSHOT:   'COOLDOWN_INVALID_SNAPSHOT',
+  COOLDOWN_CONTENDED:          'COOLDOWN_CONTENDED',
 
   // Confirmations
   CONFIRMATION_TIMED_OUT:      'CONFIRMATION_TIMED_OUT',
   CONFIRMATION_CANCELLED:      'CONFIRMATION_CANCELLED',
+  CONFIRMATION_INVALID_OPTIONS: 'CONFIRMATION_INVALID_OPTIONS',
+
+  // Forms
+  FORM_TIMED_OUT:              'FORM_TIMED_OUT',
+  FORM_INVALID:                'FORM_INVALID',
+  FORM_INVALID_SCHEMA:         'FORM_INVALID_SCHEMA',
+
+  // Persistent components
+  PERSISTENCE_NOT_CONFIGURED:  'PERSISTENCE_NOT_CONFIGURED',
+
+  // Stores
+  STORE_INVALID_CONFIG:        'STORE_INVALID_CONFIG',
 });
 
 const ERROR_MESSAGES = {
@@ -99,18 +128,43 @@ const ERROR_MESSAGES = {
 
   [ForgeErrorCode.WEBHOOK_INVALID_URL]:         'Invalid Discord webhook URL format.',
   [ForgeErrorCode.WEBHOOK_NOT_FOUND]:           'Webhook not found or was deleted.',
+  [ForgeErrorCode.WEBHOOK_QUEUE_FULL]:          'Too many requests are queued for this webhook.',
+  [ForgeErrorCode.WEBHOOK_FILE_TOO_LARGE]:      'Files exceed the upload size limit for one webhook message.',
+  [ForgeErrorCode.WEBHOOK_INVALID_FILE]:        'File must be a Buffer, Blob, stream, file path or AttachmentBuilder.',
 
   [ForgeErrorCode.ROUTER_HANDLER_NOT_FOUND]:    'No handler registered for this customId.',
   [ForgeErrorCode.ROUTER_INVALID_PATTERN]:      'Invalid customId pattern. Patterns must be strings or RegExp.',
+  [ForgeErrorCode.ROUTER_INVALID_MIDDLEWARE]:   'Invalid middleware. Each middleware must be a function that calls next() at most once.',
+  [ForgeErrorCode.ROUTER_INVALID_PARAMS]:       'customId params do not match the route schema.',
+  [ForgeErrorCode.ROUTER_CUSTOM_ID_TOO_LONG]:   'customId exceeds the 100-character limit.',
+
+  [ForgeErrorCode.LOADER_INVALID_MODULE]:       'Invalid command or component module.',
 
   [ForgeErrorCode.PAGINATOR_NO_PAGES]:          'Paginator requires at least one page.',
   [ForgeErrorCode.PAGINATOR_INVALID_PAGE]:      'Page index out of bounds.',
+  [ForgeErrorCode.PAGINATOR_INVALID_SOURCE]:    'Invalid page source.',
+  [ForgeErrorCode.PAGINATOR_INVALID_ACCESS]:    'Invalid paginator access mode.',
+  [ForgeErrorCode.PAGINATOR_TOO_MANY_COMPONENTS]: 'Page and navigation controls exceed the component limits.',
+  [ForgeErrorCode.PAGINATOR_PAGE_FAILED]:       'A page could not be loaded from its source.',
 
   [ForgeErrorCode.COOLDOWN_ACTIVE]:             'This command is on cooldown.',
   [ForgeErrorCode.COOLDOWN_INVALID_DURATION]:   'Cooldown duration must be greater than 0.',
+  [ForgeErrorCode.COOLDOWN_INVALID_LIMIT]:      'Invalid rate limit.',
+  [ForgeErrorCode.COOLDOWN_RULE_NOT_FOUND]:     'No cooldown rule is defined for this command.',
+  [ForgeErrorCode.COOLDOWN_INVALID_SNAPSHOT]:   'Not a cooldown snapshot, or from an unsupported version.',
+  [ForgeErrorCode.COOLDOWN_CONTENDED]:          'Too many simultaneous uses of this cooldown. Please try again.',
 
   [ForgeErrorCode.CONFIRMATION_TIMED_OUT]:      'Confirmation timed out. No response received.',
   [ForgeErrorCode.CONFIRMATION_CANCELLED]:      'User cancelled the confirmation.',
+  [ForgeErrorCode.CONFIRMATION_INVALID_OPTIONS]: 'Invalid confirmation options.',
+
+  [ForgeErrorCode.FORM_TIMED_OUT]:              'Form timed out. No submission received.',
+  [ForgeErrorCode.FORM_INVALID]:                'Form answers were still invalid after the last attempt.',
+  [ForgeErrorCode.FORM_INVALID_SCHEMA]:         'Invalid form schema.',
+
+  [ForgeErrorCode.PERSISTENCE_NOT_CONFIGURED]:  'Persistent components need a router and store. Call persist() first.',
+
+  [ForgeErrorCode.STORE_INVALID_CONFIG]:        'Invalid store configuration.',
 };
 
 export class ForgeError extends Error {
@@ -125,8 +179,11 @@ export class ForgeError extends Error {
     super(extra ? `[djs-forge/${code}] ${base} — ${extra}` : `[djs-forge/${code}] ${base}`);
     this.name        = 'ForgeError';
     this.code        = code;
+    this.detail      = extra ?? null;
     this.httpStatus  = httpStatus  ?? null;
     this.discordCode = discordCode ?? null;
+    /** ms to wait before retrying, on RATE_LIMITED errors from the API */
+    this.retryAfter  = null;
   }
 
   get retryable() {
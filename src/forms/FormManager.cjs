@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./FormManager.mjs');
+module.exports = mod;
@@ -0,0 +1,257 @@
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} from 'discord.js';
+import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+import { EmbedPresets } from '../utils/index.mjs';
+
+const MAX_FIELDS = 5;
+
+const PARSERS = {
+  string: (raw) => raw,
+  number: (raw) => (/^-?\d+(\.\d+)?$/.test(raw) ? Number(raw) : undefined),
+  int:    (raw) => (/^-?\d+$/.test(raw) && Number.isSafeInteger(Number(raw)) ? Number(raw) : undefined),
+  date:   (raw) => {
+    const date = new Date(raw);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  },
+};
+
+const TYPE_ERROR = {
+  number: 'must be a number',
+  int:    'must be a whole number',
+  date:   'must be a date, e.g. 2025-12-31',
+};
+
+/**
+ * FormManager — Show a modal built from a schema and await valid answers.
+ *
+ * Values are parsed to their declared type and validated. When something is
+ * wrong the user gets an ephemeral list of errors and a "Fix answers" button
+ * that reopens the modal with their previous answers filled in.
+ *
+ * @example
+ * import { FormManager } from 'djs-forge/forms';
+ *
+ * const forms = new FormManager();
+ *
+ * // In a slash command or button handler (not yet replied to):
+ * const { values, interaction: submit } = await forms.ask(interaction, {
+ *   title: 'Report a player',
+ *   fields: {
+ *     player: { label: 'Player name', minLength: 3, maxLength: 32 },
+ *     age:    { label: 'Account age (days)', type: 'int', min: 0 },
+ *     seen:   { label: 'When? (YYYY-MM-DD)', type: 'date', required: false },
+ *     reason: { label: 'What happened?', style: 'paragraph', maxLength: 1000 },
+ *   },
+ * });
+ *
+ * await submit.reply({ content: `Report on ${values.player} received.`, ephemeral: true });
+ */
+export class FormManager {
+  /**
+   * @param {FormDefaults} [defaults]
+   */
+  constructor(defaults = {}) {
+    this._defaults = {
+      timeout:     defaults.timeout     ?? 300_000,
+      maxAttempts: defaults.maxAttempts ?? 3,
+      retryLabel:  defaults.retryLabel  ?? 'Fix answers',
+      errorTitle:  defaults.errorTitle  ?? 'Please fix your answers',
+    };
+  }
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Show the form and resolve with the parsed values and the submit interaction,
+   * which is not yet acknowledged — reply to it, defer it or update with it.
+   * Throws `ForgeError(FORM_TIMED_OUT)` if the user does not submit in time and
+   * `ForgeError(FORM_INVALID)` after `maxAttempts` invalid submissions.
+   *
+   * @param {import('discord.js').CommandInteraction|import('discord.js').MessageComponentInteraction} interaction
+   * @param {FormSchema} schema
+   * @returns {Promise<{ values: Record<string, any>, interaction: import('discord.js').ModalSubmitInteraction }>}
+   */
+  async ask(interaction, schema) {
+    const opts   = { ...this._defaults, ...schema };
+    const fields = compileFields(schema.fields);
+    const nonce  = `${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+    const formId = `forge_form_${nonce}`;
+
+    let opener   = interaction;
+    let previous = null;   // last invalid submission, whose error reply gets cleaned up
+
+    for (let attempt = 1; ; attempt++) {
+      await opener.showModal(buildModal(formId, opts.title, fields, previous?.raw));
+
+      const submit = await opener.awaitModalSubmit({
+        time:   opts.timeout,
+        filter: (i) => i.customId === formId && i.user.id === interaction.user.id,
+      }).catch(() => {
+        throw new ForgeError(ForgeErrorCode.FORM_TIMED_OUT);
+      });
+
+      previous?.submit.deleteReply().catch(() => {});
+
+      const raw                = readValues(submit, fields);
+      const { values, errors } = validate(fields, raw);
+      if (!errors.length) return { values, interaction: submit };
+
+      if (attempt >= opts.maxAttempts) {
+        await submit.reply({ embeds: [EmbedPresets.error(opts.errorTitle, errors.join('\n'))], ephemeral: true }).catch(() => {});
+        throw new ForgeError(ForgeErrorCode.FORM_INVALID, errors.join('; '));
+      }
+
+      previous = { submit, raw };
+      opener   = await this._retry(submit, opts, nonce, errors);
+    }
+  }
+
+  // ─── Internals ─────────────────────────────────────────────────────────────
+
+  /** Modals cannot be opened from a modal submit, so errors come with a button that reopens it. */
+  async _retry(submit, opts, nonce, errors) {
+    const retryId = `forge_form_retry_${nonce}`;
+    const message = await submit.reply({
+      embeds:     [EmbedPresets.error(opts.errorTitle, errors.join('\n'))],
+      components: [new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(retryId)
+          .setLabel(opts.retryLabel)
+          .setStyle(ButtonStyle.Primary),
+      )],
+      ephemeral:  true,
+      fetchReply: true,
+    });
+
+    return message.awaitMessageComponent({
+      componentType: ComponentType.Button,
+      time:          opts.timeout,
+      filter:        (i) => i.customId === retryId && i.user.id === submit.user.id,
+    }).catch(async () => {
+      await submit.editReply({ components: [] }).catch(() => {});
+      throw new ForgeError(ForgeErrorCode.FORM_TIMED_OUT);
+    });
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function compileFields(fields = {}) {
+  const entries = Object.entries(fields);
+  if (!entries.length || entries.length > MAX_FIELDS) {
+    throw new ForgeError(ForgeErrorCode.FORM_INVALID_SCHEMA, `A form needs 1 to ${MAX_FIELDS} fields, got ${entries.length}`);
+  }
+
+  return entries.map(([key, field]) => {
+    const type = field.type ?? 'string';
+    if (!PARSERS[type]) {
+      throw new ForgeError(ForgeErrorCode.FORM_INVALID_SCHEMA, `Unknown field type "${type}" for "${key}"`);
+    }
+    return { key, ...field, type, label: field.label ?? key, required: field.required ?? true };
+  });
+}
+
+function buildModal(formId, title, fields, previous) {
+  const modal = new ModalBuilder().setCustomId(formId).setTitle(title ?? 'Form');
+
+  for (const field of fields) {
+    const input = new TextInputBuilder()
+      .setCustomId(field.key)
+      .setLabel(field.label)
+      .setStyle(field.style === 'paragraph' ? TextInputStyle.Paragraph : TextInputStyle.Short)
+      .setRequired(field.required);
+
+    if (field.placeholder)            input.setPlaceholder(field.placeholder);
+    if (field.minLength !== undefined) input.setMinLength(field.minLength);
+    if (field.maxLength !== undefined) input.setMaxLength(field.maxLength);
+
+    const value = previous?.[field.key] ?? field.value;
+    if (value) input.setValue(String(value));
+
+    modal.addComponents(new ActionRowBuilder().addComponents(input));
+  }
+  return modal;
+}
+
+function readValues(submit, fields) {
+  const raw = {};
+  for (const field of fields) raw[field.key] = submit.fields.getTextInputValue(field.key).trim();
+  return raw;
+}
+
+function validate(fields, raw) {
+  const values = {};
+  const errors = [];
+
+  for (const field of fields) {
+    const input = raw[field.key];
+    const fail  = (reason) => errors.push(`**${field.label}** ${field.message ?? reason}`);
+
+    if (!input) {
+      if (field.required) fail('is required');
+      values[field.key] = undefined;
+      continue;
+    }
+
+    // Discord enforces lengths in the client, but not for prefilled values
+    if (field.minLength !== undefined && input.length < field.minLength) { fail(`must be at least ${field.minLength} characters`); continue; }
+    if (field.maxLength !== undefined && input.length > field.maxLength) { fail(`must be at most ${field.maxLength} characters`); continue; }
+    if (field.pattern && !field.pattern.test(input)) { fail('is not in the expected format'); continue; }
+
+    const value = PARSERS[field.type](input);
+    if (value === undefined) { fail(TYPE_ERROR[field.type]); continue; }
+
+    if (field.min !== undefined && value < field.min) { fail(`must be at least ${formatBound(field.min)}`); continue; }
+    if (field.max !== undefined && value > field.max) { fail(`must be at most ${formatBound(field.max)}`); continue; }
+
+    if (field.validate) {
+      const result = field.validate(value, raw);
+      if (typeof result === 'string') { errors.push(`**${field.label}** ${result}`); continue; }
+      if (result === false) { fail('is invalid'); continue; }
+    }
+
+    values[field.key] = value;
+  }
+
+  return { values, errors };
+}
+
+function formatBound(bound) {
+  return bound instanceof Date ? bound.toISOString().slice(0, 10) : String(bound);
+}
+
+/**
+ * @typedef {object} FormDefaults
+ * @property {number} [timeout=300000]   ms to wait for each submission
+ * @property {number} [maxAttempts=3]    Invalid submissions allowed before rejecting
+ * @property {string} [retryLabel='Fix answers']
+ * @property {string} [errorTitle='Please fix your answers']
+ */
+
+/**
+ * @typedef {object} FormField
+ * @property {string}  [label]        Shown above the input (max 45 characters); defaults to the key
+ * @property {'string'|'number'|'int'|'date'} [type='string']
+ * @property {'short'|'paragraph'} [style='short']
+ * @property {boolean} [required=true]
+ * @property {string}  [placeholder]
+ * @property {string}  [value]        Pre-filled value
+ * @property {number}  [minLength]
+ * @property {number}  [maxLength]
+ * @property {RegExp}  [pattern]      The raw text must match
+ * @property {number|Date} [min]      Lower bound for number, int and date fields
+ * @property {number|Date} [max]      Upper bound for number, int and date fields
+ * @property {(value: any, raw: Record<string, string>) => boolean|string|void} [validate]  Return a string or false to reject
+ * @property {string}  [message]      Replaces the built-in error text for this field
+ */
+
+/**
+ * @typedef {FormDefaults & { title: string, fields: Record<string, FormField> }} FormSchema
+ */
@@ -14,10 +14,15 @@ export {
 
 // ─── New Toolkit ───────────────────────────────────────────────────────────────
 export { InteractionRouter }   from './routing/InteractionRouter.mjs';
+export { CustomIdCodec }       from './routing/CustomIdCodec.mjs';
 export { Paginator }           from './pagination/Paginator.mjs';
 export { CooldownManager }     from './cooldowns/CooldownManager.mjs';
 export { ConfirmationManager } from './confirmations/ConfirmationManager.mjs';
+export { FormManager }         from './forms/FormManager.mjs';
 export { WebhookManager }      from './webhooks/WebhookManager.mjs';
+export { CommandLoader }       from './loader/CommandLoader.mjs';
+export { CommandSync }         from './commands/CommandSync.mjs';
+export { MemoryStore, RedisStore, SqliteStore } from './stores/index.mjs';
 
 // ─── Utils ─────────────────────────────────────────────────────────────────────
 export {
@@ -34,7 +39,9 @@ import { SoundboardManager, PollManager, MonetizationManager, OnboardingManager,
 import { InteractionRouter }   from './routing/InteractionRouter.mjs';
 import { CooldownManager }     from './cooldowns/CooldownManager.mjs';
 import { ConfirmationManager } from './confirmations/ConfirmationManager.mjs';
+import { FormManager }         from './forms/FormManager.mjs';
 import { WebhookManager }      from './webhooks/WebhookManager.mjs';
+import { CommandSync }         from './commands/CommandSync.mjs';
 
 /**
  * DjsForge — All-in-one facade for all djs-forge features.
@@ -51,15 +58,21 @@ import { WebhookManager }      from './webhooks/WebhookManager.mjs';
  * forge.router.on(/^ban_(?<userId>\d+)$/, async (i, { userId }) => { ... });
  * forge.router.attach(client);
  *
+ * // Deploy only the commands that changed
+ * client.once('ready', () => forge.commands.deploy(forge.router));
+ *
  * // Paginate with one line
  * await forge.paginator(pages).reply(interaction);
  *
  * // Cooldowns
- * forge.cooldowns.scope.user('ban', interaction, 10_000);
+ * await forge.cooldowns.scope.user('ban', interaction, 10_000);
  *
  * // Confirmations
  * const ok = await forge.confirmations.ask(interaction, { content: 'Are you sure?' });
  *
+ * // Modal forms
+ * const { values } = await forge.forms.ask(interaction, { title: 'Feedback', fields: { text: { label: 'Feedback' } } });
+ *
  * client.login('TOKEN');
  */
 export class DjsForge {
@@ -76,9 +89,11 @@ export class DjsForge {
 
     // ── Toolkit ──
     this.router         = new InteractionRouter();
-    this.cooldowns      = new CooldownManager();
+    this.cooldowns      = new CooldownManager({ monetization: this.monetization });
     this.confirmations  = new ConfirmationManager();
+    this.forms          = new FormManager();
     this.webhooks       = new WebhookManager(client);
+    this.commands       = new CommandSync(client);
   }
 
   /**
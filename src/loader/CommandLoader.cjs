@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./CommandLoader.mjs');
+module.exports = mod;
@@ -0,0 +1,317 @@
+import { EventEmitter } from 'node:events';
+import { createRequire } from 'node:module';
+import { readdir, stat } from 'node:fs/promises';
+import { watch } from 'node:fs';
+import { basename, dirname, extname, join, relative, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+
+const require = createRequire(import.meta.url);
+
+// ApplicationCommandType values for context menus
+const USER_CONTEXT    = 2;
+const MESSAGE_CONTEXT = 3;
+
+/**
+ * CommandLoader — Register slash commands and components from a directory tree.
+ *
+ * Command files map to command paths: `commands/ping.mjs` → "ping",
+ * `commands/mod/ban.mjs` → "mod ban", `commands/config/roles/add.mjs` →
+ * "config roles add". An `index` file stands for its directory, which is how
+ * a parent command or subcommand group gets its own definition.
+ *
+ * Component files map to customIds joined with ":" — `components/ticket/open.mjs`
+ * → "ticket:open" — unless the module exports its own `customId`.
+ *
+ * Every route is registered with its `data`, so `router.definitions()` returns
+ * the commands ready to deploy.
+ *
+ * @example
+ * // commands/mod/ban.mjs
+ * export const data = { name: 'ban', description: 'Ban a member', options: [...] };
+ * export const middleware = [modsOnly];
+ * export async function execute(interaction, params) { ... }
+ * export async function autocomplete(interaction, { option, value }) { ... }
+ *
+ * // components/ticket/close.mjs
+ * export const customId = 'ticket:close_*';
+ * export async function execute(interaction, { wildcard }) { ... }
+ *
+ * // bot.mjs
+ * import { CommandLoader } from 'djs-forge/loader';
+ *
+ * const loader = new CommandLoader(forge.router, {
+ *   commands:   new URL('./commands', import.meta.url),
+ *   components: new URL('./components', import.meta.url),
+ *   watch:      process.env.NODE_ENV !== 'production',
+ * });
+ * loader.on('reload', (file) => console.log(`Reloaded ${file}`));
+ * await loader.load();
+ */
+export class CommandLoader extends EventEmitter {
+  /**
+   * @param {import('../routing/InteractionRouter.mjs').InteractionRouter} router
+   * @param {CommandLoaderOptions} options
+   */
+  constructor(router, options = {}) {
+    super();
+    if (!options.commands && !options.components) {
+      throw new ForgeError(ForgeErrorCode.LOADER_INVALID_MODULE, 'Pass a `commands` and/or `components` directory');
+    }
+
+    this._router     = router;
+    this._dirs       = {
+      commands:   options.commands   ? toPath(options.commands)   : null,
+      components: options.components ? toPath(options.components) : null,
+    };
+    this._extensions = options.extensions ?? ['.js', '.mjs', '.cjs'];
+    this._watch      = options.watch ?? false;
+    this._debounce   = options.debounce ?? 100;
+
+    /** @type {Map<string, { mtime: number, handlers: Function[], definitions: string[] }>}  file → what it registered */
+    this._files    = new Map();
+    /** @type {Map<string, number>}  file → mtime of the version that failed to load */
+    this._failed   = new Map();
+    /** @type {Map<string, import('node:fs').FSWatcher>} */
+    this._watchers = new Map();
+    this._timer    = null;
+    this._version  = 0;
+    this._syncing  = Promise.resolve();
+  }
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Load every module and, with `watch` enabled, start watching for changes.
+   * Loading errors reject here; after that they are emitted as `error` events.
+   * @returns {Promise<{ commands: number, components: number }>}
+   */
+  async load() {
+    const counts = { commands: 0, components: 0 };
+
+    for (const kind of ['commands', 'components']) {
+      const dir = this._dirs[kind];
+      if (!dir) continue;
+      for (const file of await this._scan(dir)) {
+        await this._loadFile(kind, file);
+        counts[kind]++;
+      }
+    }
+
+    if (this._watch) await this._startWatching();
+    return counts;
+  }
+
+  /**
+   * Re-scan both directories: load new files, reload changed ones and unload
+   * deleted ones. Called automatically while watching; overlapping calls run
+   * one after another.
+   * @returns {Promise<void>}
+   */
+  sync() {
+    const run = this._syncing.then(() => this._sync());
+    this._syncing = run.catch(() => {});
+    return run;
+  }
+
+  /** Stop watching. Registered routes are left in place. */
+  close() {
+    clearTimeout(this._timer);
+    for (const watcher of this._watchers.values()) watcher.close();
+    this._watchers.clear();
+  }
+
+  // ─── Internals ─────────────────────────────────────────────────────────────
+
+  async _sync() {
+    const seen = new Set();
+
+    for (const kind of ['commands', 'components']) {
+      const dir = this._dirs[kind];
+      if (!dir) continue;
+
+      for (const file of await this._scan(dir)) {
+        seen.add(file);
+        const known = this._files.get(file);
+        const mtime = (await stat(file)).mtimeMs;
+        if (known?.mtime === mtime || this._failed.get(file) === mtime) continue;
+
+        try {
+          await this._loadFile(kind, file);
+          this._failed.delete(file);
+          if (known) this.emit('reload', file);
+        } catch (err) {
+          this._failed.set(file, mtime);
+          this._fail(err, file);
+        }
+      }
+    }
+
+    for (const file of this._failed.keys()) if (!seen.has(file)) this._failed.delete(file);
+    for (const file of [...this._files.keys()]) {
+      if (seen.has(file)) continue;
+      this._unloadFile(file);
+      this.emit('unload', file);
+    }
+
+    if (this._watch) await this._startWatching();
+  }
+
+  async _loadFile(kind, file) {
+    const mtime = (await stat(file)).mtimeMs;
+    const mod   = await this._import(file);
+
+    // index files may only describe a parent command or group; a context menu always needs execute()
+    const type           = (mod.data?.toJSON?.() ?? mod.data)?.type;
+    const definitionOnly = kind === 'commands' && isIndex(file) && mod.data && type !== USER_CONTEXT && type !== MESSAGE_CONTEXT;
+    if (typeof mod.execute !== 'function' && !definitionOnly) {
+      throw new ForgeError(ForgeErrorCode.LOADER_INVALID_MODULE, `${file} must export an execute() function`);
+    }
+    if (kind === 'commands' && isIndex(file) && dirname(file) === this._dirs.commands) {
+      throw new ForgeError(ForgeErrorCode.LOADER_INVALID_MODULE, `${file} has no command to describe; index files belong in a command's directory`);
+    }
+
+    // Only drop the old routes once the new module has imported cleanly
+    this._unloadFile(file);
+
+    const registered = kind === 'commands'
+      ? this._registerCommand(file, mod)
+      : { handlers: this._registerComponent(file, mod), definitions: [] };
+
+    this._files.set(file, { mtime, ...registered });
+  }
+
+  _unloadFile(file) {
+    const entry = this._files.get(file);
+    if (!entry) return;
+    for (const handler of entry.handlers) this._router.off(handler);
+    for (const path of entry.definitions) this._router.offCommand(path);
+    this._files.delete(file);
+  }
+
+  _registerCommand(file, mod) {
+    const data       = mod.data ?? null;
+    const json       = data?.toJSON?.() ?? data;
+    const middleware = mod.middleware ?? [];
+    const execute    = (interaction, params) => mod.execute(interaction, params);
+
+    if (json?.type === USER_CONTEXT || json?.type === MESSAGE_CONTEXT) {
+      const method = json.type === USER_CONTEXT ? 'userContext' : 'messageContext';
+      this._router[method](json.name, { middleware, data }, execute);
+      return { handlers: [execute], definitions: [] };
+    }
+
+    const segments = routeSegments(this._dirs.commands, file);
+    if (json?.name && !isIndex(file)) segments[segments.length - 1] = json.name;
+    if (segments.length > 3) {
+      throw new ForgeError(ForgeErrorCode.LOADER_INVALID_MODULE, `${file} is nested deeper than command → group → subcommand`);
+    }
+
+    // An index two levels down describes a subcommand group
+    const groupData = isIndex(file) && segments.length === 2 && json && !json.type ? { ...json, type: 2 } : data;
+    const path      = segments.join(' ');
+
+    // A parent that only describes its subcommands gets no handler, so
+    // subcommands without a file of their own still reach the fallback
+    if (typeof mod.execute !== 'function') {
+      this._router.command(path, { data: groupData });
+      return { handlers: [], definitions: [path] };
+    }
+
+    this._router.command(path, { middleware, data: groupData }, execute);
+    if (typeof mod.autocomplete !== 'function') return { handlers: [execute], definitions: [] };
+
+    const autocomplete = (interaction, params) => mod.autocomplete(interaction, params);
+    this._router.autocomplete(path, { middleware }, autocomplete);
+    return { handlers: [execute, autocomplete], definitions: [] };
+  }
+
+  _registerComponent(file, mod) {
+    const customId = mod.customId ?? routeSegments(this._dirs.components, file).join(':');
+    const execute  = (interaction, params) => mod.execute(interaction, params);
+
+    this._router.on(customId, { middleware: mod.middleware ?? [], priority: mod.priority ?? 0 }, execute);
+    return [execute];
+  }
+
+  async _import(file) {
+    // ESM has no cache to clear, so every reload imports a fresh URL; CJS
+    // files go through require's cache, which can be cleared.
+    delete require.cache[file];
+    const url = `${pathToFileURL(file).href}?v=${this._version++}`;
+    const mod = await import(url);
+    return mod.default && typeof mod.default === 'object' ? { ...mod, ...mod.default } : mod;
+  }
+
+  async _scan(dir) {
+    const files = [];
+    const entries = await readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      // "_helpers.mjs" / "_shared/" are never treated as routes
+      if (entry.name.startsWith('_') || entry.name.startsWith('.')) continue;
+      const full = join(dir, entry.name);
+      if (entry.isDirectory()) files.push(...await this._scan(full));
+      else if (this._extensions.includes(extname(entry.name))) files.push(full);
+    }
+    return files;
+  }
+
+  async _startWatching() {
+    const dirs = [];
+    const walk = async (dir) => {
+      dirs.push(dir);
+      for (const entry of await readdir(dir, { withFileTypes: true })) {
+        // Same directories as _scan(): "_shared/" and dot-directories hold no routes
+        if (entry.isDirectory() && !entry.name.startsWith('_') && !entry.name.startsWith('.')) await walk(join(dir, entry.name));
+      }
+    };
+    for (const dir of Object.values(this._dirs)) if (dir) await walk(dir);
+
+    // Recursive fs.watch is not available everywhere, so watch each directory
+    for (const dir of dirs) {
+      if (this._watchers.has(dir)) continue;
+      const watcher = watch(dir, () => this._schedule());
+      watcher.on('error', () => { watcher.close(); this._watchers.delete(dir); });
+      if (watcher.unref) watcher.unref();
+      this._watchers.set(dir, watcher);
+    }
+  }
+
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this.sync().catch(err => this._fail(err)), this._debounce);
+  }
+
+  _fail(err, file) {
+    if (this.listenerCount('error')) this.emit('error', err, file);
+    else process.emitWarning(`CommandLoader: ${file ?? 'sync'} failed to load — ${err.message}`, { type: 'ForgeWarning' });
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function toPath(dir) {
+  return resolve(dir instanceof URL ? fileURLToPath(dir) : dir);
+}
+
+function isIndex(file) {
+  return basename(file, extname(file)) === 'index';
+}
+
+function routeSegments(root, file) {
+  const segments = relative(root, file).split(sep);
+  segments[segments.length - 1] = basename(file, extname(file));
+  if (isIndex(file)) segments.pop();
+  return segments;
+}
+
+/**
+ * @typedef {object} CommandLoaderOptions
+ * @property {string|URL} [commands]    Directory of slash command / context-menu modules
+ * @property {string|URL} [components]  Directory of button, select menu and modal modules
+ * @property {boolean}    [watch=false] Reload changed files without restarting
+ * @property {number}     [debounce=100] ms to wait for file changes to settle
+ * @property {string[]}   [extensions]  File extensions to load (default: .js, .mjs, .cjs)
+ */
@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./ItemList.mjs');
+module.exports = mod;
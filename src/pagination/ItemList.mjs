@@ -0,0 +1,171 @@
+import { EmbedPresets, Strings } from '../utils/index.mjs';
+
+// Discord embed limits
+const MAX_DESCRIPTION = 4_096;
+const MAX_FIELDS      = 25;
+const MAX_FIELD_NAME  = 256;
+const MAX_FIELD_VALUE = 1_024;
+const MAX_TITLE       = 256;
+
+/**
+ * ItemList — Turns an array of records into embed pages for `Paginator.fromItems()`.
+ *
+ * Each item renders to either a line of the description or an embed field.
+ * Pages hold at most `perPage` items and never exceed the 4096-character
+ * description or 25-field limits, so a page may end early. Sorting and
+ * filtering are applied before chunking; changing either rebuilds the pages.
+ */
+export class ItemList {
+  /**
+   * @param {Array<any>} items
+   * @param {ItemListOptions} options
+   */
+  constructor(items, options = {}) {
+    this._items   = [...items];
+    this._perPage = Math.max(1, options.perPage ?? 10);
+    this._render  = options.render ?? ((item) => String(item));
+    this._title   = options.title ?? '';
+    this._preset  = options.preset ?? 'info';
+    this._empty   = options.empty ?? 'Nothing to show.';
+    this._filter  = options.filter ?? null;
+    this._sort    = typeof options.sort === 'function' ? { compare: options.sort } : (options.sort ?? null);
+
+    this.descending = this._sort?.descending ?? false;
+    this.query      = '';
+  }
+
+  /** Whether the list needs its sort / filter controls. */
+  get interactive() {
+    return Boolean(this._sort || this._filter);
+  }
+
+  get canSort()   { return Boolean(this._sort); }
+  get canFilter() { return Boolean(this._filter); }
+
+  get sortLabel() {
+    return `${this._sort?.label ?? 'Sort'} ${this.descending ? '↓' : '↑'}`;
+  }
+
+  toggleSort() {
+    this.descending = !this.descending;
+  }
+
+  setQuery(query) {
+    this.query = query.trim();
+  }
+
+  /** Same items and options with its own sort / filter state. */
+  clone() {
+    return Object.assign(Object.create(ItemList.prototype), this);
+  }
+
+  /** @returns {Array<{ embeds: import('discord.js').EmbedBuilder[] }>} */
+  pages() {
+    let items = this._items.map((item, index) => ({ item, index }));
+
+    if (this._filter && this.query) items = items.filter(({ item }) => this._filter(item, this.query));
+    if (this._sort) {
+      const sign = this.descending ? -1 : 1;
+      items.sort((a, b) => sign * this._sort.compare(a.item, b.item) || a.index - b.index);
+    }
+
+    if (!items.length) {
+      const empty = this.query ? `No results for “${this.query}”.` : this._empty;
+      return [this._page(0, 1, [], empty, [0, 0, 0])];
+    }
+
+    const chunks = this._chunk(items);
+    let start    = 0;
+
+    return chunks.map((chunk, i) => {
+      const lines  = chunk.filter(output => typeof output === 'string');
+      const fields = chunk.filter(output => typeof output !== 'string');
+      const range  = [start + 1, start + chunk.length, items.length];
+      start += chunk.length;
+
+      return this._page(i, chunks.length, fields, lines.join('\n'), range);
+    });
+  }
+
+  // ─── Internals ─────────────────────────────────────────────────────────────
+
+  _chunk(items) {
+    const chunks = [];
+    let current  = [];
+    let length   = 0;
+    let fields   = 0;
+
+    // `position` follows the sorted / filtered order, so numbering matches what the user sees
+    items.forEach(({ item }, position) => {
+      const output = normalise(this._render(item, position));
+      const size   = typeof output === 'string' ? output.length + 1 : 0;
+      const field  = typeof output === 'string' ? 0 : 1;
+
+      const full = current.length >= this._perPage
+        || length + size > MAX_DESCRIPTION + 1
+        || fields + field > MAX_FIELDS;
+
+      if (full && current.length) {
+        chunks.push(current);
+        current = [];
+        length  = 0;
+        fields  = 0;
+      }
+
+      current.push(output);
+      length += size;
+      fields += field;
+    });
+
+    if (current.length) chunks.push(current);
+    return chunks;
+  }
+
+  _page(index, total, fields, description, [from, to, count]) {
+    const title  = typeof this._title === 'function' ? this._title(index, total) : this._title;
+    const preset = EmbedPresets[this._preset] ?? EmbedPresets.info;
+
+    const footer = count
+      ? `${from}–${to} of ${count}${this.query ? ` · filter: “${this.query}”` : ''}`
+      : (this.query ? `filter: “${this.query}”` : undefined);
+
+    // The preset puts its emoji in front, which counts towards the limit too
+    const embed = preset.call(EmbedPresets, Strings.truncate(title || 'List', MAX_TITLE - prefixLength(preset)), description || undefined, {
+      fields: fields.length ? fields : undefined,
+      footer: footer ? { text: footer } : undefined,
+    });
+    return { embeds: [embed] };
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Characters an EmbedPresets style adds in front of the title, e.g. "ℹ️ ". */
+function prefixLength(preset) {
+  return preset.call(EmbedPresets, '.').data.title.length - 1;
+}
+
+/** Clamp a rendered item to what one page can hold. */
+function normalise(output) {
+  if (typeof output === 'string' || typeof output === 'number') {
+    return Strings.truncate(String(output), MAX_DESCRIPTION);
+  }
+  return {
+    name:   Strings.truncate(String(output.name ?? '​'), MAX_FIELD_NAME),
+    value:  Strings.truncate(String(output.value ?? '​'), MAX_FIELD_VALUE),
+    inline: output.inline ?? false,
+  };
+}
+
+/**
+ * @typedef {object} ItemListOptions
+ * @property {number} [perPage=10]  Items per page (pages may hold fewer to stay within embed limits)
+ * @property {(item: any, position: number) => string|{ name: string, value: string, inline?: boolean }} [render]
+ *           A string becomes a description line, an object an embed field. `position` is 0-based in the shown order
+ * @property {string|((page: number, total: number) => string)} [title]
+ * @property {'info'|'success'|'warning'|'error'|'loading'} [preset='info']  EmbedPresets style
+ * @property {((a: any, b: any) => number)|{ compare: (a: any, b: any) => number, label?: string, descending?: boolean }} [sort]
+ *           Adds a button that flips the sort direction
+ * @property {(item: any, query: string) => boolean} [filter]  Adds a button that asks for a search query
+ * @property {string} [empty='Nothing to show.']
+ */
@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./PageSource.mjs');
+module.exports = mod;
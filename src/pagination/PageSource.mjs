@@ -0,0 +1,202 @@
+import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+
+/**
+ * Page sources give Paginator one interface over every way of supplying pages:
+ *
+ *   get(index)      → Promise<payload | undefined>  (undefined past the last page)
+ *   peek(index)     → payload | undefined, only if already loaded
+ *   prefetch(index) → warm the pages either side of `index` in the background
+ *   count           → total pages, or null while still unknown
+ *   known           → pages that can be listed right now (count, or how many were seen)
+ *
+ * @param {PaginatorPages} pages
+ * @param {{ cacheSize?: number, prefetch?: boolean }} [options]
+ */
+export function createPageSource(pages, options = {}) {
+  if (Array.isArray(pages)) return new ArraySource(pages);
+  if (typeof pages?.fetch === 'function') return new IndexSource(pages, options);
+  if (typeof pages?.next === 'function' && !isIterable(pages)) return new CursorSource(pages, options);
+  if (isIterable(pages)) return new IteratorSource(pages, options);
+
+  throw new ForgeError(
+    ForgeErrorCode.PAGINATOR_INVALID_SOURCE,
+    'Pass an array of pages, { count, fetch(index) }, { next(cursor) } or an async iterable'
+  );
+}
+
+// ─── Sources ─────────────────────────────────────────────────────────────────
+
+class ArraySource {
+  constructor(pages) {
+    this.pages = pages;
+    this.count = pages.length;
+    this.known = pages.length;
+  }
+
+  async get(index) { return this.pages[index]; }
+  peek(index)      { return this.pages[index]; }
+  prefetch()       {}
+}
+
+/** `{ count, fetch(index) }` — random access, so only the LRU window is kept. */
+class IndexSource {
+  constructor({ count, fetch }, options) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new ForgeError(ForgeErrorCode.PAGINATOR_INVALID_SOURCE, '`count` must be a non-negative integer');
+    }
+    this.count     = count;
+    this.known     = count;
+    this._fetch    = fetch;
+    this._cache    = new LRUCache(options.cacheSize ?? 10);
+    this._prefetch = options.prefetch ?? true;
+  }
+
+  get(index) {
+    if (index < 0 || index >= this.count) return Promise.resolve(undefined);
+    return this._cache.load(index, () => this._fetch(index));
+  }
+
+  peek(index) { return this._cache.peek(index); }
+
+  prefetch(index) {
+    if (!this._prefetch) return;
+    for (const i of [index + 1, index - 1]) this.get(i).catch(() => {});
+  }
+}
+
+/**
+ * `{ next(cursor) → { page, cursor } }` — each fetch returns the cursor of the
+ * following page (null on the last one). Cursors are remembered per index so
+ * evicted pages can be fetched again; moving forward past unseen pages walks
+ * the cursor chain.
+ */
+class CursorSource {
+  constructor({ next, start = null, count = null }, options) {
+    this.count     = count;
+    this._next     = next;
+    this._cursors  = [start];
+    this._cache    = new LRUCache(options.cacheSize ?? 10);
+    this._prefetch = options.prefetch ?? true;
+  }
+
+  async get(index) {
+    if (index < 0 || (this.count !== null && index >= this.count)) return undefined;
+
+    // Walk forward until the cursor for `index` is known
+    while (this._cursors.length <= index) {
+      const last = this._cursors.length - 1;
+      await this._load(last);
+      if (this.count !== null && index >= this.count) return undefined;
+    }
+    return this._load(index);
+  }
+
+  peek(index) { return this._cache.peek(index); }
+
+  /** Pages reachable without walking further: all of them once the end was seen. */
+  get known() { return this.count ?? this._cursors.length; }
+
+  prefetch(index) {
+    if (!this._prefetch) return;
+    for (const i of [index + 1, index - 1]) {
+      if (i >= 0 && i < this._cursors.length) this.get(i).catch(() => {});
+    }
+  }
+
+  _load(index) {
+    return this._cache.load(index, async () => {
+      const { page, cursor } = await this._next(this._cursors[index]);
+      if (cursor === null || cursor === undefined) this.count = index + 1;
+      else this._cursors[index + 1] = cursor;
+      return page;
+    });
+  }
+}
+
+/**
+ * Async (or sync) iterables cannot rewind, so every page they yield is kept.
+ * One page is read ahead so the paginator knows when it is on the last page.
+ */
+class IteratorSource {
+  constructor(iterable) {
+    this.count     = null;
+    this.pages     = [];
+    this._iterator = (iterable[Symbol.asyncIterator] ?? iterable[Symbol.iterator]).call(iterable);
+    this._pulling  = null;
+  }
+
+  async get(index) {
+    if (index < 0) return undefined;
+    while (this.count === null && this.pages.length <= index + 1) await this._pull();
+    return this.pages[index];
+  }
+
+  peek(index) { return this.pages[index]; }
+
+  get known() { return this.count ?? this.pages.length; }
+
+  prefetch(index) {
+    this.get(index + 1).catch(() => {});
+  }
+
+  _pull() {
+    // Serialise reads so concurrent get() calls never skip a page
+    this._pulling ??= Promise.resolve(this._iterator.next())
+      .then(({ value, done }) => {
+        if (done) this.count = this.pages.length;
+        else this.pages.push(value);
+      })
+      .finally(() => { this._pulling = null; });
+    return this._pulling;
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Map-based LRU holding in-flight promises too, so one page is never fetched twice at once. */
+class LRUCache {
+  constructor(size) {
+    this._size = Math.max(1, size);
+    /** @type {Map<number, { promise: Promise<any>, value?: any }>} */
+    this._map  = new Map();
+  }
+
+  load(key, loader) {
+    const hit = this._map.get(key);
+    if (hit) {
+      this._map.delete(key);
+      this._map.set(key, hit);
+      return hit.promise;
+    }
+
+    const entry = { promise: null, value: undefined };
+    entry.promise = Promise.resolve()
+      .then(loader)
+      .then(value => (entry.value = value))
+      .catch(err => {
+        // Failed fetches are retried next time instead of being cached
+        if (this._map.get(key) === entry) this._map.delete(key);
+        throw err;
+      });
+
+    this._map.set(key, entry);
+    while (this._map.size > this._size) this._map.delete(this._map.keys().next().value);
+    return entry.promise;
+  }
+
+  peek(key) {
+    return this._map.get(key)?.value;
+  }
+}
+
+function isIterable(value) {
+  return value !== null && typeof value === 'object'
+    && (typeof value[Symbol.asyncIterator] === 'function' || typeof value[Symbol.iterator] === 'function');
+}
+
+/**
+ * @typedef {Array<object>
+ *   | { count: number, fetch: (index: number) => Promise<object> }
+ *   | { next: (cursor: any) => Promise<{ page: object, cursor: any }>, start?: any, count?: number }
+ *   | AsyncIterable<object> | Iterable<object>} PaginatorPages
+ */
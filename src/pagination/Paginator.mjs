@@ -2,9 +2,20 @@ import {
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
-  ComponentType,
+  MessageFlagsBitField,
+  ModalBuilder,
+  StringSelectMenuBuilder,
+  TextInputBuilder,
+  TextInputStyle,
 } from 'discord.js';
+import { randomBytes } from 'node:crypto';
+import { EventEmitter } from 'node:events';
 import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+import { CustomIdCodec } from '../routing/CustomIdCodec.mjs';
+import { MemoryStore } from '../stores/MemoryStore.mjs';
+import { Perms } from '../utils/index.mjs';
+import { ItemList } from './ItemList.mjs';
+import { createPageSource } from './PageSource.mjs';
 
 const NAV_ID = {
   FIRST:    'forge_page_first',
@@ -12,6 +23,45 @@ const NAV_ID = {
   NEXT:     'forge_page_next',
   LAST:     'forge_page_last',
   STOP:     'forge_page_stop',
+  SELECT:   'forge_page_select',
+  JUMP:     'forge_page_jump',
+  SORT:     'forge_page_sort',
+  FILTER:   'forge_page_filter',
+};
+
+const MAX_SELECT_OPTIONS = 25;
+const MAX_ROW_BUTTONS    = 5;
+const MAX_ROWS           = 5;    // classic messages: action rows
+const MAX_V2_COMPONENTS  = 40;   // Components V2 messages: every component, nested ones included
+
+// Numeric so older discord.js releases without the V2 enums still load this module
+const IS_COMPONENTS_V2 = 1 << 15;
+const CONTAINER        = 17;
+const SEPARATOR        = 14;
+const V2_TYPES         = new Set([9, 10, 11, 12, 13, SEPARATOR, CONTAINER]);   // section … container
+
+// Collector end reasons as reported by the `end` event
+const END_REASON = { time: 'timeout' };
+
+const NAV_ACTION = {
+  [NAV_ID.FIRST]: 'first',
+  [NAV_ID.PREV]:  'prev',
+  [NAV_ID.NEXT]:  'next',
+  [NAV_ID.LAST]:  'last',
+  [NAV_ID.STOP]:  'stop',
+  [NAV_ID.SELECT]: 'select',
+  [NAV_ID.JUMP]:  'jump',
+  [NAV_ID.SORT]:  'sort',
+  [NAV_ID.FILTER]: 'filter',
+};
+
+// Persistent paginators encode their state key and the action in the customId
+const PAGE_ROUTE = new CustomIdCodec('forge_page', { id: 'string', action: Object.values(NAV_ACTION) });
+
+// Process-wide: every persistent paginator saves to, and every routed click reads from, this one store
+const persisted = {
+  store:   null,
+  routers: new WeakSet(),
 };
 
 /**
@@ -29,16 +79,50 @@ const NAV_ID = {
  * });
  *
  * await paginator.reply(interaction);
+ *
+ * // 10,000-row leaderboard: pages are rendered on demand, cached and prefetched
+ * new Paginator({ count: Math.ceil(total / 10), fetch: (i) => renderLeaderboard(i * 10, 10) });
+ *
+ * // Long help menus: a "jump to section" select plus a clickable "3 / 50" page counter
+ * new Paginator(helpPages, { select: true, jump: true, titles: sections.map(s => s.name) });
+ *
+ * // Plain records: chunked into embeds, with a sort toggle and a search modal
+ * Paginator.fromItems(members, {
+ *   perPage: 15,
+ *   title:   'Members',
+ *   render:  (m, i) => `${i + 1}. ${m.displayName}`,
+ *   sort:    { label: 'Name', compare: (a, b) => a.displayName.localeCompare(b.displayName) },
+ *   filter:  (m, query) => m.displayName.toLowerCase().includes(query.toLowerCase()),
+ * });
+ *
+ * // Persistent: state lives in a store and the buttons keep working after a restart
+ * Paginator.persist(forge.router, { store: redisStore });
+ * await new Paginator(pages, { persistent: true, timeout: 7 * 86_400_000 }).reply(interaction);
+ *
+ * // Components V2 pages: the controls go inside the page's last container
+ * const page = { components: [new ContainerBuilder().addTextDisplayComponents(t => t.setContent('# Rules'))] };
+ * new Paginator([page, ...], { controls: 'inside' });
+ *
+ * // Shared message: everyone browses their own ephemeral copy
+ * const shared = new Paginator(pages, { access: 'independent' });
+ * shared.on('pageChange', (page, previous, i) => log(`${i.user.tag} → page ${page + 1}`));
+ * shared.on('end', (reason) => log(`paginator ended: ${reason}`));   // 'timeout' | 'user' | 'manual'
+ * shared.on('error', (err, i) => log(err));   // a failed click; without a listener it is a process warning
+ * await shared.reply(interaction);
  */
-export class Paginator {
+export class Paginator extends EventEmitter {
   /**
-   * @param {Array<import('discord.js').InteractionReplyOptions>} pages
+   * @param {import('./PageSource.mjs').PaginatorPages} pages
+   *   Page payloads, or a lazy source: `{ count, fetch(index) }`, `{ next(cursor) }` or an async iterable
    * @param {PaginatorOptions} [options]
    */
   constructor(pages, options = {}) {
-    if (!pages?.length) throw new ForgeError(ForgeErrorCode.PAGINATOR_NO_PAGES);
+    super();
+    if (!pages) throw new ForgeError(ForgeErrorCode.PAGINATOR_NO_PAGES);
+
+    this._source     = createPageSource(pages, options);
+    if (this._source.count === 0) throw new ForgeError(ForgeErrorCode.PAGINATOR_NO_PAGES);
 
-    this._pages      = pages;
     this._current    = options.startPage ?? 0;
     this._timeout    = options.timeout    ?? 120_000;
     this._showCount  = options.showPageCount ?? true;
@@ -49,11 +133,85 @@ export class Paginator {
       next:  options.labels?.next  ?? '›',
       last:  options.labels?.last  ?? '»',
       stop:  options.labels?.stop  ?? '✕',
+      select: options.labels?.select ?? 'Jump to…',
+      jump:  options.labels?.jump  ?? 'Go to page',
+      filter: options.labels?.filter ?? '🔍 Filter',
     };
     this._showStop   = options.showStop   ?? true;
-    this._userId     = options.userId     ?? null;   // restrict to a specific user
+    this._select     = options.select     ?? false;
+    this._jump       = options.jump       ?? false;
+    this._controls   = options.controls   ?? 'inside';
+    this._titleOf    = options.titles;
+    this._titles     = Array.isArray(pages) ? pages.map((page, i) => pageTitle(options.titles, page, i)) : null;
+    this._userId     = options.userId     ?? null;   // the owner; restricts navigation in 'owner' mode
+    this._access     = options.access     ?? 'owner';
+    this._persistent = options.persistent ?? false;
+    this._list       = null;   // ItemList behind Paginator.fromItems()
+    this._pages      = pages;
+    this._options    = options;
+    this._sessions   = new Map();   // independent mode: userId → that user's ephemeral Paginator
     this._collector  = null;
     this._message    = null;
+    this._origin     = null;   // interaction replied to, needed to edit ephemeral replies
+    this._id         = null;   // store key of a persistent paginator
+    this._expiresAt  = null;
+
+    if (this._persistent && !persisted.store) {
+      throw new ForgeError(ForgeErrorCode.PERSISTENCE_NOT_CONFIGURED, 'Call Paginator.persist(router) at start-up');
+    }
+    if (this._persistent && !Array.isArray(pages)) {
+      throw new ForgeError(ForgeErrorCode.PAGINATOR_INVALID_SOURCE, 'Persistent paginators need an array of pages');
+    }
+    if (!isAccessMode(this._access)) {
+      throw new ForgeError(ForgeErrorCode.PAGINATOR_INVALID_ACCESS, "Use 'owner', 'anyone', 'independent' or { users, roles }");
+    }
+    if (this._persistent && this._access === 'independent') {
+      throw new ForgeError(ForgeErrorCode.PAGINATOR_INVALID_ACCESS, 'Persistent paginators cannot use independent navigation');
+    }
+  }
+
+  /**
+   * Handle the buttons of persistent paginators through `router`. Call it once
+   * at start-up, before the first interaction arrives, so paginators sent by a
+   * previous process are picked up again.
+   *
+   * The store is shared by all paginators in the process, whichever router
+   * they are clicked through: calling this for a second router (another bot
+   * in the same process) routes it too, and a `store` given replaces the
+   * current one for everyone. Each router is only routed once.
+   * @param {import('../routing/InteractionRouter.mjs').InteractionRouter} router
+   * @param {{ store?: import('../stores/MemoryStore.mjs').ForgeStore }} [options]
+   */
+  static persist(router, options = {}) {
+    persisted.store = options.store ?? persisted.store ?? new MemoryStore();
+    if (persisted.routers.has(router)) return;
+
+    persisted.routers.add(router);
+    router.on(PAGE_ROUTE, (interaction, params) => Paginator._handlePersistent(interaction, params));
+  }
+
+  /**
+   * Build a paginator from plain records. Items are chunked into embeds made
+   * with `EmbedPresets`, staying within the 4096-character description and
+   * 25-field limits. `sort` adds a button that flips the order and `filter`
+   * one that asks for a search query in a modal.
+   * @param {Array<any>} items
+   * @param {import('./ItemList.mjs').ItemListOptions & PaginatorOptions} [options]
+   * @returns {Paginator}
+   */
+  static fromItems(items, options = {}) {
+    if (!Array.isArray(items)) {
+      throw new ForgeError(ForgeErrorCode.PAGINATOR_INVALID_SOURCE, '`items` must be an array');
+    }
+
+    const list = new ItemList(items, options);
+    if (options.persistent && list.interactive) {
+      throw new ForgeError(ForgeErrorCode.PAGINATOR_INVALID_SOURCE, 'Persistent paginators cannot sort or filter items');
+    }
+
+    const paginator = new Paginator(list.pages(), options);
+    paginator._list = list;
+    return paginator;
   }
 
   // ─── Public API ────────────────────────────────────────────────────────────
@@ -64,9 +222,11 @@ export class Paginator {
    */
   async reply(interaction) {
     this._userId ??= interaction.user.id;
-    const payload = this._buildPayload();
+    this._origin   = interaction;
+    if (this._persistent) await this._save();
+    const payload = await this._buildPayload();
     this._message = await interaction.reply({ ...payload, fetchReply: true });
-    this._startCollector();
+    if (!this._persistent) this._startCollector();
   }
 
   /**
@@ -76,131 +236,588 @@ export class Paginator {
    */
   async send(channel, userId) {
     if (userId) this._userId = userId;
-    const payload = this._buildPayload();
+    if (this._persistent) await this._save();
+    const payload = await this._buildPayload();
+    delete payload.ephemeral;
     this._message = await channel.send(payload);
-    this._startCollector();
+    if (!this._persistent) this._startCollector();
   }
 
   /**
-   * Programmatically jump to a page index.
+   * Programmatically jump to a page index. Rejects with PAGINATOR_PAGE_FAILED
+   * when a lazy source cannot load it.
    * @param {number} index
    */
   async goTo(index) {
-    if (index < 0 || index >= this._pages.length) {
+    if (!Number.isInteger(index) || index < 0 || await this._load(index) === undefined) {
       throw new ForgeError(ForgeErrorCode.PAGINATOR_INVALID_PAGE, `Index ${index} out of bounds`);
     }
-    this._current = index;
+    const previous = this._current;
+    this._current  = index;
     await this._update();
+    if (this._persistent) await this._save();
+    if (index !== previous) this.emit('pageChange', index, previous, null);
   }
 
   /** Stop the paginator immediately and disable all buttons. */
   async stop() {
-    this._collector?.stop('manual');
+    if (!this._persistent) return this._collector?.stop('manual');
+    await persisted.store.delete(stateKey(this._id));
+    await this._disable();
+    this.emit('end', 'manual');
   }
 
   // ─── Internals ─────────────────────────────────────────────────────────────
 
-  _buildPayload() {
-    const page     = this._pages[this._current];
-    const total    = this._pages.length;
+  /** @param {boolean} [disabled=false]  disable every navigation button */
+  async _buildPayload(disabled = false) {
+    const page     = await this._load(this._current);
+    if (page === undefined) {
+      throw new ForgeError(this._current === 0 ? ForgeErrorCode.PAGINATOR_NO_PAGES : ForgeErrorCode.PAGINATOR_INVALID_PAGE);
+    }
+    if (!disabled) this._source.prefetch(this._current);
+
+    const total    = this._source.count;   // null until a lazy source reaches its end
     const isFirst  = this._current === 0;
-    const isLast   = this._current === total - 1;
+    const isLast   = total !== null && this._current === total - 1;
     const onlyOne  = total === 1;
 
-    const row = new ActionRowBuilder().addComponents(
+    const buttons = [
       new ButtonBuilder()
-        .setCustomId(NAV_ID.FIRST)
+        .setCustomId(this._navId(NAV_ID.FIRST))
         .setLabel(this._labels.first)
         .setStyle(ButtonStyle.Secondary)
-        .setDisabled(isFirst || onlyOne),
+        .setDisabled(isFirst || onlyOne || disabled),
       new ButtonBuilder()
-        .setCustomId(NAV_ID.PREV)
+        .setCustomId(this._navId(NAV_ID.PREV))
         .setLabel(this._labels.prev)
         .setStyle(ButtonStyle.Secondary)
-        .setDisabled(isFirst || onlyOne),
-      ...(this._showCount
+        .setDisabled(isFirst || onlyOne || disabled),
+      // In jump mode the counter opens the "go to page" modal
+      ...(this._showCount || this._jump
         ? [new ButtonBuilder()
-            .setCustomId('forge_page_count')
-            .setLabel(`${this._current + 1} / ${total}`)
+            .setCustomId(this._jump ? this._navId(NAV_ID.JUMP) : 'forge_page_count')
+            .setLabel(`${this._current + 1} / ${total ?? '?'}`)
             .setStyle(ButtonStyle.Secondary)
-            .setDisabled(true)]
+            .setDisabled(!this._jump || onlyOne || disabled)]
         : []),
       new ButtonBuilder()
-        .setCustomId(NAV_ID.NEXT)
+        .setCustomId(this._navId(NAV_ID.NEXT))
         .setLabel(this._labels.next)
         .setStyle(ButtonStyle.Secondary)
-        .setDisabled(isLast || onlyOne),
+        .setDisabled(isLast || onlyOne || disabled),
       new ButtonBuilder()
-        .setCustomId(NAV_ID.LAST)
+        .setCustomId(this._navId(NAV_ID.LAST))
         .setLabel(this._labels.last)
         .setStyle(ButtonStyle.Secondary)
-        .setDisabled(isLast || onlyOne),
+        .setDisabled(isLast || onlyOne || disabled || total === null),
       ...(this._showStop
         ? [new ButtonBuilder()
-            .setCustomId(NAV_ID.STOP)
+            .setCustomId(this._navId(NAV_ID.STOP))
             .setLabel(this._labels.stop)
-            .setStyle(ButtonStyle.Danger)]
+            .setStyle(ButtonStyle.Danger)
+            .setDisabled(disabled)]
         : []),
+    ];
+
+    // A row holds five buttons: of the default six, only stop spills onto a second row
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += MAX_ROW_BUTTONS) {
+      rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + MAX_ROW_BUTTONS)));
+    }
+
+    const controls = [
+      ...(this._select ? [this._selectRow(disabled || onlyOne)] : []),
+      ...(this._list?.interactive ? [this._listRow(disabled)] : []),
+      ...rows,
+    ];
+
+    return { ...withControls(page, controls, this._controls), ephemeral: this._ephemeral };
+  }
+
+  /** Page titles as select options, windowed around the current page past 25 pages. */
+  _selectRow(disabled) {
+    const total = this._source.count;
+    const known = this._source.known;
+    const start = Math.max(0, Math.min(this._current - Math.floor(MAX_SELECT_OPTIONS / 2), known - MAX_SELECT_OPTIONS));
+    const end   = Math.min(known, start + MAX_SELECT_OPTIONS);
+
+    const options = [];
+    for (let i = start; i < end; i++) {
+      options.push({
+        label:       this._titles?.[i] ?? pageTitle(this._titleOf, this._source.peek(i), i),
+        value:       String(i),
+        description: `Page ${i + 1} of ${total ?? '?'}`,
+        default:     i === this._current,
+      });
+    }
+
+    return new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(this._navId(NAV_ID.SELECT))
+        .setPlaceholder(this._labels.select)
+        .addOptions(options)
+        .setDisabled(disabled),
     );
+  }
 
-    return {
-      ...page,
-      components: [...(page.components ?? []), row],
-      ephemeral: this._ephemeral,
-    };
+  /** Sort toggle and filter buttons of a `fromItems()` paginator. */
+  _listRow(disabled) {
+    const row = new ActionRowBuilder();
+    if (this._list.canSort) {
+      row.addComponents(new ButtonBuilder()
+        .setCustomId(NAV_ID.SORT)
+        .setLabel(this._list.sortLabel)
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(disabled));
+    }
+    if (this._list.canFilter) {
+      row.addComponents(new ButtonBuilder()
+        .setCustomId(NAV_ID.FILTER)
+        .setLabel(this._labels.filter)
+        .setStyle(this._list.query ? ButtonStyle.Primary : ButtonStyle.Secondary)
+        .setDisabled(disabled));
+    }
+    return row;
+  }
+
+  _jumpModal(customId) {
+    const total = this._source.count ?? '…';
+    return new ModalBuilder()
+      .setCustomId(customId)
+      .setTitle(this._labels.jump)
+      .addComponents(new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('page')
+          .setLabel(`Page (1–${total})`)
+          .setStyle(TextInputStyle.Short)
+          .setPlaceholder(String(this._current + 1))
+          .setMaxLength(typeof total === 'number' ? String(total).length : 6)
+          .setRequired(true),
+      ));
+  }
+
+  /** Page index entered in the jump modal, or null after telling the user it is invalid. */
+  async _readJump(submit) {
+    const raw   = submit.fields.getTextInputValue('page').trim();
+    const index = /^\d+$/.test(raw) ? Number(raw) - 1 : -1;
+
+    // A failed lookup on a lazy source has reached its end, so count is known by now
+    if (index < 0 || await this._load(index) === undefined) {
+      await submit.reply({ content: `❌ Enter a page number between 1 and ${this._source.count}.`, ephemeral: true });
+      return null;
+    }
+    return index;
+  }
+
+  /**
+   * Move for a navigation action, loading the target page first so a failed
+   * fetch leaves the paginator where it was.
+   * @returns {Promise<boolean>} whether the page changed
+   */
+  async _navigate(action, interaction) {
+    const total = this._source.count;
+    let target;
+    switch (action) {
+      case 'first':  target = 0;                                  break;
+      case 'prev':   target = this._current - 1;                  break;
+      case 'next':   target = this._current + 1;                  break;
+      case 'last':   target = total === null ? null : total - 1;  break;
+      case 'select': target = Number(interaction.values[0]);      break;
+    }
+
+    if (!Number.isInteger(target) || target < 0 || target === this._current) return false;
+    if (await this._load(target) === undefined) return false;
+    this._current = target;
+    return true;
   }
 
   _startCollector() {
     if (!this._message) return;
 
     this._collector = this._message.createMessageComponentCollector({
-      componentType: ComponentType.Button,
       time:          this._timeout,
       filter:        (i) => {
-        const allowed = !this._userId || i.user.id === this._userId;
-        if (!allowed) i.reply({ content: '❌ This pagination is not for you.', ephemeral: true }).catch(() => {});
-        return allowed && Object.values(NAV_ID).includes(i.customId);
+        if (!Object.values(NAV_ID).includes(i.customId)) return false;
+        if (this._allows(i)) return true;
+        this._deny(i);
+        return false;
       },
     });
 
-    this._collector.on('collect', async (btn) => {
-      await btn.deferUpdate();
+    this._collector.on('collect', async (i) => {
+      const action   = NAV_ACTION[i.customId];
+      const previous = this._current;
+      let source     = i;   // the interaction that caused the change, a modal submit for jump / filter
 
-      switch (btn.customId) {
-        case NAV_ID.FIRST: this._current = 0;                          break;
-        case NAV_ID.PREV:  this._current = Math.max(0, this._current - 1); break;
-        case NAV_ID.NEXT:  this._current = Math.min(this._pages.length - 1, this._current + 1); break;
-        case NAV_ID.LAST:  this._current = this._pages.length - 1;    break;
-        case NAV_ID.STOP:  this._collector.stop('user'); return;
+      try {
+        if (this._access === 'independent' && action !== 'stop') return await this._openSession(i, action);
+
+        if (action === 'jump' || action === 'filter') {
+          source = action === 'jump' ? await this._promptJump(i) : await this._promptFilter(i);
+          if (!source) return;
+          await source.deferUpdate();
+        } else {
+          await i.deferUpdate();
+          if (action === 'stop') return this._collector.stop('user');
+          if (action === 'sort') {
+            this._list.toggleSort();
+            this._resetList();
+          } else if (!await this._navigate(action, i)) {
+            return;
+          }
+        }
+        await this._update();
+      } catch (err) {
+        return this._fail(err, source);
       }
 
-      await this._update();
+      if (this._current !== previous) this.emit('pageChange', this._current, previous, source);
     });
 
-    this._collector.on('end', async () => {
+    this._collector.on('end', async (_, reason) => {
+      for (const session of this._sessions.values()) session.stop();
       await this._disable().catch(() => {});
+      this.emit('end', END_REASON[reason] ?? reason);
+    });
+  }
+
+  /** A click that failed. Only a page the source failed to load is worth telling the user about. */
+  _fail(err, interaction) {
+    if (err?.code === ForgeErrorCode.PAGINATOR_PAGE_FAILED) {
+      interaction.followUp({ content: '❌ That page could not be loaded.', ephemeral: true }).catch(() => {});
+    }
+    this._report(err, interaction);
+  }
+
+  /** The `error` event, or a process warning when nothing listens. */
+  _report(err, interaction) {
+    if (this.listenerCount('error')) this.emit('error', err, interaction);
+    else process.emitWarning(`Paginator: a click failed — ${err?.stack ?? err}`, { type: 'ForgeWarning' });
+  }
+
+  _allows(interaction) {
+    // On a shared message only the owner may end it for everyone
+    if (this._access === 'independent' && NAV_ACTION[interaction.customId] === 'stop') {
+      return !this._userId || interaction.user.id === this._userId;
+    }
+    return hasAccess(this._access, this._userId, interaction);
+  }
+
+  _deny(interaction) {
+    this.emit('denied', interaction);
+    interaction.reply({ content: '❌ This pagination is not for you.', ephemeral: true }).catch(() => {});
+  }
+
+  /**
+   * Independent mode: the shared message never moves. Each click opens an
+   * ephemeral copy for that user, already on the page their click leads to.
+   */
+  async _openSession(interaction, action) {
+    const userId  = interaction.user.id;
+    const session = this._fork(userId);
+    let opener    = interaction;
+
+    if (action === 'jump' || action === 'filter') {
+      opener = action === 'jump' ? await session._promptJump(interaction) : await session._promptFilter(interaction);
+      if (!opener) return;
+    } else if (action === 'sort') {
+      session._list.toggleSort();
+      session._resetList();
+    } else {
+      await session._navigate(action, interaction);
+    }
+
+    // One copy per user; clicking the shared message again replaces it
+    this._sessions.get(userId)?.stop();
+    this._sessions.set(userId, session);
+    session.on('pageChange', (...args) => this.emit('pageChange', ...args));
+    session.on('error', (err, i) => this._report(err, i));
+    session.once('end', () => {
+      if (this._sessions.get(userId) === session) this._sessions.delete(userId);
     });
+
+    await session.reply(opener);
+    if (session._current !== this._current) this.emit('pageChange', session._current, this._current, opener);
+  }
+
+  /** A private copy for one user, sharing the already loaded pages. */
+  _fork(userId) {
+    const session = new Paginator(this._pages, {
+      ...this._options,
+      startPage: this._current,
+      access:    'owner',
+      userId,
+      ephemeral: true,
+    });
+    session._source = this._source;
+    session._titles = this._titles;
+    session._list   = this._list?.clone() ?? null;
+    return session;
+  }
+
+  /** Ask for a page number; resolves with the modal submit once moved there, or null. */
+  async _promptJump(interaction) {
+    const modalId = `${NAV_ID.JUMP}_${Date.now()}`;
+    await interaction.showModal(this._jumpModal(modalId));
+
+    const submit = await interaction.awaitModalSubmit({
+      time:   this._timeout,
+      filter: (i) => i.customId === modalId && i.user.id === interaction.user.id,
+    }).catch(() => null);
+    if (!submit) return null;
+
+    const index = await this._readJump(submit);
+    if (index === null) return null;
+
+    this._current = index;
+    return submit;
+  }
+
+  /** Ask for a search query; resolves with the modal submit once the list is re-chunked, or null. */
+  async _promptFilter(interaction) {
+    const modalId = `${NAV_ID.FILTER}_${Date.now()}`;
+    const input   = new TextInputBuilder()
+      .setCustomId('query')
+      .setLabel('Search')
+      .setStyle(TextInputStyle.Short)
+      .setPlaceholder('Leave empty to show everything')
+      .setMaxLength(100)
+      .setRequired(false);
+    if (this._list.query) input.setValue(this._list.query);
+
+    await interaction.showModal(new ModalBuilder()
+      .setCustomId(modalId)
+      .setTitle(this._labels.filter)
+      .addComponents(new ActionRowBuilder().addComponents(input)));
+
+    const submit = await interaction.awaitModalSubmit({
+      time:   this._timeout,
+      filter: (i) => i.customId === modalId && i.user.id === interaction.user.id,
+    }).catch(() => null);
+    if (!submit) return null;
+
+    this._list.setQuery(submit.fields.getTextInputValue('query'));
+    this._resetList();
+    return submit;
+  }
+
+  /** Re-chunk the item list after its sort or filter changed, back on the first page. */
+  _resetList() {
+    const pages   = this._list.pages();
+    this._source  = createPageSource(pages);
+    this._titles  = pages.map((page, i) => pageTitle(this._titleOf, page, i));
+    this._current = 0;
+  }
+
+  /** A page from the source, with its failures as PAGINATOR_PAGE_FAILED. */
+  async _load(index) {
+    try {
+      return await this._source.get(index);
+    } catch (err) {
+      throw Object.assign(new ForgeError(ForgeErrorCode.PAGINATOR_PAGE_FAILED, `Page ${index + 1}: ${err?.message ?? err}`), { cause: err });
+    }
+  }
+
+  _navId(id) {
+    return this._persistent ? PAGE_ROUTE.build({ id: this._id, action: NAV_ACTION[id] }) : id;
   }
 
   async _update() {
-    const payload = this._buildPayload();
-    delete payload.ephemeral;
-    await this._message.edit(payload).catch(() => {});
+    await this._edit(await this._buildPayload());
   }
 
   async _disable() {
     if (!this._message) return;
-    const page = this._pages[this._current];
-    const disabledRow = new ActionRowBuilder().addComponents(
-      ...(this._message.components.at(-1)?.components ?? []).map(c =>
-        ButtonBuilder.from(c.toJSON()).setDisabled(true)
-      )
+    await this._edit(await this._buildPayload(true));
+  }
+
+  /** Ephemeral replies can only be edited through the interaction that sent them. */
+  async _edit(payload) {
+    delete payload.ephemeral;
+    const edit = this._ephemeral && this._origin ? this._origin.editReply(payload) : this._message.edit(payload);
+    await edit.catch(() => {});
+  }
+
+  // ─── Persistence ───────────────────────────────────────────────────────────
+
+  async _save() {
+    this._id        ??= randomBytes(8).toString('hex');
+    this._expiresAt ??= Date.now() + this._timeout;
+
+    const state = {
+      // Builders are flattened to JSON so any store can hold the pages
+      pages:     JSON.parse(JSON.stringify(this._source.pages)),
+      current:   this._current,
+      userId:    this._userId,
+      access:    this._access,
+      showCount: this._showCount,
+      showStop:  this._showStop,
+      select:    this._select,
+      jump:      this._jump,
+      controls:  this._controls,
+      titles:    this._titles,
+      labels:    this._labels,
+      expiresAt: this._expiresAt,
+    };
+    await persisted.store.set(stateKey(this._id), state, Math.max(1, this._expiresAt - Date.now()));
+  }
+
+  static async _handlePersistent(interaction, { id, action }) {
+    const state = await persisted.store.get(stateKey(id));
+
+    // Expired or stopped elsewhere — just freeze the buttons
+    if (!state) {
+      return interaction.update({ components: disableNavigation(interaction.message) });
+    }
+    if (!hasAccess(state.access ?? 'owner', state.userId, interaction)) {
+      return interaction.reply({ content: '❌ This pagination is not for you.', ephemeral: true });
+    }
+
+    const paginator = new Paginator(state.pages, {
+      startPage:     state.current,
+      showPageCount: state.showCount,
+      showStop:      state.showStop,
+      select:        state.select,
+      jump:          state.jump,
+      controls:      state.controls,
+      titles:        state.titles,
+      labels:        state.labels,
+      userId:        state.userId,
+      access:        state.access,
+      persistent:    true,
+    });
+    paginator._id        = id;
+    paginator._expiresAt = state.expiresAt;
+
+    // The counter button opens the modal; its submission comes back on the same customId
+    if (action === 'jump' && !interaction.isModalSubmit()) {
+      return interaction.showModal(paginator._jumpModal(PAGE_ROUTE.build({ id, action })));
+    }
+
+    if (action === 'stop') {
+      await persisted.store.delete(stateKey(id));
+    } else if (action === 'jump') {
+      const index = await paginator._readJump(interaction);
+      if (index === null) return;
+      paginator._current = index;
+      await paginator._save();
+    } else {
+      await paginator._navigate(action, interaction);
+      await paginator._save();
+    }
+
+    const payload = await paginator._buildPayload(action === 'stop');
+    delete payload.ephemeral;
+    await interaction.update(payload);
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function stateKey(id) {
+  return `forge:page:${id}`;
+}
+
+function isAccessMode(access) {
+  if (['owner', 'anyone', 'independent'].includes(access)) return true;
+  return typeof access === 'object' && access !== null && (Array.isArray(access.users) || Array.isArray(access.roles));
+}
+
+/** Whether `interaction.user` may navigate. The owner is always allowed in allow-list mode. */
+function hasAccess(access, ownerId, interaction) {
+  const userId = interaction.user.id;
+  if (access === 'anyone' || access === 'independent') return true;
+  if (access === 'owner') return !ownerId || userId === ownerId;
+  return userId === ownerId || Boolean(access.users?.includes(userId)) || Perms.hasRole(interaction, access.roles ?? []);
+}
+
+function disableNavigation(message) {
+  const components = message.components.map(toJSON);
+  eachComponent(components, (component) => {
+    if (component.custom_id?.startsWith('forge_page')) component.disabled = true;
+  });
+  return components;
+}
+
+// ─── Layout ──────────────────────────────────────────────────────────────────
+
+/**
+ * Add the navigation rows to a page: after its own rows for classic messages,
+ * inside its last container (or at the end) for Components V2 messages.
+ * Throws PAGINATOR_TOO_MANY_COMPONENTS when the result would be rejected.
+ */
+function withControls(page, controls, placement) {
+  if (!isComponentsV2(page)) {
+    const components = [...(page.components ?? []), ...controls];
+    if (components.length > MAX_ROWS) {
+      throw new ForgeError(
+        ForgeErrorCode.PAGINATOR_TOO_MANY_COMPONENTS,
+        `The page has ${components.length - controls.length} action rows and navigation needs ${controls.length}; `
+          + `a message allows ${MAX_ROWS}`
+      );
+    }
+    return { ...page, components };
+  }
+
+  // Copies, so stored pages never collect controls
+  const components = (page.components ?? []).map(toJSON);
+  const rows       = controls.map(toJSON);
+  const index      = placement === 'inside' ? components.findLastIndex(c => c.type === CONTAINER) : -1;
+
+  if (index === -1) {
+    components.push(...rows);
+  } else {
+    const container   = components[index];
+    components[index] = { ...container, components: [...container.components, { type: SEPARATOR }, ...rows] };
+  }
+
+  let total = 0;
+  eachComponent(components, () => total++);
+  if (total > MAX_V2_COMPONENTS) {
+    throw new ForgeError(
+      ForgeErrorCode.PAGINATOR_TOO_MANY_COMPONENTS,
+      `The page and its navigation use ${total} components; a message allows ${MAX_V2_COMPONENTS}`
     );
-    await this._message.edit({
-      ...page,
-      components: [...(page.components ?? []), disabledRow],
-    }).catch(() => {});
   }
+
+  return { ...page, components, flags: new MessageFlagsBitField(page.flags ?? 0).add(IS_COMPONENTS_V2).bitfield };
+}
+
+function isComponentsV2(page) {
+  if (page.flags && new MessageFlagsBitField(page.flags).has(IS_COMPONENTS_V2)) return true;
+  return (page.components ?? []).some(component => V2_TYPES.has(toJSON(component).type));
+}
+
+/** Visit every component, including rows' children, container children and section accessories. */
+function eachComponent(components, fn) {
+  for (const component of components) {
+    fn(component);
+    if (component.components) eachComponent(component.components, fn);
+    if (component.accessory)  eachComponent([component.accessory], fn);
+  }
+}
+
+function toJSON(component) {
+  return typeof component.toJSON === 'function' ? component.toJSON() : component;
+}
+
+/** Select-menu label for a page; `page` is undefined for lazy pages not loaded yet. */
+function pageTitle(titles, page, i) {
+  const title = typeof titles === 'function' ? titles(page, i) : titles?.[i];
+  const embed = page?.embeds?.[0];
+  // `||` rather than `??`: Discord rejects an empty option label
+  const label = String(title ?? embed?.data?.title ?? embed?.title ?? firstText(page) ?? '').trim();
+  return (label || `Page ${i + 1}`).slice(0, 100);
+}
+
+/** First line of a Components V2 page's first text display, without heading marks. */
+function firstText(page) {
+  let text;
+  eachComponent((page?.components ?? []).map(toJSON), (component) => {
+    text ??= component.type === 10 ? component.content?.split('\n')[0].replace(/^#+\s*/, '') : undefined;
+  });
+  return text || undefined;
 }
 
 /**
@@ -210,6 +827,20 @@ export class Paginator {
  * @property {boolean} [showPageCount=true] Show "X / Y" counter button
  * @property {boolean} [showStop=true]     Show stop button
  * @property {boolean} [ephemeral=false]   Make the reply ephemeral
- * @property {string}  [userId]            Restrict navigation to one user
- * @property {{ first?: string, prev?: string, next?: string, last?: string, stop?: string }} [labels]
+ * @property {string}  [userId]            Owner of the paginator; defaults to the user replied to
+ * @property {'owner'|'anyone'|'independent'|{ users?: string[], roles?: string[] }} [access='owner']
+ *           Who may navigate: the owner only, anyone, the owner plus listed users / roles, or anyone
+ *           on their own ephemeral copy while the shared message stays put
+ * @property {boolean} [persistent=false]  Keep state in the `Paginator.persist()` store instead of a collector;
+ *                                         `timeout` is then how long the buttons keep working
+ * @property {boolean} [select=false]     Add a select menu to jump to any page by title
+ * @property {boolean} [jump=false]       Make the page counter open a "go to page" modal
+ * @property {'inside'|'below'} [controls='inside']  Components V2 pages: put the navigation inside the
+ *           page's last container, or below the page
+ * @property {string[]|((page: object|undefined, index: number) => string)} [titles]  Select menu labels; default: first embed title.
+ *           With lazy sources `page` is undefined until that page has been loaded
+ * @property {number}  [cacheSize=10]      Lazy sources: rendered pages kept in the LRU cache
+ * @property {boolean} [prefetch=true]     Lazy sources: load the neighbouring pages in the background
+ * @property {{ first?: string, prev?: string, next?: string, last?: string, stop?: string, select?: string, jump?: string, filter?: string }} [labels]
+ *           `select` is the menu placeholder, `jump` the modal title, `filter` the `fromItems()` filter button
  */
@@ -26,7 +26,8 @@ export class ForgeRest {
    * Make a raw REST request to the Discord API.
    * @param {'GET'|'POST'|'PUT'|'PATCH'|'DELETE'} method
    * @param {string} endpoint
-   * @param {{ body?: any, reason?: string, query?: Record<string,string> }} [options]
+   * @param {{ body?: any, reason?: string, query?: Record<string,string>, onHeaders?: (headers: Headers) => void }} [options]
+   *   `onHeaders` sees the headers of every response, errors included — e.g. the rate-limit ones
    */
   async request(method, endpoint, options = {}) {
     let url = `${DISCORD_API}${endpoint}`;
@@ -43,12 +44,16 @@ export class ForgeRest {
     }
 
     let body;
-    if (options.body !== undefined) {
+    if (options.body instanceof FormData) {
+      // fetch sets the multipart Content-Type and boundary itself
+      body = options.body;
+    } else if (options.body !== undefined) {
       headers['Content-Type'] = 'application/json';
       body = JSON.stringify(options.body);
     }
 
     const res = await fetch(url, { method, headers, body });
+    options.onHeaders?.(res.headers);
     if (res.status === 204) return null;
 
     const data = await res.json();
@@ -61,12 +66,14 @@ export class ForgeRest {
     const message     = data?.message ?? '';
 
     if (status === 429) {
-      throw new ForgeError(
+      const error = new ForgeError(
         ForgeErrorCode.RATE_LIMITED,
         `Retry-After: ${data?.retry_after}s`,
         status,
         discordCode
       );
+      error.retryAfter = Math.ceil((data?.retry_after ?? 1) * 1_000);
+      throw error;
     }
 
     const mapped = DISCORD_CODE_MAP[discordCode];
@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./CustomIdCodec.mjs');
+module.exports = mod;
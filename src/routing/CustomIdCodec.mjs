@@ -0,0 +1,204 @@
+import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+
+const MAX_CUSTOM_ID = 100;
+const SEP           = ':';
+
+/**
+ * Field encoders. Each one validates a value, turns it into a short string
+ * that never contains the separator, and reads it back.
+ */
+const TYPES = {
+  string: {
+    valid:  (v) => typeof v === 'string',
+    // A lone "%" (never produced by escaping) is the empty string; an empty part is a missing value
+    encode: (v) => (v === '' ? '%' : v.replace(/%/g, '%25').replace(/:/g, '%3A')),
+    decode: (s) => (s === '%' ? '' : s.replace(/%3A/g, ':').replace(/%25/g, '%')),
+  },
+  int: {
+    valid:  (v) => Number.isSafeInteger(v),
+    encode: (v) => v.toString(36),
+    decode: (s) => /^-?[0-9a-z]+$/.test(s) ? parseInt(s, 36) : NaN,
+  },
+  number: {
+    valid:  (v) => typeof v === 'number' && Number.isFinite(v),
+    encode: (v) => String(v),
+    decode: (s) => s === '' ? NaN : Number(s),
+  },
+  bool: {
+    valid:  (v) => typeof v === 'boolean',
+    encode: (v) => (v ? '1' : '0'),
+    decode: (s) => (s === '1' ? true : s === '0' ? false : undefined),
+  },
+  snowflake: {
+    valid:  (v) => (typeof v === 'string' && /^\d{1,20}$/.test(v)) || typeof v === 'bigint',
+    encode: (v) => BigInt(v).toString(36),
+    decode: (s) => /^[0-9a-z]+$/.test(s) ? fromBase36(s).toString() : undefined,
+  },
+};
+
+/**
+ * CustomIdCodec — Typed, compact customIds with state baked in.
+ *
+ * Each field of the schema is encoded in declaration order after the codec
+ * name, so `{ userId: '123456789012345678', days: 7 }` becomes `ban:xrls1wq49ji:7`.
+ * Snowflakes and integers are stored in base 36, strings are escaped, and
+ * the result is checked against Discord's 100-character customId limit.
+ *
+ * Field types: `'string'`, `'int'`, `'number'`, `'bool'`, `'snowflake'`, or an
+ * array of allowed strings (stored as its index). Append `?` to make a field
+ * optional.
+ *
+ * @example
+ * import { CustomIdCodec } from 'djs-forge/routing';
+ *
+ * const ban = new CustomIdCodec('ban', { userId: 'snowflake', days: 'int', reason: 'string?' });
+ *
+ * const customId = ban.build({ userId: '123456789012345678', days: 7 });
+ * ban.parse(customId); // { userId: '123456789012345678', days: 7, reason: undefined }
+ *
+ * // Usually created through the router, which also registers the handler:
+ * const banRoute = router.define('ban', { userId: 'snowflake', days: 'int' }, async (interaction, { userId, days }) => {
+ *   await interaction.guild.members.ban(userId, { deleteMessageSeconds: days * 86_400 });
+ * });
+ */
+export class CustomIdCodec {
+  /**
+   * @param {string} name    Route name, the fixed prefix of every customId
+   * @param {Record<string, CodecFieldType>} [schema]
+   */
+  constructor(name, schema = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new ForgeError(ForgeErrorCode.ROUTER_INVALID_PATTERN, 'Codec name must be a non-empty string');
+    }
+
+    this.name    = name;
+    this._fields = Object.entries(schema).map(([key, type]) => compileField(key, type));
+    this._prefix = '';   // set by InteractionRouter when mounted under a literal prefix
+
+    const overhead = name.length + this._fields.length * SEP.length;
+    if (overhead > MAX_CUSTOM_ID) {
+      throw new ForgeError(ForgeErrorCode.ROUTER_CUSTOM_ID_TOO_LONG, `Codec "${name}" cannot fit in ${MAX_CUSTOM_ID} characters`);
+    }
+  }
+
+  /**
+   * Encode params into a customId.
+   * @param {Record<string, any>} [params]
+   * @returns {string}
+   * @throws {ForgeError} ROUTER_INVALID_PARAMS, ROUTER_CUSTOM_ID_TOO_LONG
+   */
+  build(params = {}) {
+    const parts = [this._prefix + this.name];
+
+    for (const field of this._fields) {
+      const value = params[field.key];
+
+      if (value === undefined || value === null) {
+        if (!field.optional) this._invalid(`"${field.key}" is required`);
+        parts.push('');
+        continue;
+      }
+      if (!field.codec.valid(value)) this._invalid(`"${field.key}" is not a valid ${field.label}`);
+      parts.push(field.codec.encode(value));
+    }
+
+    // Drop trailing missing optionals so short ids stay short
+    while (parts.length > 1 && parts.at(-1) === '' && this._fields[parts.length - 2].optional) parts.pop();
+
+    const customId = parts.join(SEP);
+    if (customId.length > MAX_CUSTOM_ID) {
+      throw new ForgeError(
+        ForgeErrorCode.ROUTER_CUSTOM_ID_TOO_LONG,
+        `"${this.name}" encoded to ${customId.length} characters`
+      );
+    }
+    return customId;
+  }
+
+  /**
+   * Decode a customId produced by `build()`, with or without its mount prefix.
+   * @param {string} customId
+   * @returns {Record<string, any>}
+   * @throws {ForgeError} ROUTER_INVALID_PARAMS if the customId is malformed
+   */
+  parse(customId) {
+    if (this._prefix && customId.startsWith(this._prefix + this.name)) customId = customId.slice(this._prefix.length);
+    if (!this.matches(customId)) this._invalid(`"${customId}" was not built by this codec`);
+
+    const raw    = customId === this.name ? [] : customId.slice(this.name.length + SEP.length).split(SEP);
+    const params = {};
+
+    if (raw.length > this._fields.length) this._invalid(`"${customId}" has too many fields`);
+
+    this._fields.forEach((field, i) => {
+      const part = raw[i] ?? '';
+      if (part === '') {
+        if (!field.optional) this._invalid(`"${field.key}" is missing`);
+        params[field.key] = undefined;
+        return;
+      }
+      const value = field.codec.decode(part);
+      if (value === undefined || Number.isNaN(value)) {
+        this._invalid(`"${field.key}" could not be decoded as ${field.label}`);
+      }
+      params[field.key] = value;
+    });
+
+    return params;
+  }
+
+  /**
+   * Whether a customId belongs to this codec.
+   * @param {string} customId
+   * @returns {boolean}
+   */
+  matches(customId) {
+    return customId === this.name || customId.startsWith(this.name + SEP);
+  }
+
+  toString() {
+    return this.name;
+  }
+
+  _invalid(extra) {
+    throw new ForgeError(ForgeErrorCode.ROUTER_INVALID_PARAMS, `${this.name}: ${extra}`);
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function compileField(key, type) {
+  if (Array.isArray(type)) {
+    if (!type.length || type.some(v => typeof v !== 'string')) {
+      throw new ForgeError(ForgeErrorCode.ROUTER_INVALID_PATTERN, `Enum field "${key}" must be a non-empty array of strings`);
+    }
+    return { key, optional: false, label: `one of ${type.join(', ')}`, codec: enumCodec(type) };
+  }
+
+  const optional = typeof type === 'string' && type.endsWith('?');
+  const name     = optional ? type.slice(0, -1) : type;
+  const codec    = TYPES[name];
+
+  if (!codec) {
+    throw new ForgeError(ForgeErrorCode.ROUTER_INVALID_PATTERN, `Unknown field type "${type}" for "${key}"`);
+  }
+  return { key, optional, label: name, codec };
+}
+
+function enumCodec(values) {
+  return {
+    valid:  (v) => values.includes(v),
+    encode: (v) => values.indexOf(v).toString(36),
+    decode: (s) => /^[0-9a-z]+$/.test(s) ? values[parseInt(s, 36)] : undefined,
+  };
+}
+
+function fromBase36(s) {
+  let n = 0n;
+  for (const c of s) n = n * 36n + BigInt(parseInt(c, 36));
+  return n;
+}
+
+/**
+ * @typedef {'string'|'int'|'number'|'bool'|'snowflake'|'string?'|'int?'|'number?'|'bool?'|'snowflake?'|string[]} CodecFieldType
+ */
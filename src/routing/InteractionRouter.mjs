@@ -1,4 +1,25 @@
 import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+import { EmbedPresets } from '../utils/index.mjs';
+import { CustomIdCodec } from './CustomIdCodec.mjs';
+
+export { CustomIdCodec };
+
+// Pattern kinds in match order; exact ids never reach this (they use a Map)
+const KIND_RANK = { codec: 0, glob: 0, mount: 0, regex: 1 };
+
+// ForgeError codes a user can act on, shown by the default error handler.
+// Anything else gets the generic message so internals are never leaked.
+const FRIENDLY_ERRORS = {
+  [ForgeErrorCode.COOLDOWN_ACTIVE]:        ['On Cooldown',         (d) => `Please wait${d ? ` **${d.replace(/ remaining$/, '')}**` : ''} before using this again.`],
+  [ForgeErrorCode.COOLDOWN_CONTENDED]:     ['Busy',                () => 'Too many uses at once. Please try again.'],
+  [ForgeErrorCode.MISSING_PERMISSIONS]:    ['Missing Permissions', () => 'I don\'t have the permissions needed to do that here.'],
+  [ForgeErrorCode.MISSING_ACCESS]:         ['Missing Access',      () => 'I can\'t access that channel or resource.'],
+  [ForgeErrorCode.RATE_LIMITED]:           ['Slow Down',           () => 'Discord is rate limiting me. Please try again in a moment.'],
+  [ForgeErrorCode.CONFIRMATION_TIMED_OUT]: ['Timed Out',           () => 'No response was received in time.'],
+  [ForgeErrorCode.FORM_TIMED_OUT]:         ['Timed Out',           () => 'The form was not submitted in time.'],
+  [ForgeErrorCode.UNKNOWN_MESSAGE]:        ['Not Found',           () => 'That message no longer exists.'],
+  [ForgeErrorCode.UNKNOWN_CHANNEL]:        ['Not Found',           () => 'That channel no longer exists.'],
+};
 
 /**
  * InteractionRouter — Route customIds to handlers without giant if/else chains.
@@ -6,6 +27,11 @@ import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
  * Supports exact strings, prefix patterns (with `*` wildcard) and full RegExp.
  * Variables from regex named groups are passed to the handler as params.
  *
+ * Exact ids are looked up in a Map and always win. Everything else is tried by
+ * `priority` (default 0), then globs and codecs before regexes, then the most
+ * literal characters, then registration order. Registering a route that an
+ * earlier one already covers emits a `ForgeWarning`.
+ *
  * @example
  * import { InteractionRouter } from 'djs-forge/routing';
  *
@@ -19,47 +45,276 @@ import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
  *   console.log(wildcard); // "1" | "next" | ...
  * });
  *
+ * // Explicit priority  →  tried before other globs and regexes
+ * router.on('page_*', { priority: 10 }, async (interaction) => { ... });
+ *
  * // Named-group regex  →  extract dynamic IDs cleanly
  * router.on(/^ban_(?<userId>\d+)$/, async (interaction, { userId }) => {
  *   await interaction.guild.members.ban(userId);
  * });
  *
+ * // Slash commands, subcommands and subcommand groups  →  "name group sub"
+ * router.command('mod ban', async (interaction) => { ... });
+ *
+ * // Autocomplete for one option (omit the option to catch every focused option)
+ * router.autocomplete('mod ban', 'reason', async (interaction, { value }) => { ... });
+ *
+ * // Context menus
+ * router.userContext('Report', async (interaction, { targetId }) => { ... });
+ * router.messageContext('Quote', async (interaction, { targetId }) => { ... });
+ *
+ * // Typed state in customIds  →  compact, validated, length-checked
+ * const ban = router.define('ban', { userId: 'snowflake', days: 'int' }, async (interaction, { userId, days }) => { ... });
+ * new ButtonBuilder().setCustomId(ban.build({ userId: member.id, days: 7 }));
+ *
+ * // Middleware  →  Koa-style, global or per route
+ * router.use(async (interaction, params, next) => {
+ *   console.time(interaction.id);
+ *   await next();
+ *   console.timeEnd(interaction.id);
+ * });
+ * router.command('mod ban', [requireBanPerms], async (interaction) => { ... });
+ *
+ * // Feature modules  →  prefixed groups and mounted sub-routers
+ * router.group('ticket:', [staffOnly], (tickets) => {
+ *   tickets.on('open', async (interaction) => { ... });   // "ticket:open"
+ * });
+ * router.mount('eco:', economyRouter);
+ *
+ * // Errors thrown by handlers or middleware  →  one place
+ * router.onError(async (err, interaction, route) => {
+ *   logger.error(err, route?.pattern);
+ *   await InteractionRouter.defaultErrorHandler(err, interaction);
+ * });
+ *
  * // Attach to your client
  * client.on('interactionCreate', (i) => router.handle(i));
  */
 export class InteractionRouter {
-  constructor() {
-    /** @type {Array<{ pattern: string|RegExp, compiled: RegExp, handler: Function, once: boolean }>} */
-    this._routes  = [];
-    this._fallback = null;
+  /**
+   * @param {InteractionRouterOptions} [options]
+   */
+  constructor(options = {}) {
+    /** @type {Map<string, Array<Route>>}  customId → routes, first one wins */
+    this._exact      = new Map();
+    /** @type {Array<Route>}  glob / regex / codec routes, kept in match order */
+    this._routes     = [];
+    /** @type {Map<string, Route>}  "type:pattern" → command / autocomplete / context-menu route */
+    this._commands   = new Map();
+    /** @type {Function[]} */
+    this._middleware = [];
+    this._fallback   = null;
+    this._onError    = null;
+    this._warnings   = options.warnings !== false;
+    this._seq        = 0;
+    this._prefix     = '';   // literal customId prefix this router is mounted under
   }
 
   // ─── Registration ──────────────────────────────────────────────────────────
 
+  /**
+   * Register global middleware, run in registration order before every matched route.
+   * Each middleware receives `(interaction, params, next)` and must `await next()`
+   * to continue; returning without calling it short-circuits the route.
+   * @param {...Function} middleware
+   * @returns {this}
+   */
+  use(...middleware) {
+    this._middleware.push(...validateMiddleware(middleware.flat()));
+    return this;
+  }
+
   /**
    * Register a handler for a customId pattern.
-   * @param {string|RegExp} pattern  Exact string, glob ("page_*"), or RegExp
-   * @param {Function}      handler  (interaction, params) => void
+   * @param {string|RegExp|CustomIdCodec} pattern  Exact string, glob ("page_*"), RegExp or codec
+   * @param {Function[]|RouteOptions} [options]  Route middleware (run after global middleware) or options
+   * @param {Function}      handler       (interaction, params) => void
    * @returns {this}
    */
-  on(pattern, handler) {
-    this._register(pattern, handler, false);
+  on(pattern, options, handler) {
+    this._register(pattern, ...splitOptions(options, handler), false);
     return this;
   }
 
   /**
    * Register a one-time handler that unregisters itself after the first match.
-   * @param {string|RegExp} pattern
+   * @param {string|RegExp|CustomIdCodec} pattern
+   * @param {Function[]|RouteOptions} [options]
    * @param {Function}      handler
    * @returns {this}
    */
-  once(pattern, handler) {
-    this._register(pattern, handler, true);
+  once(pattern, options, handler) {
+    this._register(pattern, ...splitOptions(options, handler), true);
+    return this;
+  }
+
+  /**
+   * Define a typed customId route. The handler receives the decoded params;
+   * use the returned codec's `build()` to create matching customIds.
+   * @param {string}     name          Route name, the fixed customId prefix
+   * @param {Record<string, import('./CustomIdCodec.mjs').CodecFieldType>} schema
+   * @param {Function[]|RouteOptions} [options]
+   * @param {Function}   handler       (interaction, params) => void
+   * @returns {CustomIdCodec}
+   */
+  define(name, schema, options, handler) {
+    const codec = new CustomIdCodec(name, schema);
+    this.on(codec, options, handler);
+    return codec;
+  }
+
+  /**
+   * Mount another router under a customId prefix. customIds starting with the
+   * prefix are matched against the mounted router with the prefix removed;
+   * its slash commands and context menus are routed as-is.
+   *
+   * The prefix may be a literal ("eco:"), a glob ("shop_*:") or a RegExp
+   * matched at the start of the customId; its wildcard and named groups are
+   * merged into the handler's params. Under a literal prefix, codecs of the
+   * mounted router build full customIds automatically.
+   *
+   * Middleware order: this router's global middleware, the mount middleware,
+   * then the mounted router's own global and route middleware. A mounted
+   * router without its own onError() or fallback() uses this router's.
+   * @param {string|RegExp}          prefix
+   * @param {InteractionRouter}      router
+   * @param {Function[]|RouteOptions} [options]
+   * @returns {this}
+   */
+  mount(prefix, router, options) {
+    if (!(router instanceof InteractionRouter) || router === this) {
+      throw new ForgeError(ForgeErrorCode.ROUTER_INVALID_PATTERN, 'mount() expects another InteractionRouter');
+    }
+
+    let compiled, specificity;
+    const literal = typeof prefix === 'string' && !prefix.includes('*');
+
+    if (prefix instanceof RegExp) {
+      compiled    = new RegExp(`^(?:${prefix.source})`, prefix.flags.replace('g', ''));
+      specificity = 0;
+    } else if (typeof prefix === 'string' && prefix) {
+      compiled    = new RegExp(`^${escapeRegExp(prefix).replace(/\*/g, '(.+?)')}`);
+      specificity = prefix.replace(/\*/g, '').length;
+    } else {
+      throw new ForgeError(ForgeErrorCode.ROUTER_INVALID_PATTERN, 'Mount prefix must be a non-empty string or RegExp');
+    }
+
+    if (literal) router._applyPrefix(this._prefix + prefix);
+
+    const [, { middleware, priority }] = splitOptions(options, router);
+    this._routes.push({
+      type:       'customId',
+      kind:       'mount',
+      pattern:    prefix,
+      compiled,
+      router,
+      literal,
+      handler:    null,
+      middleware: validateMiddleware(middleware),
+      priority:   priority ?? 0,
+      once:       false,
+      specificity,
+      seq:        this._seq++,
+    });
+    this._routes.sort(compareRoutes);
+    return this;
+  }
+
+  /**
+   * Create a sub-router for a customId prefix and mount it.
+   * @example
+   * router.group('ticket:', [staffOnly], (tickets) => {
+   *   tickets.on('open', openTicket);      // "ticket:open"
+   *   tickets.on('close_*', closeTicket);  // "ticket:close_123"
+   * });
+   * @param {string|RegExp}          prefix
+   * @param {Function[]|RouteOptions} [options]  Middleware shared by every route in the group
+   * @param {Function}               fn         (sub: InteractionRouter) => void
+   * @returns {this}
+   */
+  group(prefix, options, fn) {
+    if (fn === undefined) [options, fn] = [undefined, options];
+    const sub = new InteractionRouter({ warnings: this._warnings });
+    this.mount(prefix, sub, options);
+    fn(sub);
+    return this;
+  }
+
+  /**
+   * Register a handler for a slash command.
+   * Subcommands and groups are addressed by their full path, e.g. "mod ban" or
+   * "config roles add". A handler on a parent path ("mod") catches every
+   * subcommand that has no more specific handler.
+   *
+   * `command(name, { data })` without a handler only contributes `data` to
+   * `definitions()`: it never matches, so a parent described this way does not
+   * swallow subcommands that have no handler — they reach the fallback.
+   * @param {string}     name          Command path
+   * @param {Function[]} [middleware]
+   * @param {Function}   [handler]     (interaction, { subcommandGroup, subcommand }) => void
+   * @returns {this}
+   */
+  command(name, middleware, handler) {
+    if (handler === undefined && middleware?.data && typeof middleware === 'object' && !Array.isArray(middleware)) {
+      this._registerCommand('command', name, null, { middleware: [], ...middleware });
+      return this;
+    }
+    this._registerCommand('command', name, ...splitOptions(middleware, handler));
+    return this;
+  }
+
+  /**
+   * Remove the route registered for a command path, definition-only ones included.
+   * @param {string} name  Command path, e.g. "mod ban"
+   * @returns {this}
+   */
+  offCommand(name) {
+    this._commands.delete(`command:${normalisePath(name)}`);
+    return this;
+  }
+
+  /**
+   * Register an autocomplete handler for a slash command option.
+   * @param {string}     name          Command path, e.g. "mod ban"
+   * @param {string}     [option]      Focused option name; omit to handle every option
+   * @param {Function[]} [middleware]
+   * @param {Function}   handler       (interaction, { subcommandGroup, subcommand, option, value }) => void
+   * @returns {this}
+   */
+  autocomplete(name, option, middleware, handler) {
+    if (typeof option !== 'string') [option, middleware, handler] = ['', option, middleware];
+    this._registerCommand('autocomplete', name, ...splitOptions(middleware, handler), option);
+    return this;
+  }
+
+  /**
+   * Register a handler for a user context-menu command.
+   * @param {string}     name          Command name as shown in the context menu
+   * @param {Function[]} [middleware]
+   * @param {Function}   handler       (interaction, { targetId }) => void
+   * @returns {this}
+   */
+  userContext(name, middleware, handler) {
+    this._registerCommand('userContext', name, ...splitOptions(middleware, handler));
+    return this;
+  }
+
+  /**
+   * Register a handler for a message context-menu command.
+   * @param {string}     name          Command name as shown in the context menu
+   * @param {Function[]} [middleware]
+   * @param {Function}   handler       (interaction, { targetId }) => void
+   * @returns {this}
+   */
+  messageContext(name, middleware, handler) {
+    this._registerCommand('messageContext', name, ...splitOptions(middleware, handler));
     return this;
   }
 
   /**
    * Register a fallback that fires when no route matches.
+   * Not called for autocomplete interactions, which cannot be replied to.
+   * Middleware does not run for the fallback.
    * @param {Function} handler  (interaction) => void
    * @returns {this}
    */
@@ -69,45 +324,146 @@ export class InteractionRouter {
   }
 
   /**
-   * Remove all handlers for a given pattern (strict equality).
-   * @param {string|RegExp} pattern
+   * Register the error boundary for routed handlers, middleware and the fallback.
+   * Replaces the default, which replies with an `EmbedPresets.error` embed.
+   * Pass `null` to restore the default (or, on a mounted router, the parent's).
+   * @param {Function|null} handler  (error, interaction, route) => void — route is null for the fallback
    * @returns {this}
    */
-  off(pattern) {
-    this._routes = this._routes.filter(r => r.pattern !== pattern);
+  onError(handler) {
+    if (handler !== null && typeof handler !== 'function') {
+      throw new ForgeError(ForgeErrorCode.ROUTER_INVALID_PATTERN, 'Error handler must be a function');
+    }
+    this._onError = handler;
     return this;
   }
 
+  /**
+   * Remove the handlers for a customId pattern. Strings match by value, RegExps
+   * by source and flags, codecs by name. Pass a handler to remove only that one.
+   * Passing only a handler removes every route (commands included) it serves.
+   * @param {string|RegExp|CustomIdCodec|Function} pattern
+   * @param {Function} [handler]
+   * @returns {this}
+   */
+  off(pattern, handler) {
+    if (typeof pattern === 'function') {
+      for (const [id, list] of this._exact) {
+        const left = list.filter(r => r.handler !== pattern);
+        if (left.length) this._exact.set(id, left);
+        else this._exact.delete(id);
+      }
+      this._routes = this._routes.filter(r => r.handler !== pattern);
+      for (const [key, route] of this._commands) {
+        if (route.handler === pattern) this._commands.delete(key);
+      }
+      return this;
+    }
+
+    const matches = (r) => samePattern(r.pattern, pattern) && (!handler || r.handler === handler);
+
+    if (typeof pattern === 'string' && this._exact.has(pattern)) {
+      const left = this._exact.get(pattern).filter(r => !matches(r));
+      if (left.length) this._exact.set(pattern, left);
+      else this._exact.delete(pattern);
+    }
+    this._routes = this._routes.filter(r => !matches(r));
+    return this;
+  }
+
+  /**
+   * List every registered route, customId routes in the order they are tried.
+   * Mounted routers are listed with their own routes nested under `routes`.
+   * @returns {RouteInfo[]}
+   */
+  routes() {
+    return [
+      ...[...this._exact.values()].flat(),
+      ...this._routes,
+      ...this._commands.values(),
+    ].map(r => ({
+      type:       r.type,
+      kind:       r.kind,
+      pattern:    r.pattern,
+      priority:   r.priority,
+      once:       r.once,
+      middleware: r.middleware.length,
+      ...(r.router ? { routes: r.router.routes() } : {}),
+    }));
+  }
+
+  /**
+   * Build application command definitions from the `data` given to command and
+   * context-menu routes, including those of mounted routers. Routes on a
+   * subcommand path ("mod ban") are merged into their parent as subcommands;
+   * missing parents and groups are created with their name as description.
+   * @returns {object[]}  JSON bodies ready for the application commands endpoint
+   */
+  definitions() {
+    const top    = new Map();
+    const nested = [];
+
+    const collect = (router) => {
+      for (const route of router._commands.values()) {
+        if (!route.data) continue;
+        const json = structuredClone(route.data.toJSON?.() ?? route.data);
+        if (route.type === 'command' && route.pattern.includes(' ')) {
+          nested.push([route.pattern.split(' '), json]);
+        } else {
+          // Slash commands and context menus may share a name
+          top.set(`${json.type ?? 1}:${json.name}`, json);
+        }
+      }
+      for (const route of router._routes) {
+        if (route.kind === 'mount') collect(route.router);
+      }
+    };
+    collect(this);
+
+    // Groups ("config roles") before their subcommands ("config roles add")
+    nested.sort((a, b) => a[0].length - b[0].length);
+
+    for (const [segments, json] of nested) {
+      const [name, ...rest] = segments;
+      let parent = top.get(`1:${name}`);
+      if (!parent) top.set(`1:${name}`, parent = { name, description: name, options: [] });
+
+      if (rest.length === 2) {
+        parent = upsertOption(parent, { type: 2, name: rest[0], description: rest[0] }, false);
+      }
+      const type = rest.length === 1 && json.type === 2 ? 2 : 1;
+      upsertOption(parent, { ...subcommandFields(json), type, name: rest.at(-1) }, true);
+    }
+
+    return [...top.values()];
+  }
+
   // ─── Routing ───────────────────────────────────────────────────────────────
 
   /**
    * Handle an incoming interaction. Pass this to client.on('interactionCreate').
-   * Only processes component / modal interactions (those with a customId).
+   * Processes components and modals (by customId), slash commands,
+   * autocomplete and context-menu commands (by command name).
    * @param {import('discord.js').Interaction} interaction
    * @returns {Promise<boolean>}  true if a handler was found, false otherwise
    */
   async handle(interaction) {
-    if (!interaction.customId) return false;
-
     const customId = interaction.customId;
+    if (!customId && !interaction.commandName) return false;
 
-    for (let i = 0; i < this._routes.length; i++) {
-      const route = this._routes[i];
-      const match = customId.match(route.compiled);
-      if (!match) continue;
-
-      const params = match.groups ?? {};
-      if (match[1] !== undefined && !params.wildcard) params.wildcard = match[1];
-
-      if (route.once) this._routes.splice(i, 1);
+    const match = customId ? this._matchCustomId(customId) : this._matchCommand(interaction);
 
-      await route.handler(interaction, params);
+    if (match?.route) {
+      if (match.route.once) match.router._unregister(match.route);
+      // Params are resolved inside the boundary so malformed codec ids reach onError()
+      await this._run(match, interaction, () => this._dispatch(match.stack, interaction, match.params()));
       return true;
     }
 
-    if (this._fallback) {
-      await this._fallback(interaction);
-      return false;
+    // A mounted router whose prefix matched may bring its own fallback
+    const fallback = match?.router._fallback ?? this._fallback;
+    if (fallback && !interaction.isAutocomplete?.()) {
+      await this._run(match ?? this._fallbackMatch(), interaction, () => fallback(interaction));
     }
 
     return false;
@@ -119,37 +475,452 @@ export class InteractionRouter {
    * @returns {this}
    */
   attach(client) {
-    client.on('interactionCreate', (i) => this.handle(i));
+    // Only a throwing onError() handler can reject here; surface it on the client,
+    // or as a process warning when nothing listens there
+    client.on('interactionCreate', (i) => this.handle(i).catch((err) => {
+      if (client.listenerCount('error')) client.emit('error', err);
+      else process.emitWarning(`InteractionRouter: onError() threw — ${err?.stack ?? err}`, { type: 'ForgeWarning' });
+    }));
     return this;
   }
 
+  /**
+   * The default error handler. Replies, edits the deferred reply, or follows up
+   * with an ephemeral error embed depending on the interaction's state, so an
+   * acknowledged interaction is never replied to twice.
+   * @param {Error} error
+   * @param {import('discord.js').Interaction} interaction
+   * @returns {Promise<void>}
+   */
+  static async defaultErrorHandler(error, interaction) {
+    if (interaction.isAutocomplete?.()) {
+      if (!interaction.responded) await interaction.respond([]).catch(() => {});
+      return;
+    }
+    if (!interaction.isRepliable?.()) return;
+
+    const [title, describe] = (error instanceof ForgeError && FRIENDLY_ERRORS[error.code])
+      || ['Something went wrong', () => 'An unexpected error occurred while handling this interaction.'];
+    const embeds = [EmbedPresets.error(title, describe(error.detail))];
+
+    if (interaction.replied) {
+      await interaction.followUp({ embeds, ephemeral: true }).catch(() => {});
+    } else if (interaction.deferred) {
+      await interaction.editReply({ embeds, components: [] }).catch(() => {});
+    } else {
+      await interaction.reply({ embeds, ephemeral: true }).catch(() => {});
+    }
+  }
+
   // ─── Internals ─────────────────────────────────────────────────────────────
 
-  _register(pattern, handler, once) {
+  /**
+   * Find the route for a customId, descending into mounted routers.
+   * @returns {RouteMatch|null}
+   */
+  _matchCustomId(customId) {
+    const exact = this._exact.get(customId)?.[0];
+    if (exact) return this._match(exact, {});
+
+    for (const route of this._routes) {
+      const match = customId.match(route.compiled);
+      if (!match) continue;
+
+      const params = match.groups ? { ...match.groups } : {};
+      if (match[1] !== undefined && !params.wildcard) params.wildcard = match[1];
+
+      if (route.kind === 'mount') {
+        const inner = route.router._matchCustomId(customId.slice(match[0].length));
+        if (inner) return this._nest(route, inner, params);
+        continue;
+      }
+
+      return route.codec
+        ? this._match(route, () => route.codec.parse(customId))
+        : this._match(route, params);
+    }
+
+    return this._fallback ? this._fallbackMatch() : null;
+  }
+
+  /**
+   * Find the route for a command interaction: own routes first, then mounted routers.
+   * @returns {RouteMatch|null}
+   */
+  _matchCommand(interaction) {
+    const own = this._matchOwnCommand(interaction);
+    if (own) return own;
+
+    for (const route of this._routes) {
+      if (route.kind !== 'mount') continue;
+      const inner = route.router._matchCommand(interaction);
+      if (inner) return this._nest(route, inner, {});
+    }
+    return null;
+  }
+
+  _matchOwnCommand(interaction) {
+    if (interaction.isUserContextMenuCommand() || interaction.isMessageContextMenuCommand()) {
+      const type  = interaction.isUserContextMenuCommand() ? 'userContext' : 'messageContext';
+      const route = this._commands.get(`${type}:${interaction.commandName}`);
+      return route ? this._match(route, { targetId: interaction.targetId }) : null;
+    }
+
+    const isAutocomplete = interaction.isAutocomplete();
+    if (!isAutocomplete && !interaction.isChatInputCommand()) return null;
+
+    const subcommandGroup = interaction.options.getSubcommandGroup(false);
+    const subcommand      = interaction.options.getSubcommand(false);
+    const params          = { subcommandGroup, subcommand };
+
+    // Most specific path first: "mod users ban" → "mod users" → "mod"
+    const segments = [interaction.commandName, subcommandGroup, subcommand].filter(Boolean);
+    const paths    = segments.map((_, i) => segments.slice(0, segments.length - i).join(' '));
+
+    if (!isAutocomplete) {
+      for (const path of paths) {
+        const route = this._commands.get(`command:${path}`);
+        if (route?.handler) return this._match(route, params);
+      }
+      return null;
+    }
+
+    const focused = interaction.options.getFocused(true);
+    for (const path of paths) {
+      const route = this._commands.get(`autocomplete:${path}|${focused.name}`)
+        ?? this._commands.get(`autocomplete:${path}|`);
+      if (route) return this._match(route, { ...params, option: focused.name, value: focused.value });
+    }
+    return null;
+  }
+
+  /** @returns {RouteMatch} */
+  _match(route, params) {
+    return {
+      route,
+      router:  this,
+      params:  typeof params === 'function' ? params : () => params,
+      stack:   [...this._middleware, ...route.middleware, route.handler],
+      onError: this._onError,
+    };
+  }
+
+  /** Wrap a mounted router's match with this router's middleware, params and error handler. */
+  _nest(mount, inner, params) {
+    if (!inner.route) return { ...inner, onError: inner.onError ?? this._onError };
+    return {
+      ...inner,
+      params:  () => ({ ...params, ...inner.params() }),
+      stack:   [...this._middleware, ...mount.middleware, ...inner.stack],
+      onError: inner.onError ?? this._onError,
+    };
+  }
+
+  _fallbackMatch() {
+    return { route: null, router: this, onError: this._onError };
+  }
+
+  async _run(match, interaction, fn) {
+    try {
+      await fn();
+    } catch (err) {
+      const onError = match.onError ?? InteractionRouter.defaultErrorHandler;
+      await onError(err, interaction, match.route);
+    }
+  }
+
+  /**
+   * Run global middleware, route middleware and finally the handler as one
+   * Koa-style chain.
+   */
+  _dispatch(stack, interaction, params) {
+    let index = -1;
+
+    const next = (i) => {
+      if (i <= index) {
+        return Promise.reject(new ForgeError(ForgeErrorCode.ROUTER_INVALID_MIDDLEWARE, 'next() called multiple times'));
+      }
+      index = i;
+      const fn = stack[i];
+      if (!fn) return Promise.resolve();
+      try {
+        return Promise.resolve(fn(interaction, params, () => next(i + 1)));
+      } catch (err) {
+        return Promise.reject(err);
+      }
+    };
+
+    return next(0);
+  }
+
+  _registerCommand(type, name, handler, options, option) {
+    // null marks a definition-only command route
+    if (typeof handler !== 'function' && !(handler === null && type === 'command')) {
+      throw new ForgeError(ForgeErrorCode.ROUTER_INVALID_PATTERN, 'Handler must be a function');
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new ForgeError(ForgeErrorCode.ROUTER_INVALID_PATTERN, 'Command name must be a non-empty string');
+    }
+
+    // Context-menu names may legitimately contain repeated spaces; command paths may not
+    let pattern = type === 'userContext' || type === 'messageContext' ? name : normalisePath(name);
+    if (type === 'autocomplete') pattern += `|${option}`;
+    this._commands.set(`${type}:${pattern}`, {
+      type,
+      kind:       'exact',
+      pattern,
+      handler,
+      middleware: validateMiddleware(options.middleware),
+      data:       options.data ?? null,
+      priority:   0,
+      once:       false,
+    });
+  }
+
+  _register(pattern, handler, options, once) {
     if (typeof handler !== 'function') {
       throw new ForgeError(ForgeErrorCode.ROUTER_INVALID_PATTERN, 'Handler must be a function');
     }
 
-    let compiled;
+    let kind, compiled, specificity;
+    let codec = null;
 
-    if (pattern instanceof RegExp) {
-      compiled = pattern;
+    if (pattern instanceof CustomIdCodec) {
+      kind        = 'codec';
+      codec       = pattern;
+      compiled    = new RegExp(`^${escapeRegExp(pattern.name)}(?::|$)`);
+      specificity = pattern.name.length + 1;
+    } else if (pattern instanceof RegExp) {
+      kind        = 'regex';
+      compiled    = pattern;
+      specificity = 0;
     } else if (typeof pattern === 'string') {
       if (pattern.includes('*')) {
         // Convert glob  "prefix_*_suffix"  →  /^prefix_(.+)_suffix$/
-        const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '(.+)');
-        compiled = new RegExp(`^${escaped}$`);
+        const escaped = escapeRegExp(pattern).replace(/\*/g, '(.+)');
+        kind        = 'glob';
+        compiled    = new RegExp(`^${escaped}$`);
+        specificity = pattern.replace(/\*/g, '').length;
       } else {
         // Exact match
-        compiled = new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&')}$`);
+        kind        = 'exact';
+        compiled    = new RegExp(`^${escapeRegExp(pattern)}$`);
+        specificity = pattern.length;
       }
     } else {
       throw new ForgeError(
         ForgeErrorCode.ROUTER_INVALID_PATTERN,
-        'Pattern must be a string or RegExp'
+        'Pattern must be a string, RegExp or CustomIdCodec'
       );
     }
 
-    this._routes.push({ pattern, compiled, handler, once });
+    // Codecs build full customIds when this router sits under a literal prefix
+    if (codec) codec._prefix = this._prefix;
+
+    const route = {
+      type:       'customId',
+      kind,
+      pattern,
+      compiled,
+      codec,
+      handler,
+      middleware: validateMiddleware(options.middleware),
+      priority:   options.priority ?? 0,
+      once,
+      specificity,
+      seq:        this._seq++,
+    };
+
+    if (kind === 'exact') {
+      const list = this._exact.get(pattern) ?? [];
+      if (this._warnings && list.some(r => !r.once)) warnUnreachable(route, list.find(r => !r.once));
+      list.push(route);
+      this._exact.set(pattern, list);
+      return;
+    }
+
+    this._routes.push(route);
+    this._routes.sort(compareRoutes);
+    if (this._warnings) this._checkShadowing(route);
+  }
+
+  /**
+   * Warn about routes that can never match: the new one if an earlier route
+   * covers it, and any later route the new one now covers. Only globs and
+   * codecs can be checked structurally; regexes are only compared by source.
+   */
+  _checkShadowing(route) {
+    const index = this._routes.indexOf(route);
+
+    for (let i = 0; i < this._routes.length; i++) {
+      if (i === index) continue;
+      const [earlier, later] = i < index ? [this._routes[i], route] : [route, this._routes[i]];
+      if (earlier.once || !covers(earlier, later)) continue;
+      warnUnreachable(later, earlier);
+      if (i < index) return;
+    }
+  }
+
+  /** Prepend a literal prefix to every codec here and in literally-mounted routers. */
+  _applyPrefix(prefix) {
+    this._prefix = prefix + this._prefix;
+    for (const route of this._routes) {
+      if (route.codec) route.codec._prefix = prefix + route.codec._prefix;
+      if (route.kind === 'mount' && route.literal) route.router._applyPrefix(prefix);
+    }
+  }
+
+  _unregister(route) {
+    if (route.kind === 'exact') {
+      const list = this._exact.get(route.pattern).filter(r => r !== route);
+      if (list.length) this._exact.set(route.pattern, list);
+      else this._exact.delete(route.pattern);
+      return;
+    }
+    this._routes = this._routes.filter(r => r !== route);
   }
 }
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/** Accept `(handler)`, `([middleware], handler)` and `({ middleware, priority }, handler)`. */
+function splitOptions(options, handler) {
+  if (handler === undefined) return [options, { middleware: [] }];
+  if (Array.isArray(options)) return [handler, { middleware: options }];
+  return [handler, { middleware: [], ...options }];
+}
+
+function compareRoutes(a, b) {
+  return (b.priority - a.priority)
+    || (KIND_RANK[a.kind] - KIND_RANK[b.kind])
+    || (b.specificity - a.specificity)
+    || (a.seq - b.seq);
+}
+
+/**
+ * The fields of a command's `data` that are valid on a subcommand option;
+ * permissions, contexts, integration types and nsfw only exist at the top level.
+ */
+function subcommandFields(json) {
+  const option = { description: json.description ?? json.name };
+  for (const key of ['name_localizations', 'description_localizations', 'options']) {
+    if (json[key] !== undefined) option[key] = json[key];
+  }
+  return option;
+}
+
+/**
+ * Insert or merge a subcommand / group option into a command definition.
+ * @returns {object} the option now stored on `parent`
+ */
+function upsertOption(parent, option, replace) {
+  parent.options ??= [];
+  const index = parent.options.findIndex(o => o.name === option.name);
+  if (index === -1) {
+    parent.options.push(option);
+    return option;
+  }
+  if (!replace) return parent.options[index];
+
+  const existing = parent.options[index];
+  parent.options[index] = { ...existing, ...option, options: option.options?.length ? option.options : existing.options };
+  return parent.options[index];
+}
+
+function samePattern(a, b) {
+  if (a === b) return true;
+  if (a instanceof RegExp && b instanceof RegExp) return a.source === b.source && a.flags === b.flags;
+  if (a instanceof CustomIdCodec && b instanceof CustomIdCodec) return a.name === b.name;
+  return false;
+}
+
+/**
+ * Whether `earlier` matches every customId `later` can match. Wildcards are
+ * replaced by a character no real pattern spells out, so only routes that
+ * accept anything in those positions count as covering.
+ */
+function covers(earlier, later) {
+  // Mounts fall through when the mounted router has no match, so they never shadow
+  if (earlier.kind === 'mount' || later.kind === 'mount') return false;
+  if (samePattern(earlier.pattern, later.pattern)) return true;
+
+  let samples;
+  if (later.kind === 'glob')       samples = [later.pattern.replace(/\*/g, '\u0000')];
+  else if (later.kind === 'codec') samples = [later.pattern.name, `${later.pattern.name}:\u0000`];
+  else return false;
+
+  return samples.every(sample => sample.match(earlier.compiled));
+}
+
+function warnUnreachable(route, by) {
+  process.emitWarning(
+    `InteractionRouter: route ${describePattern(route.pattern)} is unreachable, ` +
+    `${describePattern(by.pattern)} matches first`,
+    { type: 'ForgeWarning', code: 'ROUTER_UNREACHABLE_ROUTE' }
+  );
+}
+
+function describePattern(pattern) {
+  if (pattern instanceof RegExp) return String(pattern);
+  if (pattern instanceof CustomIdCodec) return `codec "${pattern.name}"`;
+  return `"${pattern}"`;
+}
+
+function validateMiddleware(middleware = []) {
+  if (!Array.isArray(middleware) || middleware.some(fn => typeof fn !== 'function')) {
+    throw new ForgeError(ForgeErrorCode.ROUTER_INVALID_MIDDLEWARE, 'Middleware must be an array of functions');
+  }
+  return middleware;
+}
+
+// `*` is left alone: globs turn it into a capture group afterwards
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalisePath(path) {
+  return path.trim().split(/\s+/).join(' ');
+}
+
+/**
+ * @typedef {object} InteractionRouterOptions
+ * @property {boolean} [warnings=true]  Emit a ForgeWarning when a route is unreachable
+ */
+
+/**
+ * @typedef {object} RouteOptions
+ * @property {Function[]} [middleware]  Route middleware, run after global middleware
+ * @property {number}     [priority=0]  Higher is tried first (glob, regex and codec routes)
+ * @property {object}     [data]        Command definition (builder or JSON), for command and context-menu routes
+ */
+
+/**
+ * @typedef {object} Route
+ * @property {'customId'|'command'|'autocomplete'|'userContext'|'messageContext'} type
+ * @property {'exact'|'glob'|'regex'|'codec'|'mount'} kind
+ * @property {string|RegExp|CustomIdCodec} pattern
+ * @property {Function}   handler
+ * @property {Function[]} middleware
+ * @property {number}     priority
+ * @property {boolean}    once
+ */
+
+/**
+ * @typedef {object} RouteMatch
+ * @property {Route|null}        route    null when only a fallback applies
+ * @property {InteractionRouter} router   Router that owns the route
+ * @property {() => object}      [params]
+ * @property {Function[]}        [stack]  Middleware chain ending with the handler
+ * @property {Function|null}     onError
+ */
+
+/**
+ * @typedef {object} RouteInfo
+ * @property {Route['type']}    type
+ * @property {Route['kind']}    kind
+ * @property {Route['pattern']} pattern
+ * @property {number}  priority
+ * @property {boolean} once
+ * @property {number}  middleware  Number of route-level middleware
+ * @property {RouteInfo[]} [routes] Routes of a mounted router
+ */
@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./MemoryStore.mjs');
+module.exports = mod;
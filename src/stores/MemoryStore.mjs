@@ -0,0 +1,174 @@
+/**
+ * MemoryStore — The default key-value store for persistent components and cooldowns.
+ *
+ * Any object with the same three async methods can replace it — a Redis
+ * client, a database table, a JSON file — which is what lets a paginator or
+ * confirmation outlive the process that sent it. Values are plain JSON.
+ * Cooldowns additionally need `acquire()` and `keys()`; `RedisStore` and
+ * `SqliteStore` implement everything and are shared across processes.
+ *
+ * @example
+ * import { MemoryStore } from 'djs-forge/stores';
+ *
+ * // A Redis-backed store is just:
+ * const redisStore = {
+ *   get:    async (key) => JSON.parse(await redis.get(key) ?? 'null') ?? undefined,
+ *   set:    async (key, value, ttl) => { await redis.set(key, JSON.stringify(value), ttl ? { PX: ttl } : {}); },
+ *   delete: async (key) => { await redis.del(key); },
+ * };
+ */
+export class MemoryStore {
+  /**
+   * @param {Map<string, any>} [map]  Backing map, e.g. a `Map` that used to be
+   *   passed as a cooldown store; its entries are managed by the store from now on
+   */
+  constructor(map = new Map()) {
+    /** @type {Map<string, { value: any, expiresAt: number|null }>} */
+    this._data      = map;
+    this._lastSweep = 0;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<any>}  undefined when missing or expired
+   */
+  async get(key) {
+    const entry = this._data.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt !== null && Date.now() >= entry.expiresAt) {
+      this._data.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key
+   * @param {any}    value
+   * @param {number} [ttl]  ms until the entry expires; omit to keep it forever
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    this._sweep();
+    this._data.set(key, { value, expiresAt: ttl ? Date.now() + ttl : null });
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this._data.delete(key);
+  }
+
+  /**
+   * Set `key` only if it is missing or expired.
+   * @param {string} key
+   * @param {any}    value
+   * @param {number} [ttl]
+   * @returns {Promise<boolean>}  whether the value was written
+   */
+  async acquire(key, value, ttl) {
+    return this.swap(key, undefined, value, ttl);
+  }
+
+  /**
+   * Replace `key` only if it still holds `expected` (compared as JSON);
+   * `undefined` expects the key to be missing or expired.
+   * @param {string} key
+   * @param {any}    expected
+   * @param {any}    value
+   * @param {number} [ttl]
+   * @returns {Promise<boolean>}  whether the value was written
+   */
+  async swap(key, expected, value, ttl) {
+    // No await between the check and the write, so concurrent calls cannot both win
+    const entry = this._data.get(key);
+    const live  = entry && (entry.expiresAt === null || Date.now() < entry.expiresAt);
+    const same  = expected === undefined ? !live : live && JSON.stringify(entry.value) === JSON.stringify(expected);
+    if (!same) return false;
+
+    this._sweep();
+    this._data.set(key, { value, expiresAt: ttl ? Date.now() + ttl : null });
+    return true;
+  }
+
+  /**
+   * @param {string} prefix
+   * @returns {Promise<string[]>}  live keys starting with `prefix`
+   */
+  async keys(prefix) {
+    const now = Date.now();
+    const out = [];
+    for (const [key, entry] of this._data) {
+      if (key.startsWith(prefix) && (entry.expiresAt === null || now < entry.expiresAt)) out.push(key);
+    }
+    return out;
+  }
+
+  /**
+   * @param {string} prefix
+   * @returns {Promise<StoreEntry[]>}  live entries whose key starts with `prefix`
+   */
+  async entries(prefix) {
+    const now = Date.now();
+    const out = [];
+    for (const [key, { value, expiresAt }] of this._data) {
+      if (key.startsWith(prefix) && (expiresAt === null || now < expiresAt)) out.push({ key, value, expiresAt });
+    }
+    return out;
+  }
+
+  /**
+   * Drop expired entries now.
+   * @returns {Promise<number>}  entries removed
+   */
+  async sweep() {
+    const now   = Date.now();
+    let removed = 0;
+    this._lastSweep = now;
+    for (const [key, entry] of this._data) {
+      if (entry.expiresAt !== null && now >= entry.expiresAt) { this._data.delete(key); removed++; }
+    }
+    return removed;
+  }
+
+  /** Remove every entry. */
+  async clear() {
+    this._data.clear();
+  }
+
+  /** Drop expired entries so abandoned components do not accumulate. */
+  _sweep() {
+    if (Date.now() - this._lastSweep < 60_000) return;
+    this.sweep();
+  }
+}
+
+/**
+ * @typedef {object} ForgeStore
+ * @property {(key: string) => Promise<any>} get
+ * @property {(key: string, value: any, ttl?: number) => Promise<void>} set
+ * @property {(key: string) => Promise<void>} delete
+ */
+
+/**
+ * @typedef {object} StoreEntry
+ * @property {string}      key
+ * @property {any}         value
+ * @property {number|null} expiresAt  Unix ms, null when it never expires
+ */
+
+/**
+ * What `CooldownManager` needs: a ForgeStore plus an atomic set-if-absent and
+ * a prefix listing. Rate limits also need `swap`, an atomic compare-and-set;
+ * `sweep` is only needed by stores without native expiry, `entries` only for
+ * `export()` and snapshots.
+ * @typedef {ForgeStore & {
+ *   acquire: (key: string, value: any, ttl?: number) => Promise<boolean>,
+ *   keys:    (prefix: string) => Promise<string[]>,
+ *   swap?:   (key: string, expected: any, value: any, ttl?: number) => Promise<boolean>,
+ *   entries?: (prefix: string) => Promise<StoreEntry[]>,
+ *   sweep?:  () => Promise<number>,
+ * }} CooldownStore
+ */
@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./RedisStore.mjs');
+module.exports = mod;
@@ -0,0 +1,107 @@
+import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+
+// Compare-and-set in one round trip. ARGV: has-expected flag, expected, value, ttl (0 = none)
+const SWAP_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if ARGV[1] == '1' and current ~= ARGV[2] then return 0 end
+if ARGV[1] == '0' and current then return 0 end
+if ARGV[4] == '0' then redis.call('SET', KEYS[1], ARGV[3]) else redis.call('SET', KEYS[1], ARGV[3], 'PX', ARGV[4]) end
+return 1
+`;
+
+/**
+ * RedisStore — A store backed by any Redis-protocol server (Redis, Valkey, KeyDB, Dragonfly).
+ *
+ * Pass a connected `redis` (node-redis v4+) or `ioredis` client. Commands go
+ * through the client's raw command API, so both work unchanged. Expiry is
+ * Redis' own (`PX`), `acquire()` is a single `SET NX`, `swap()` a small Lua
+ * script, and every process or
+ * shard pointed at the same server sees the same cooldowns and components.
+ *
+ * @example
+ * import { createClient } from 'redis';
+ * import { RedisStore } from 'djs-forge/stores';
+ *
+ * const redis = await createClient({ url: process.env.REDIS_URL }).connect();
+ * const store = new RedisStore(redis);
+ *
+ * const cooldowns = new CooldownManager({ store });
+ * Paginator.persist(forge.router, { store });
+ */
+export class RedisStore {
+  /**
+   * @param {object} client  Connected node-redis or ioredis client
+   * @param {{ scanCount?: number }} [options]
+   */
+  constructor(client, options = {}) {
+    if (typeof client?.call !== 'function' && typeof client?.sendCommand !== 'function') {
+      throw new ForgeError(ForgeErrorCode.STORE_INVALID_CONFIG, 'Pass a connected node-redis or ioredis client');
+    }
+
+    // ioredis: client.call(...args) — node-redis: client.sendCommand([args])
+    this._command = typeof client.call === 'function'
+      ? (...args) => client.call(...args.map(String))
+      : (...args) => client.sendCommand(args.map(String));
+    this._scanCount = options.scanCount ?? 250;
+  }
+
+  async get(key) {
+    const raw = await this._command('GET', key);
+    return raw === null || raw === undefined ? undefined : JSON.parse(raw);
+  }
+
+  async set(key, value, ttl) {
+    await this._command('SET', key, JSON.stringify(value), ...expiry(ttl));
+  }
+
+  async delete(key) {
+    await this._command('DEL', key);
+  }
+
+  async acquire(key, value, ttl) {
+    const reply = await this._command('SET', key, JSON.stringify(value), ...expiry(ttl), 'NX');
+    return reply === 'OK';
+  }
+
+  async swap(key, expected, value, ttl) {
+    const has   = expected === undefined ? '0' : '1';
+    const reply = await this._command(
+      'EVAL', SWAP_SCRIPT, 1, key,
+      has, has === '1' ? JSON.stringify(expected) : '', JSON.stringify(value), ttl ? Math.max(1, Math.ceil(ttl)) : 0,
+    );
+    return Number(reply) === 1;
+  }
+
+  /** SCAN rather than KEYS, so a large keyspace never blocks the server. */
+  async keys(prefix) {
+    const found = new Set();
+    let cursor  = '0';
+    do {
+      const [next, batch] = await this._command('SCAN', cursor, 'MATCH', `${escapeGlob(prefix)}*`, 'COUNT', this._scanCount);
+      cursor = String(next);
+      for (const key of batch) found.add(String(key));
+    } while (cursor !== '0');
+    return [...found];
+  }
+
+  async entries(prefix) {
+    const now     = Date.now();
+    const entries = await Promise.all((await this.keys(prefix)).map(async (key) => {
+      const [raw, pttl] = await Promise.all([this._command('GET', key), this._command('PTTL', key)]);
+      // Expired or deleted since the scan
+      if (raw === null || raw === undefined || Number(pttl) === -2) return null;
+      return { key, value: JSON.parse(raw), expiresAt: Number(pttl) === -1 ? null : now + Number(pttl) };
+    }));
+    return entries.filter(Boolean);
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function expiry(ttl) {
+  return ttl ? ['PX', Math.max(1, Math.ceil(ttl))] : [];
+}
+
+function escapeGlob(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./SqliteStore.mjs');
+module.exports = mod;
@@ -0,0 +1,103 @@
+import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+
+/**
+ * SqliteStore — A store in one SQLite table, shared by every process using the same file.
+ *
+ * Pass a `better-sqlite3` database or a `node:sqlite` `DatabaseSync`; both
+ * expose the synchronous `prepare()` API used here. Expired rows are ignored
+ * by every query and removed by `sweep()`. `acquire()` is a single upsert, so
+ * two processes racing for the same cooldown cannot both get it.
+ *
+ * @example
+ * import Database from 'better-sqlite3';
+ * import { SqliteStore } from 'djs-forge/stores';
+ *
+ * const store = new SqliteStore(new Database('forge.db'));
+ * const cooldowns = new CooldownManager({ store });
+ */
+export class SqliteStore {
+  /**
+   * @param {object} db  better-sqlite3 Database or node:sqlite DatabaseSync
+   * @param {{ table?: string }} [options]
+   */
+  constructor(db, options = {}) {
+    const table = options.table ?? 'forge_store';
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+      throw new ForgeError(ForgeErrorCode.STORE_INVALID_CONFIG, `Invalid table name "${table}"`);
+    }
+    if (typeof db?.prepare !== 'function') {
+      throw new ForgeError(ForgeErrorCode.STORE_INVALID_CONFIG, 'Pass a better-sqlite3 or node:sqlite database');
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        key        TEXT PRIMARY KEY,
+        value      TEXT NOT NULL,
+        expires_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS ${table}_expires_at ON ${table} (expires_at);
+    `);
+
+    const live = '(expires_at IS NULL OR expires_at > ?)';
+    this._sql = {
+      get:     db.prepare(`SELECT value FROM ${table} WHERE key = ? AND ${live}`),
+      set:     db.prepare(`INSERT OR REPLACE INTO ${table} (key, value, expires_at) VALUES (?, ?, ?)`),
+      delete:  db.prepare(`DELETE FROM ${table} WHERE key = ?`),
+      // Only overwrites a row that has expired
+      acquire: db.prepare(`
+        INSERT INTO ${table} (key, value, expires_at) VALUES (?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+        WHERE ${table}.expires_at IS NOT NULL AND ${table}.expires_at <= ?
+      `),
+      swap:    db.prepare(`UPDATE ${table} SET value = ?, expires_at = ? WHERE key = ? AND value = ? AND ${live}`),
+      keys:    db.prepare(`SELECT key FROM ${table} WHERE instr(key, ?) = 1 AND ${live}`),
+      entries: db.prepare(`SELECT key, value, expires_at FROM ${table} WHERE instr(key, ?) = 1 AND ${live}`),
+      sweep:   db.prepare(`DELETE FROM ${table} WHERE expires_at IS NOT NULL AND expires_at <= ?`),
+    };
+  }
+
+  async get(key) {
+    const row = this._sql.get.get(key, Date.now());
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  async set(key, value, ttl) {
+    this._sql.set.run(key, JSON.stringify(value), expiresAt(ttl));
+  }
+
+  async delete(key) {
+    this._sql.delete.run(key);
+  }
+
+  async acquire(key, value, ttl) {
+    return this._sql.acquire.run(key, JSON.stringify(value), expiresAt(ttl), Date.now()).changes > 0;
+  }
+
+  async swap(key, expected, value, ttl) {
+    if (expected === undefined) return this.acquire(key, value, ttl);
+    const { changes } = this._sql.swap.run(JSON.stringify(value), expiresAt(ttl), key, JSON.stringify(expected), Date.now());
+    return changes > 0;
+  }
+
+  async keys(prefix) {
+    return this._sql.keys.all(prefix, Date.now()).map(row => row.key);
+  }
+
+  async entries(prefix) {
+    return this._sql.entries.all(prefix, Date.now()).map(row => ({
+      key:       row.key,
+      value:     JSON.parse(row.value),
+      expiresAt: row.expires_at === null ? null : Number(row.expires_at),
+    }));
+  }
+
+  async sweep() {
+    return Number(this._sql.sweep.run(Date.now()).changes);
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function expiresAt(ttl) {
+  return ttl ? Date.now() + ttl : null;
+}
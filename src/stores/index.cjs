@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./index.mjs');
+module.exports = mod;
@@ -0,0 +1,3 @@
+export { MemoryStore } from './MemoryStore.mjs';
+export { RedisStore }  from './RedisStore.mjs';
+export { SqliteStore } from './SqliteStore.mjs';
@@ -5,7 +5,19 @@ import {
   ButtonStyle,
   EmbedBuilder,
   BaseInteraction,
+  ChatInputCommandInteraction,
+  AutocompleteInteraction,
+  UserContextMenuCommandInteraction,
+  MessageContextMenuCommandInteraction,
+  RESTPostAPIApplicationCommandsJSONBody,
+  ButtonInteraction,
+  ModalSubmitInteraction,
+  ModalMessageModalSubmitInteraction,
+  AttachmentBuilder,
+  MessageComponentInteraction,
+  User,
 } from 'discord.js';
+import { EventEmitter } from 'node:events';
 
 // ─── Errors ───────────────────────────────────────────────────────────────────
 
@@ -38,22 +50,46 @@ export const ForgeErrorCode: {
   readonly VOICE_EFFECT_NOT_IN_CHANNEL: 'VOICE_EFFECT_NOT_IN_CHANNEL';
   readonly WEBHOOK_INVALID_URL: 'WEBHOOK_INVALID_URL';
   readonly WEBHOOK_NOT_FOUND: 'WEBHOOK_NOT_FOUND';
+  readonly WEBHOOK_QUEUE_FULL: 'WEBHOOK_QUEUE_FULL';
+  readonly WEBHOOK_FILE_TOO_LARGE: 'WEBHOOK_FILE_TOO_LARGE';
+  readonly WEBHOOK_INVALID_FILE: 'WEBHOOK_INVALID_FILE';
   readonly ROUTER_HANDLER_NOT_FOUND: 'ROUTER_HANDLER_NOT_FOUND';
   readonly ROUTER_INVALID_PATTERN: 'ROUTER_INVALID_PATTERN';
+  readonly ROUTER_INVALID_MIDDLEWARE: 'ROUTER_INVALID_MIDDLEWARE';
+  readonly ROUTER_INVALID_PARAMS: 'ROUTER_INVALID_PARAMS';
+  readonly ROUTER_CUSTOM_ID_TOO_LONG: 'ROUTER_CUSTOM_ID_TOO_LONG';
+  readonly LOADER_INVALID_MODULE: 'LOADER_INVALID_MODULE';
   readonly PAGINATOR_NO_PAGES: 'PAGINATOR_NO_PAGES';
   readonly PAGINATOR_INVALID_PAGE: 'PAGINATOR_INVALID_PAGE';
+  readonly PAGINATOR_INVALID_SOURCE: 'PAGINATOR_INVALID_SOURCE';
+  readonly PAGINATOR_INVALID_ACCESS: 'PAGINATOR_INVALID_ACCESS';
+  readonly PAGINATOR_TOO_MANY_COMPONENTS: 'PAGINATOR_TOO_MANY_COMPONENTS';
+  readonly PAGINATOR_PAGE_FAILED: 'PAGINATOR_PAGE_FAILED';
   readonly COOLDOWN_ACTIVE: 'COOLDOWN_ACTIVE';
   readonly COOLDOWN_INVALID_DURATION: 'COOLDOWN_INVALID_DURATION';
+  readonly COOLDOWN_INVALID_LIMIT: 'COOLDOWN_INVALID_LIMIT';
+  readonly COOLDOWN_RULE_NOT_FOUND: 'COOLDOWN_RULE_NOT_FOUND';
+  readonly COOLDOWN_INVALID_SNAPSHOT: 'COOLDOWN_INVALID_SNAPSHOT';
+  readonly COOLDOWN_CONTENDED: 'COOLDOWN_CONTENDED';
   readonly CONFIRMATION_TIMED_OUT: 'CONFIRMATION_TIMED_OUT';
   readonly CONFIRMATION_CANCELLED: 'CONFIRMATION_CANCELLED';
+  readonly CONFIRMATION_INVALID_OPTIONS: 'CONFIRMATION_INVALID_OPTIONS';
+  readonly FORM_TIMED_OUT: 'FORM_TIMED_OUT';
+  readonly FORM_INVALID: 'FORM_INVALID';
+  readonly FORM_INVALID_SCHEMA: 'FORM_INVALID_SCHEMA';
+  readonly PERSISTENCE_NOT_CONFIGURED: 'PERSISTENCE_NOT_CONFIGURED';
+  readonly STORE_INVALID_CONFIG: 'STORE_INVALID_CONFIG';
 };
 
 export type ForgeErrorCodeType = keyof typeof ForgeErrorCode;
 
 export class ForgeError extends Error {
   readonly code: ForgeErrorCodeType;
+  readonly detail: string | null;
   readonly httpStatus: number | null;
   readonly discordCode: number | null;
+  /** ms to wait before retrying, on RATE_LIMITED errors from the API. */
+  readonly retryAfter: number | null;
   readonly retryable: boolean;
   constructor(code: ForgeErrorCodeType, extra?: string, httpStatus?: number, discordCode?: number);
   toJSON(): { name: string; code: string; message: string; httpStatus: number | null; discordCode: number | null };
@@ -61,17 +97,249 @@ export class ForgeError extends Error {
 
 // ─── InteractionRouter ────────────────────────────────────────────────────────
 
-type RouteHandler<P = Record<string, string>> = (interaction: RepliableInteraction, params: P) => Promise<void> | void;
+type RouteHandler<P = Record<string, string>, I = RepliableInteraction> = (interaction: I, params: P) => Promise<void> | void;
+
+type RouteMiddleware<P = any, I = any> = (interaction: I, params: P, next: () => Promise<void>) => Promise<void> | void;
+
+export interface CommandRouteParams {
+  subcommandGroup: string | null;
+  subcommand: string | null;
+}
+
+export interface AutocompleteRouteParams extends CommandRouteParams {
+  option: string;
+  value: string;
+}
+
+export interface ContextMenuRouteParams {
+  targetId: string;
+}
+
+type CodecScalarType = 'string' | 'int' | 'number' | 'bool' | 'snowflake';
+export type CodecFieldType = CodecScalarType | `${CodecScalarType}?` | readonly string[];
+export type CodecSchema = Record<string, CodecFieldType>;
+
+type CodecScalarValue<T> =
+  T extends 'int' | 'number' ? number :
+  T extends 'bool' ? boolean :
+  string;
+
+type CodecFieldValue<T> =
+  T extends readonly (infer E)[] ? E :
+  T extends `${infer B}?` ? CodecScalarValue<B> | undefined :
+  CodecScalarValue<T>;
+
+type OptionalCodecKeys<S extends CodecSchema> = { [K in keyof S]: S[K] extends `${string}?` ? K : never }[keyof S];
+
+/** Decoded params passed to the handler. Snowflakes are always decoded as strings. */
+export type CodecParams<S extends CodecSchema> = { [K in keyof S]: CodecFieldValue<S[K]> };
+
+/** Params accepted by `build()`. Optional fields may be omitted; snowflakes may be bigints. */
+export type CodecBuildParams<S extends CodecSchema> =
+  { [K in Exclude<keyof S, OptionalCodecKeys<S>>]: S[K] extends 'snowflake' ? string | bigint : CodecFieldValue<S[K]> } &
+  { [K in OptionalCodecKeys<S>]?: S[K] extends 'snowflake?' ? string | bigint : CodecFieldValue<S[K]> };
+
+export class CustomIdCodec<S extends CodecSchema = CodecSchema> {
+  readonly name: string;
+  constructor(name: string, schema?: S);
+  build(params?: CodecBuildParams<S>): string;
+  parse(customId: string): CodecParams<S>;
+  matches(customId: string): boolean;
+}
+
+export interface RouteOptions<P = any, I = any> {
+  middleware?: RouteMiddleware<P, I>[];
+  /** Higher is tried first. Applies to glob, regex and codec routes; exact ids always win. */
+  priority?: number;
+  /** Command definition (builder or JSON) for command and context-menu routes, collected by `definitions()`. */
+  data?: RESTPostAPIApplicationCommandsJSONBody | { toJSON(): RESTPostAPIApplicationCommandsJSONBody };
+}
+
+/** Route middleware array, or options including middleware and priority. */
+type RouteConfig<P, I> = RouteMiddleware<P, I>[] | RouteOptions<P, I>;
+
+export interface RouteInfo {
+  type: 'customId' | 'command' | 'autocomplete' | 'userContext' | 'messageContext';
+  kind: 'exact' | 'glob' | 'regex' | 'codec' | 'mount';
+  pattern: string | RegExp | CustomIdCodec;
+  priority: number;
+  once: boolean;
+  /** Number of route-level middleware */
+  middleware: number;
+  /** Routes of a mounted router */
+  routes?: RouteInfo[];
+}
+
+export interface InteractionRouterOptions {
+  /** Emit a ForgeWarning when a route is unreachable (default: true) */
+  warnings?: boolean;
+}
+
+type RouteErrorHandler = (error: Error, interaction: BaseInteraction, route: Omit<RouteInfo, 'middleware'> | null) => Promise<void> | void;
+
+type ComponentParams = Record<string, string>;
 
 export class InteractionRouter {
+  constructor(options?: InteractionRouterOptions);
+  static defaultErrorHandler(error: Error, interaction: BaseInteraction): Promise<void>;
+  onError(handler: RouteErrorHandler | null): this;
+  use(...middleware: Array<RouteMiddleware | RouteMiddleware[]>): this;
   on(pattern: string | RegExp, handler: RouteHandler): this;
+  on(pattern: string | RegExp, config: RouteConfig<ComponentParams, RepliableInteraction>, handler: RouteHandler): this;
+  on<S extends CodecSchema>(pattern: CustomIdCodec<S>, handler: RouteHandler<CodecParams<S>>): this;
+  on<S extends CodecSchema>(pattern: CustomIdCodec<S>, config: RouteConfig<CodecParams<S>, RepliableInteraction>, handler: RouteHandler<CodecParams<S>>): this;
   once(pattern: string | RegExp, handler: RouteHandler): this;
-  off(pattern: string | RegExp): this;
+  once(pattern: string | RegExp, config: RouteConfig<ComponentParams, RepliableInteraction>, handler: RouteHandler): this;
+  define<const S extends CodecSchema>(name: string, schema: S, handler: RouteHandler<CodecParams<S>>): CustomIdCodec<S>;
+  define<const S extends CodecSchema>(name: string, schema: S, config: RouteConfig<CodecParams<S>, RepliableInteraction>, handler: RouteHandler<CodecParams<S>>): CustomIdCodec<S>;
+  mount(prefix: string | RegExp, router: InteractionRouter, config?: RouteConfig<ComponentParams, RepliableInteraction>): this;
+  group(prefix: string | RegExp, fn: (sub: InteractionRouter) => void): this;
+  group(prefix: string | RegExp, config: RouteConfig<ComponentParams, RepliableInteraction>, fn: (sub: InteractionRouter) => void): this;
+  off(pattern: string | RegExp | CustomIdCodec, handler?: Function): this;
+  off(handler: Function): this;
+  routes(): RouteInfo[];
+  definitions(): RESTPostAPIApplicationCommandsJSONBody[];
+  command(name: string, handler: RouteHandler<CommandRouteParams, ChatInputCommandInteraction>): this;
+  command(name: string, config: RouteConfig<CommandRouteParams, ChatInputCommandInteraction>, handler: RouteHandler<CommandRouteParams, ChatInputCommandInteraction>): this;
+  /** Definition only: contributes `data` to `definitions()` but never matches. */
+  command(name: string, config: { data: NonNullable<RouteOptions<CommandRouteParams, ChatInputCommandInteraction>['data']> }): this;
+  /** Remove the route for a command path, definition-only ones included. */
+  offCommand(name: string): this;
+  autocomplete(name: string, option: string, handler: RouteHandler<AutocompleteRouteParams, AutocompleteInteraction>): this;
+  autocomplete(name: string, option: string, config: RouteConfig<AutocompleteRouteParams, AutocompleteInteraction>, handler: RouteHandler<AutocompleteRouteParams, AutocompleteInteraction>): this;
+  autocomplete(name: string, handler: RouteHandler<AutocompleteRouteParams, AutocompleteInteraction>): this;
+  autocomplete(name: string, config: RouteConfig<AutocompleteRouteParams, AutocompleteInteraction>, handler: RouteHandler<AutocompleteRouteParams, AutocompleteInteraction>): this;
+  userContext(name: string, handler: RouteHandler<ContextMenuRouteParams, UserContextMenuCommandInteraction>): this;
+  userContext(name: string, config: RouteConfig<ContextMenuRouteParams, UserContextMenuCommandInteraction>, handler: RouteHandler<ContextMenuRouteParams, UserContextMenuCommandInteraction>): this;
+  messageContext(name: string, handler: RouteHandler<ContextMenuRouteParams, MessageContextMenuCommandInteraction>): this;
+  messageContext(name: string, config: RouteConfig<ContextMenuRouteParams, MessageContextMenuCommandInteraction>, handler: RouteHandler<ContextMenuRouteParams, MessageContextMenuCommandInteraction>): this;
   fallback(handler: (interaction: RepliableInteraction) => void): this;
   handle(interaction: RepliableInteraction): Promise<boolean>;
   attach(client: Client): this;
 }
 
+// ─── CommandLoader ────────────────────────────────────────────────────────────
+
+export interface CommandLoaderOptions {
+  commands?: string | URL;
+  components?: string | URL;
+  watch?: boolean;
+  debounce?: number;
+  extensions?: string[];
+}
+
+export class CommandLoader extends EventEmitter {
+  constructor(router: InteractionRouter, options: CommandLoaderOptions);
+  load(): Promise<{ commands: number; components: number }>;
+  sync(): Promise<void>;
+  close(): void;
+  on(event: 'reload' | 'unload', listener: (file: string) => void): this;
+  on(event: 'error', listener: (error: Error, file?: string) => void): this;
+}
+
+// ─── CommandSync ──────────────────────────────────────────────────────────────
+
+export interface DeployOptions {
+  guildId?: string;
+  dryRun?: boolean;
+  /** Delete deployed commands that are no longer defined. Default: true */
+  prune?: boolean;
+}
+
+export interface CommandChange {
+  /** e.g. "description" or "options.ban.options.reason.required" */
+  path: string;
+  before: any;
+  after: any;
+}
+
+export interface CommandDiff {
+  added: RESTPostAPIApplicationCommandsJSONBody[];
+  changed: Array<{ id: string; command: RESTPostAPIApplicationCommandsJSONBody; changes: CommandChange[] }>;
+  removed: Array<{ id: string; command: RESTPostAPIApplicationCommandsJSONBody }>;
+  unchanged: Array<{ id: string; command: RESTPostAPIApplicationCommandsJSONBody }>;
+}
+
+type CommandSource = InteractionRouter | Array<RESTPostAPIApplicationCommandsJSONBody | { toJSON(): RESTPostAPIApplicationCommandsJSONBody }>;
+
+export class CommandSync {
+  constructor(client: Client, options?: { applicationId?: string; logger?: (line: string) => void });
+  diff(commands: CommandSource, options?: DeployOptions): Promise<CommandDiff>;
+  deploy(commands: CommandSource, options?: DeployOptions): Promise<CommandDiff>;
+  fetch(options?: { guildId?: string }): Promise<object[]>;
+  static format(diff: CommandDiff, guildId?: string): string;
+}
+
+// ─── Stores ───────────────────────────────────────────────────────────────────
+
+/** Async key-value store holding the state of persistent components. Values are plain JSON. */
+export interface ForgeStore {
+  get(key: string): Promise<any>;
+  /** `ttl` in ms; omit to keep the entry forever. */
+  set(key: string, value: any, ttl?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+export interface StoreEntry {
+  key: string;
+  value: any;
+  /** Unix ms; null when it never expires. */
+  expiresAt: number | null;
+}
+
+/** What CooldownManager needs: atomic set-if-absent and a prefix listing on top of ForgeStore. */
+export interface CooldownStore extends ForgeStore {
+  /** Write only if `key` is missing or expired; resolves whether it wrote. Must be atomic. */
+  acquire(key: string, value: any, ttl?: number): Promise<boolean>;
+  /** Live keys starting with `prefix`. */
+  keys(prefix: string): Promise<string[]>;
+  /** Write only if `key` still holds `expected` (compared as JSON; undefined = missing). Needed for rate limits. */
+  swap?(key: string, expected: any, value: any, ttl?: number): Promise<boolean>;
+  /** Remove expired entries; only for stores without native expiry. */
+  sweep?(): Promise<number>;
+  /** Live entries whose key starts with `prefix`. Needed for `export()` and snapshots. */
+  entries?(prefix: string): Promise<StoreEntry[]>;
+}
+
+export class MemoryStore implements CooldownStore {
+  /** `map` backs the store; its entries are managed by the store from now on. */
+  constructor(map?: Map<string, any>);
+  get(key: string): Promise<any>;
+  set(key: string, value: any, ttl?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  acquire(key: string, value: any, ttl?: number): Promise<boolean>;
+  swap(key: string, expected: any, value: any, ttl?: number): Promise<boolean>;
+  keys(prefix: string): Promise<string[]>;
+  entries(prefix: string): Promise<StoreEntry[]>;
+  sweep(): Promise<number>;
+  clear(): Promise<void>;
+}
+
+/** Any Redis-protocol server through a connected node-redis or ioredis client. Expiry is native. */
+export class RedisStore implements CooldownStore {
+  constructor(client: any, options?: { scanCount?: number });
+  get(key: string): Promise<any>;
+  set(key: string, value: any, ttl?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  acquire(key: string, value: any, ttl?: number): Promise<boolean>;
+  swap(key: string, expected: any, value: any, ttl?: number): Promise<boolean>;
+  keys(prefix: string): Promise<string[]>;
+  entries(prefix: string): Promise<StoreEntry[]>;
+}
+
+/** One SQLite table through a better-sqlite3 Database or node:sqlite DatabaseSync. */
+export class SqliteStore implements CooldownStore {
+  constructor(db: any, options?: { table?: string });
+  get(key: string): Promise<any>;
+  set(key: string, value: any, ttl?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  acquire(key: string, value: any, ttl?: number): Promise<boolean>;
+  swap(key: string, expected: any, value: any, ttl?: number): Promise<boolean>;
+  keys(prefix: string): Promise<string[]>;
+  entries(prefix: string): Promise<StoreEntry[]>;
+  sweep(): Promise<number>;
+}
+
 // ─── Paginator ────────────────────────────────────────────────────────────────
 
 export interface PaginatorLabels {
@@ -80,6 +348,12 @@ export interface PaginatorLabels {
   next?: string;
   last?: string;
   stop?: string;
+  /** Select menu placeholder. */
+  select?: string;
+  /** Title of the "go to page" modal. */
+  jump?: string;
+  /** `fromItems()` filter button and modal title. */
+  filter?: string;
 }
 
 export interface PaginatorOptions {
@@ -88,16 +362,80 @@ export interface PaginatorOptions {
   showPageCount?: boolean;
   showStop?: boolean;
   ephemeral?: boolean;
+  /** Owner of the paginator. Default: the user replied to. */
   userId?: string;
+  /**
+   * Who may navigate. 'owner' (default): only the owner. 'anyone': everyone.
+   * `{ users, roles }`: the owner plus these user / role IDs. 'independent': everyone,
+   * each on their own ephemeral copy while the shared message stays put.
+   */
+  access?: PaginatorAccess;
   labels?: PaginatorLabels;
+  /** Add a select menu to jump to any page by title (windowed to 25 options). */
+  select?: boolean;
+  /** Make the page counter open a "go to page" modal. */
+  jump?: boolean;
+  /** Components V2 pages: navigation inside the page's last container, or below the page. Default: 'inside' */
+  controls?: 'inside' | 'below';
+  /** Select menu labels. Default: each page's first embed title, else "Page N". Lazy pages not loaded yet are `undefined`. */
+  titles?: string[] | ((page: any, index: number) => string);
+  /** Lazy sources: pages kept in the LRU cache. Default: 10 */
+  cacheSize?: number;
+  /** Lazy sources: load neighbouring pages in the background. Default: true */
+  prefetch?: boolean;
+  /** Keep state in the `Paginator.persist()` store so the buttons survive restarts. */
+  persistent?: boolean;
+}
+
+export type PaginatorAccess = 'owner' | 'anyone' | 'independent' | { users?: string[]; roles?: string[] };
+
+/** 'timeout' | 'user' (stop button) | 'manual' (`stop()`), or a discord.js collector reason such as 'messageDelete'. */
+export type PaginatorEndReason = 'timeout' | 'user' | 'manual' | (string & {});
+
+/** Pages up front, or a lazy source rendered on demand. */
+export type PaginatorPages =
+  | object[]
+  | { count: number; fetch(index: number): Promise<object> | object }
+  | { next(cursor: any): Promise<{ page: object; cursor: any }> | { page: object; cursor: any }; start?: any; count?: number }
+  | AsyncIterable<object>
+  | Iterable<object>;
+
+export type ItemRender<T> = (item: T, position: number) => string | { name: string; value: string; inline?: boolean };
+
+export interface ItemListOptions<T> {
+  /** Items per page; fewer when the description or field limit is reached first. Default: 10 */
+  perPage?: number;
+  /** A string becomes a description line, an object an embed field. `position` follows the shown order. */
+  render?: ItemRender<T>;
+  title?: string | ((page: number, total: number) => string);
+  /** EmbedPresets style. Default: 'info' */
+  preset?: 'info' | 'success' | 'warning' | 'error' | 'loading';
+  /** Adds a button that flips the sort direction. */
+  sort?: ((a: T, b: T) => number) | { compare(a: T, b: T): number; label?: string; descending?: boolean };
+  /** Adds a button that asks for a search query. */
+  filter?: (item: T, query: string) => boolean;
+  /** Description when there are no items. Default: 'Nothing to show.' */
+  empty?: string;
 }
 
-export class Paginator {
-  constructor(pages: object[], options?: PaginatorOptions);
+export class Paginator extends EventEmitter {
+  constructor(pages: PaginatorPages, options?: PaginatorOptions);
+  static fromItems<T>(items: T[], options?: ItemListOptions<T> & PaginatorOptions): Paginator;
+  /** One store for the whole process: a later `store` replaces it for every router. */
+  static persist(router: InteractionRouter, options?: { store?: ForgeStore }): void;
   reply(interaction: RepliableInteraction): Promise<void>;
   send(channel: TextBasedChannel, userId?: string): Promise<void>;
   goTo(index: number): Promise<void>;
   stop(): Promise<void>;
+  /** `interaction` is null for `goTo()`. In independent mode it fires for every user's copy. */
+  on(event: 'pageChange', listener: (page: number, previous: number, interaction: BaseInteraction | null) => void): this;
+  on(event: 'end', listener: (reason: PaginatorEndReason) => void): this;
+  on(event: 'denied', listener: (interaction: MessageComponentInteraction) => void): this;
+  /**
+   * A click that failed, a process warning when nothing listens. PAGINATOR_PAGE_FAILED, with the
+   * source's error as `cause`, is also shown to the user. In independent mode it fires for every user's copy.
+   */
+  on(event: 'error', listener: (error: Error, interaction: MessageComponentInteraction | ModalSubmitInteraction) => void): this;
 }
 
 // ─── CooldownManager ─────────────────────────────────────────────────────────
@@ -107,29 +445,132 @@ export interface CooldownResult {
   remaining: number;
   remainingText: string;
   expiry?: number;
+  /** Uses available right now (whole tokens for a bucket). */
+  usesLeft: number;
+  /** ms until one more use becomes available; 0 when already full. */
+  nextIn: number;
+  /** Rules only: the user is exempt, nothing was recorded. */
+  bypassed?: boolean;
+}
+
+/** `{ uses, per }`: sliding window. `{ capacity, every, refill }`: token bucket gaining `refill` (default 1) tokens every `every` ms. */
+export type RateLimit =
+  | { uses: number; per: number }
+  | { capacity: number; every: number; refill?: number };
+
+/** A duration in ms (one use, then wait) or a rate limit. */
+export type CooldownLimit = number | RateLimit;
+
+/** Matches when the user meets ANY of the criteria. */
+export interface CooldownCondition {
+  users?: string[];
+  /** Role IDs; any of them. */
+  roles?: string[];
+  /** Permission names, all required. */
+  permissions?: string[];
+  /** SKU IDs; an active entitlement to any of them. */
+  entitlements?: string[];
+  when?: (interaction: RepliableInteraction) => boolean | Promise<boolean>;
+}
+
+export interface CooldownOverride extends CooldownCondition {
+  /** null or 0: no cooldown for matching users. */
+  limit: CooldownLimit | null;
 }
 
+export interface CooldownRule {
+  /** Default for everyone not matched by an override; null: none. */
+  limit: CooldownLimit | null;
+  scope?: 'user' | 'guild' | 'channel' | 'global';
+  /** Tried in order, first match wins. */
+  overrides?: CooldownOverride[];
+  /** Matching users skip the cooldown entirely. */
+  bypass?: CooldownCondition;
+}
+
+type ScopeCheck = (command: string, interaction: RepliableInteraction, limit?: CooldownLimit) => Promise<CooldownResult>;
+
 export interface CooldownManagerOptions {
-  store?: Map<string, number>;
+  /** Shared store such as RedisStore or SqliteStore; a plain Map is wrapped in a MemoryStore. Default: a private MemoryStore */
+  store?: CooldownStore | Map<string, any>;
   keyPrefix?: string;
   autoSweep?: boolean;
+  /** Looks up entitlements for rules when interactions do not carry them (cached for a minute). */
+  monetization?: MonetizationManager;
+  /** JSON file restored on start and saved every `interval` ms (default 60s; 0 = only on `destroy()`). */
+  snapshot?: string | { path: string; interval?: number };
+}
+
+export interface CooldownEntry {
+  command: string;
+  /** As stored, e.g. `user_<id>`. */
+  entityId: string;
+  expiresAt: number | null;
+  /** ms until the entry expires; Infinity without expiry. */
+  remaining: number;
+  remainingText: string;
+  /** Expiry timestamp, or the rate-limit state. */
+  state: any;
+}
+
+export interface CooldownStats {
+  /** Uses refused because of a cooldown. */
+  hits: number;
+  /** Uses let through. */
+  misses: number;
+  /** Rule uses skipped for exempt users. */
+  bypassed: number;
+}
+
+export interface CooldownSnapshot {
+  version: number;
+  exportedAt: number;
+  /** Keys without the manager's prefix. */
+  entries: StoreEntry[];
 }
 
 export class CooldownManager {
   constructor(options?: CooldownManagerOptions);
-  check(command: string, entityId: string, duration?: number): CooldownResult;
-  set(command: string, entityId: string, durationMs: number): number;
-  use(command: string, entityId: string, durationMs: number): void;
-  reset(command: string, entityId: string): void;
-  resetAll(command: string): void;
-  remaining(command: string, entityId: string): number;
-  sweep(): number;
-  destroy(): void;
+  /** Pass the rate limit to get `usesLeft` / `nextIn` for it. */
+  check(command: string, entityId: string, limit?: CooldownLimit): Promise<CooldownResult>;
+  set(command: string, entityId: string, durationMs: number): Promise<number>;
+  /** Atomic check-and-set; resolves with `onCooldown: false` and the `usesLeft` / `nextIn` after this use, rejects with COOLDOWN_ACTIVE. */
+  use(command: string, entityId: string, limit: CooldownLimit): Promise<CooldownResult>;
+  reset(command: string, entityId: string): Promise<void>;
+  resetAll(command: string): Promise<void>;
+  remaining(command: string, entityId: string, limit?: CooldownLimit): Promise<number>;
+  sweep(): Promise<number>;
+  /** Writes a final snapshot when one is configured. */
+  destroy(): Promise<void>;
+  /** Resolves once the snapshot has been restored; every method waits for it. */
+  readonly ready: Promise<void>;
+  export(): Promise<CooldownSnapshot>;
+  /** Overwrites existing entries and skips expired ones; resolves with the count imported. */
+  import(snapshot: CooldownSnapshot): Promise<number>;
+  save(): Promise<void>;
+  /** Soonest to expire first; a bare `entityId` also matches `user_` / `guild_` / `channel_` entries. */
+  list(filter?: { command?: string; entityId?: string }): Promise<CooldownEntry[]>;
+  /** Removes the entity's entries across all commands; resolves with the count. */
+  resetEntity(entityId: string): Promise<number>;
+  /** Rate-limited entries need their limit. A missing entry is left alone. */
+  extend(command: string, entityId: string, ms: number, limit?: RateLimit): Promise<CooldownResult>;
+  reduce(command: string, entityId: string, ms: number, limit?: RateLimit): Promise<CooldownResult>;
+  /** In-process counters of `use()`. */
+  stats(): Record<string, CooldownStats>;
+  stats(command: string): CooldownStats;
+  resetStats(command?: string): void;
+  define(command: string, rule: CooldownRule): this;
+  /** Rejects with COOLDOWN_ACTIVE, or COOLDOWN_RULE_NOT_FOUND if `define()` was never called. */
+  useRule(command: string, interaction: RepliableInteraction): Promise<CooldownResult>;
+  checkRule(command: string, interaction: RepliableInteraction): Promise<CooldownResult>;
+  /** Router middleware applying a defined rule; the command defaults to `interaction.commandName`. */
+  middleware(command?: string): RouteMiddleware<any, RepliableInteraction>;
   readonly scope: {
-    user(command: string, interaction: RepliableInteraction, duration: number): void;
-    guild(command: string, interaction: RepliableInteraction, duration: number): void;
-    channel(command: string, interaction: RepliableInteraction, duration: number): void;
-    global(command: string, interaction: RepliableInteraction, duration: number): void;
+    user(command: string, interaction: RepliableInteraction, limit: CooldownLimit): Promise<CooldownResult>;
+    guild(command: string, interaction: RepliableInteraction, limit: CooldownLimit): Promise<CooldownResult>;
+    channel(command: string, interaction: RepliableInteraction, limit: CooldownLimit): Promise<CooldownResult>;
+    global(command: string, interaction: RepliableInteraction, limit: CooldownLimit): Promise<CooldownResult>;
+    check: { user: ScopeCheck; guild: ScopeCheck; channel: ScopeCheck; global: ScopeCheck };
   };
 }
 
@@ -145,6 +586,12 @@ export interface ConfirmationDefaults {
   confirmedText?: string;
   cancelledText?: string;
   timedOutText?: string;
+  /** Shown when `signal` aborts. */
+  abortedText?: string;
+  /** Label of the text input asking for `phrase`. */
+  phraseLabel?: string;
+  /** Ephemeral reply to a mistyped phrase. */
+  mismatchText?: string;
   updateReply?: boolean;
 }
 
@@ -152,11 +599,128 @@ export interface ConfirmationAskOptions extends ConfirmationDefaults {
   content?: string;
   embeds?: object[];
   components?: object[];
+  /** Removes the buttons and settles as aborted when it fires. */
+  signal?: AbortSignal;
+  /** Confirm opens a modal where this must be typed (trimmed, case-sensitive). Not for persistent confirmations. */
+  phrase?: string;
+  /** ms Confirm stays disabled, rounded up to whole seconds shown on its label. Must be shorter than `timeout`. */
+  countdown?: number;
+}
+
+export interface ConfirmationResult {
+  status: 'confirmed' | 'cancelled' | 'timeout' | 'aborted';
+  /** Who answered. */
+  by: User | null;
+  /** The click, or the phrase modal's submit; unacknowledged when `updateReply` is false. */
+  interaction: ButtonInteraction | ModalMessageModalSubmitInteraction | null;
+}
+
+export interface PersistentConfirmationOptions extends ConfirmationAskOptions {
+  /** Name passed to `register()`. */
+  handler: string;
+  data?: any;
+}
+
+export interface Choice {
+  label: string;
+  value: string;
+  /** Select menus only. */
+  description?: string;
+  emoji?: string;
+  /** Buttons only. Default: Secondary */
+  style?: ButtonStyle;
+}
+
+/** `phrase` and `countdown` only apply to yes/no confirmations. */
+export interface ChoiceAskOptions extends Omit<ConfirmationAskOptions, 'phrase' | 'countdown'> {
+  /** 1 to 25; plain strings are used as both label and value. */
+  choices: Array<Choice | string>;
+  /** Default: a select menu beyond 5 choices, buttons otherwise. */
+  menu?: boolean;
+  placeholder?: string;
+  /** Default: "✅ <label>" */
+  chosenText?: string | ((choice: Choice) => string);
+}
+
+export interface ApprovalAskOptions extends Omit<ConfirmationAskOptions, 'phrase' | 'countdown'> {
+  approvers: { users?: string[]; roles?: string[] };
+  /** Default: every listed user, or 1 with roles. */
+  required?: number;
+  approveLabel?: string;
+  approveStyle?: ButtonStyle;
+  denyLabel?: string;
+  denyStyle?: ButtonStyle;
 }
 
+export interface ApprovalResult {
+  approved: boolean;
+  /** User IDs, in voting order. */
+  approvedBy: string[];
+  deniedBy: string[];
+}
+
+export type ConfirmationHandler = (interaction: ButtonInteraction, result: { confirmed: boolean; data: any }) => any;
+
 export class ConfirmationManager {
   constructor(defaults?: ConfirmationDefaults);
+  persist(router: InteractionRouter, options?: { store?: ForgeStore }): this;
+  register(name: string, handler: ConfirmationHandler): this;
+  ask(interaction: RepliableInteraction, options: PersistentConfirmationOptions): Promise<void>;
+  /** Rejects with CONFIRMATION_TIMED_OUT, or the signal's reason when aborted. */
   ask(interaction: RepliableInteraction, options?: ConfirmationAskOptions): Promise<boolean>;
+  /** Never rejects for the outcome. */
+  prompt(interaction: RepliableInteraction, options?: ConfirmationAskOptions): Promise<ConfirmationResult>;
+  /** Resolves with the picked choice's value; rejects with CONFIRMATION_TIMED_OUT. */
+  choose(interaction: RepliableInteraction, options: ChoiceAskOptions): Promise<string>;
+  /** Public by default; resolves `approved: false` once the quorum is out of reach. */
+  approve(interaction: RepliableInteraction, options: ApprovalAskOptions): Promise<ApprovalResult>;
+}
+
+// ─── FormManager ──────────────────────────────────────────────────────────────
+
+export interface FormDefaults {
+  timeout?: number;
+  maxAttempts?: number;
+  retryLabel?: string;
+  errorTitle?: string;
+}
+
+type FormFieldValue<T> = T extends 'number' | 'int' ? number : T extends 'date' ? Date : string;
+
+export interface FormField<T extends 'string' | 'number' | 'int' | 'date' = 'string' | 'number' | 'int' | 'date'> {
+  label?: string;
+  type?: T;
+  style?: 'short' | 'paragraph';
+  required?: boolean;
+  placeholder?: string;
+  value?: string;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: RegExp;
+  min?: number | Date;
+  max?: number | Date;
+  /** Return a string or `false` to reject the value. */
+  validate?(value: FormFieldValue<T>, raw: Record<string, string>): boolean | string | void;
+  message?: string;
+}
+
+export interface FormSchema<F extends Record<string, FormField> = Record<string, FormField>> extends FormDefaults {
+  title: string;
+  fields: F;
+}
+
+export type FormValues<F extends Record<string, FormField>> = {
+  [K in keyof F]:
+    | (F[K] extends { type: infer T } ? FormFieldValue<T> : string)
+    | (F[K] extends { required: false } ? undefined : never);
+};
+
+export class FormManager {
+  constructor(defaults?: FormDefaults);
+  ask<const F extends Record<string, FormField>>(
+    interaction: BaseInteraction,
+    schema: FormSchema<F>,
+  ): Promise<{ values: FormValues<F>; interaction: ModalSubmitInteraction }>;
 }
 
 // ─── WebhookManager ───────────────────────────────────────────────────────────
@@ -165,23 +729,68 @@ export interface WebhookSendOptions {
   content?: string;
   username?: string;
   avatarUrl?: string;
+  /** `{ parse, users, roles }` as in the API. */
+  allowedMentions?: { parse?: Array<'users' | 'roles' | 'everyone'>; users?: string[]; roles?: string[] };
   embeds?: object[];
   components?: object[];
   tts?: boolean;
+  /** Uploaded as multipart/form-data; embeds can show them with `attachment://<name>` URLs. */
+  files?: WebhookFile[];
+  /** Existing attachments to keep when editing, e.g. `[{ id }]`. */
+  attachments?: object[];
 }
 
+/** Data, or a path to read. */
+export type WebhookFileSource = Buffer | Uint8Array | ArrayBuffer | Blob | string | AsyncIterable<any>;
+
+export type WebhookFile =
+  | WebhookFileSource
+  | AttachmentBuilder
+  | { attachment: WebhookFileSource; name?: string; description?: string };
+
 export interface WebhookSendMeta {
   threadId?: string;
   wait?: boolean;
+  /** Override the manager's `coalesce` for this send. */
+  coalesce?: boolean;
+}
+
+export interface WebhookManagerOptions {
+  /** Merge queued plain messages into as few sends as fit; merged callers all receive the same message. Default: false */
+  coalesce?: boolean;
+  /** Requests allowed to wait per webhook before sends reject with WEBHOOK_QUEUE_FULL. Default: Infinity */
+  maxQueue?: number;
+  /** 429 retries per request. Default: 3 */
+  maxRetries?: number;
+  /** Bytes of `files` allowed per request; raise it for webhooks in boosted guilds. Default: 10 MiB */
+  maxUploadSize?: number;
+}
+
+export interface WebhookQueueStats {
+  /** Requests waiting. */
+  queued: number;
+  inFlight: number;
+  /** ms until an exhausted rate-limit bucket resets; 0 when none is. */
+  waitingFor: number;
+  sent: number;
+  /** 429s retried. */
+  retried: number;
+  /** Sends merged into another. */
+  coalesced: number;
 }
 
 export class WebhookManager {
-  constructor(client: Client);
+  constructor(client: Client, options?: WebhookManagerOptions);
   send(url: string, payload: WebhookSendOptions, meta?: WebhookSendMeta): Promise<object | null>;
   sendBatch(url: string, payload: WebhookSendOptions, meta?: WebhookSendMeta): Promise<object[]>;
   edit(url: string, messageId: string, payload: WebhookSendOptions, threadId?: string): Promise<object>;
   delete(url: string, messageId: string, threadId?: string): Promise<null>;
   fetch(url: string): Promise<object>;
+  stats(url: string): WebhookQueueStats;
+  /** Keyed by webhook ID; idle webhooks whose rate limits have reset are left out. */
+  stats(): Record<string, WebhookQueueStats>;
+  /** Resolves once every queued request has been sent. */
+  drain(url?: string): Promise<void>;
 }
 
 // ─── Utils ───────────────────────────────────────────────────────────────────
@@ -209,6 +818,8 @@ export const Timestamp: {
 export const Perms: {
   botHas(interaction: BaseInteraction, permissions: string[]): boolean;
   memberHas(interaction: BaseInteraction, permissions: string[]): boolean;
+  /** True if the member has at least one of these roles. */
+  hasRole(interaction: BaseInteraction, roleIds: string[]): boolean;
   missingText(interaction: BaseInteraction, permissions: string[]): string;
 };
 
@@ -241,7 +852,9 @@ export class DjsForge {
   readonly router:         InteractionRouter;
   readonly cooldowns:      CooldownManager;
   readonly confirmations:  ConfirmationManager;
+  readonly forms:          FormManager;
   readonly webhooks:       WebhookManager;
+  readonly commands:       CommandSync;
   constructor(client: Client);
   paginator(pages: object[], options?: PaginatorOptions): Paginator;
 }
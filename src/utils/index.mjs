@@ -164,6 +164,18 @@ export const Perms = {
     return member.permissions.has(permissions.map(p => PermissionsBitField.Flags[p]).filter(Boolean));
   },
 
+  /**
+   * Check if the invoking member has at least one of the given roles.
+   * @param {import('discord.js').BaseInteraction} interaction
+   * @param {string[]} roleIds
+   */
+  hasRole(interaction, roleIds) {
+    // Cached GuildMember or the raw API member of an uncached guild
+    const roles = interaction.member?.roles;
+    const ids   = Array.isArray(roles) ? roles : [...(roles?.cache?.keys() ?? [])];
+    return ids.some(id => roleIds.includes(id));
+  },
+
   /**
    * Returns a formatted string listing missing permissions.
    * @param {import('discord.js').BaseInteraction} interaction
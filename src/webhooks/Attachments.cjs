@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./Attachments.mjs');
+module.exports = mod;
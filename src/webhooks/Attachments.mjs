@@ -0,0 +1,99 @@
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+
+/** Discord's upload limit per request outside boosted guilds. */
+export const DEFAULT_MAX_UPLOAD = 10 * 1024 * 1024;
+
+const REFERENCE = /^attachment:\/\/(.+)$/;
+
+/**
+ * Build the `multipart/form-data` body of a webhook message with files.
+ *
+ * Files may be Buffers, typed arrays, Blobs, readable streams, file paths,
+ * discord.js `AttachmentBuilder`s or `{ attachment, name, description }`.
+ * They are read into memory first, so the size limit is checked before
+ * anything is uploaded and a 429 retry can send the same body again.
+ *
+ * @param {object} body     The JSON payload, already normalised
+ * @param {Array}  files
+ * @param {number} maxSize  Bytes allowed for all files together
+ * @returns {Promise<FormData>}
+ */
+export async function toFormData(body, files, maxSize) {
+  const resolved = await Promise.all(files.map(resolveFile));
+
+  const size = resolved.reduce((sum, file) => sum + file.data.size, 0);
+  if (size > maxSize) {
+    throw new ForgeError(ForgeErrorCode.WEBHOOK_FILE_TOO_LARGE, `${formatBytes(size)} of ${formatBytes(maxSize)}`);
+  }
+
+  // Existing attachments listed by an edit stay; new ones are numbered from 0
+  const attachments = [
+    ...(body.attachments ?? []),
+    ...resolved.map((file, i) => ({ id: i, filename: file.name, description: file.description })),
+  ];
+  checkReferences(body.embeds ?? [], attachments);
+
+  const form = new FormData();
+  form.append('payload_json', JSON.stringify({ ...body, attachments }));
+  resolved.forEach((file, i) => form.append(`files[${i}]`, file.data, file.name));
+  return form;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+async function resolveFile(file, index) {
+  const source = file?.attachment ?? file;
+  const name   = file?.name ?? defaultName(source, index);
+  return { name, description: file?.description ?? undefined, data: await toBlob(source, name) };
+}
+
+async function toBlob(source, name) {
+  if (source instanceof Blob)     return source;
+  if (typeof source === 'string') return new Blob([await readFile(source)]);
+  if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) return new Blob([source]);
+
+  // Node and web streams are both async iterable
+  if (typeof source?.[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    for await (const chunk of source) chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    return new Blob(chunks);
+  }
+
+  throw new ForgeError(ForgeErrorCode.WEBHOOK_INVALID_FILE, `"${name}"`);
+}
+
+/** The file's own name when it has one, so its extension (and inline preview) survives. */
+function defaultName(source, index) {
+  if (typeof source === 'string')       return basename(source);
+  if (typeof source?.path === 'string') return basename(source.path);   // fs.ReadStream
+  return `file-${index}`;
+}
+
+/** Every `attachment://name` an embed uses must be uploaded or kept. */
+function checkReferences(embeds, attachments) {
+  const names = new Set(attachments.map(a => a.filename));
+  for (const embed of embeds) {
+    for (const url of [embed.image?.url, embed.thumbnail?.url, embed.author?.icon_url, embed.footer?.icon_url]) {
+      const name = REFERENCE.exec(url ?? '')?.[1];
+      if (name && !names.has(name)) {
+        throw new ForgeError(ForgeErrorCode.WEBHOOK_INVALID_FILE, `An embed uses attachment://${name} but no file has that name`);
+      }
+    }
+  }
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * @typedef {Buffer|Uint8Array|ArrayBuffer|Blob|string|AsyncIterable<any>} FileSource
+ *   Data, or a path to read
+ */
+
+/**
+ * @typedef {FileSource|{ attachment: FileSource, name?: string, description?: string }} WebhookFile
+ *   `AttachmentBuilder` has this shape too
+ */
@@ -1,5 +1,7 @@
 import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
 import { ForgeRest } from '../rest/ForgeRest.mjs';
+import { WebhookQueue } from './WebhookQueue.mjs';
+import { toFormData, DEFAULT_MAX_UPLOAD } from './Attachments.mjs';
 
 const WEBHOOK_URL_REGEX = /^https:\/\/discord(?:app)?\.com\/api(?:\/v\d+)?\/webhooks\/(\d+)\/([\w-]+)/;
 
@@ -9,6 +11,13 @@ const WEBHOOK_URL_REGEX = /^https:\/\/discord(?:app)?\.com\/api(?:\/v\d+)?\/webh
  * Supports sending rich messages, thread posting, editing/deleting sent messages,
  * and batching multiple embeds into a single send (Discord's 10-embed limit handled).
  *
+ * Every request goes through a per-webhook queue that follows Discord's
+ * rate-limit headers and retries 429s, so a busy log channel slows down
+ * instead of failing. `stats()` and `drain()` expose the backlog.
+ *
+ * `files` are uploaded as `multipart/form-data`; embeds can show them with
+ * `attachment://<name>` URLs.
+ *
  * @example
  * import { WebhookManager } from 'djs-forge/webhooks';
  *
@@ -25,13 +34,27 @@ const WEBHOOK_URL_REGEX = /^https:\/\/discord(?:app)?\.com\/api(?:\/v\d+)?\/webh
  *
  * // Send many embeds auto-batched (no more "maximum 10 embeds" crashes)
  * await webhooks.sendBatch(url, { embeds: lotsOfEmbeds });
+ *
+ * // Bursts of log lines: merged into as few messages as fit while the webhook is busy
+ * const logs = new WebhookManager(client, { coalesce: true, maxQueue: 500 });
+ * logs.send(url, { content: `${user.tag} joined` });
+ *
+ * // Upload files: Buffers, streams, paths or AttachmentBuilders
+ * await webhooks.send(url, {
+ *   files:  ['./report.png', { attachment: csvBuffer, name: 'data.csv' }],
+ *   embeds: [{ title: 'Weekly report', image: { url: 'attachment://report.png' } }],
+ * });
  */
 export class WebhookManager {
   /**
    * @param {import('discord.js').Client} client
+   * @param {WebhookManagerOptions} [options]
    */
-  constructor(client) {
-    this._rest = new ForgeRest(client);
+  constructor(client, options = {}) {
+    this._rest      = new ForgeRest(client);
+    this._queue     = new WebhookQueue(this._rest, options);
+    this._coalesce  = options.coalesce ?? false;
+    this._maxUpload = options.maxUploadSize ?? DEFAULT_MAX_UPLOAD;
   }
 
   // ─── Core Send ─────────────────────────────────────────────────────────────
@@ -42,19 +65,29 @@ export class WebhookManager {
    * @param {WebhookSendOptions} payload
    * @param {WebhookSendMeta} [meta]
    * @returns {Promise<object|null>}
+   * @throws {ForgeError} WEBHOOK_QUEUE_FULL when `maxQueue` requests are already waiting
+   * @throws {ForgeError} WEBHOOK_FILE_TOO_LARGE when `files` exceed `maxUploadSize`
+   * @throws {ForgeError} WEBHOOK_INVALID_FILE for an unsupported file or a dangling `attachment://` reference
    */
   async send(url, payload, meta = {}) {
     const { id, token } = this._parse(url);
     const qs = new URLSearchParams({ wait: meta.wait !== false ? 'true' : 'false' });
     if (meta.threadId) qs.set('thread_id', meta.threadId);
 
-    return this._rest.request('POST', `/webhooks/${id}/${token}?${qs}`, {
-      body: this._normalise(payload),
+    return this._queue.push(id, {
+      method:   'POST',
+      route:    'POST',
+      endpoint: `/webhooks/${id}/${token}?${qs}`,
+      body:     this._body(payload),
+      // Uploads are never merged: files cannot be combined into another send
+      coalesce: !payload.files?.length && (meta.coalesce ?? this._coalesce),
     });
   }
 
   /**
    * Auto-batch an array of embeds across multiple sends (max 10 per message).
+   * Chunks are sent one after another; the first failure rejects and the
+   * remaining chunks are not sent.
    * @param {string} url
    * @param {WebhookSendOptions} payload  Must include `embeds`
    * @param {WebhookSendMeta} [meta]
@@ -70,8 +103,8 @@ export class WebhookManager {
       const isFirst = ci === 0;
       const msg = await this.send(
         url,
-        { ...payload, embeds: chunks[ci], content: isFirst ? payload.content : undefined },
-        meta
+        isFirst ? { ...payload, embeds: chunks[ci] } : { ...payload, embeds: chunks[ci], content: undefined, files: undefined },
+        { ...meta, coalesce: false },
       );
       results.push(msg);
     }
@@ -82,14 +115,18 @@ export class WebhookManager {
    * Edit a previously sent webhook message.
    * @param {string} url
    * @param {string} messageId
-   * @param {WebhookSendOptions} payload
+   * @param {WebhookSendOptions} payload  `attachments` lists the existing files to keep;
+   *                                       `files` are added to them
    * @param {string} [threadId]
    */
   async edit(url, messageId, payload, threadId) {
     const { id, token } = this._parse(url);
     const qs = threadId ? `?thread_id=${threadId}` : '';
-    return this._rest.request('PATCH', `/webhooks/${id}/${token}/messages/${messageId}${qs}`, {
-      body: this._normalise(payload),
+    return this._queue.push(id, {
+      method:   'PATCH',
+      route:    'PATCH /messages',
+      endpoint: `/webhooks/${id}/${token}/messages/${messageId}${qs}`,
+      body:     this._body(payload),
     });
   }
 
@@ -102,7 +139,11 @@ export class WebhookManager {
   async delete(url, messageId, threadId) {
     const { id, token } = this._parse(url);
     const qs = threadId ? `?thread_id=${threadId}` : '';
-    return this._rest.request('DELETE', `/webhooks/${id}/${token}/messages/${messageId}${qs}`);
+    return this._queue.push(id, {
+      method:   'DELETE',
+      route:    'DELETE /messages',
+      endpoint: `/webhooks/${id}/${token}/messages/${messageId}${qs}`,
+    });
   }
 
   /**
@@ -114,6 +155,31 @@ export class WebhookManager {
     return this._rest.request('GET', `/webhooks/${id}/${token}`);
   }
 
+  // ─── Queue ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Queue metrics: for one webhook, or keyed by webhook ID for every webhook with
+   * a queue. Idle webhooks whose rate limits have reset are forgotten, counters included.
+   * Watch `queued` for backpressure, e.g. to stop producing log lines.
+   * @param {string} [url]
+   * @returns {import('./WebhookQueue.mjs').WebhookQueueStats|Record<string, import('./WebhookQueue.mjs').WebhookQueueStats>}
+   */
+  stats(url) {
+    if (url !== undefined) return this._queue.stats(this._parse(url).id);
+    return Object.fromEntries(this._queue.webhooks().map(id => [id, this._queue.stats(id)]));
+  }
+
+  /**
+   * Resolves once every queued request has been sent — for one webhook, or all.
+   * Await it before shutting down so no log line is lost.
+   * @param {string} [url]
+   * @returns {Promise<void>}
+   */
+  async drain(url) {
+    const ids = url !== undefined ? [this._parse(url).id] : this._queue.webhooks();
+    await Promise.all(ids.map(id => this._queue.drain(id)));
+  }
+
   // ─── Internals ─────────────────────────────────────────────────────────────
 
   _parse(url) {
@@ -122,8 +188,18 @@ export class WebhookManager {
     return { id: match[1], token: match[2] };
   }
 
+  /** JSON for plain messages; a promise of FormData when there are files to read first. */
+  _body(payload) {
+    const { files, ...rest } = payload;
+    const body = this._normalise(rest);
+    return files?.length ? toFormData(body, files, this._maxUpload) : body;
+  }
+
   _normalise(payload) {
-    const out = { ...payload };
+    const { avatarUrl, allowedMentions, ...out } = payload;
+    // Documented camelCase → the API's snake_case, which the queue also merges on
+    if (avatarUrl !== undefined) out.avatar_url = avatarUrl;
+    if (allowedMentions !== undefined) out.allowed_mentions = allowedMentions;
     // discord.js EmbedBuilder → plain JSON
     if (out.embeds) out.embeds = out.embeds.map(e => e.toJSON?.() ?? e);
     if (out.components) out.components = out.components.map(c => c.toJSON?.() ?? c);
@@ -139,11 +215,25 @@ export class WebhookManager {
  * @property {Array}  [embeds]
  * @property {Array}  [components]
  * @property {boolean}[tts]
- * @property {Array}  [allowedMentions]
+ * @property {object} [allowedMentions]  `{ parse, users, roles }` as in the API
+ * @property {import('./Attachments.mjs').WebhookFile[]} [files]  Uploaded as multipart/form-data
+ * @property {Array}  [attachments]  Existing attachments to keep when editing, e.g. `[{ id }]`
  */
 
 /**
  * @typedef {object} WebhookSendMeta
  * @property {string}  [threadId]    Post into a specific thread
  * @property {boolean} [wait=true]   Wait for Discord to confirm the message
+ * @property {boolean} [coalesce]    Override the manager's `coalesce` for this send
+ */
+
+/**
+ * @typedef {object} WebhookManagerOptions
+ * @property {boolean} [coalesce=false]    Merge queued plain messages into as few sends as fit;
+ *                                         merged callers all receive the same message
+ * @property {number}  [maxQueue=Infinity] Requests allowed to wait per webhook before
+ *                                         sends reject with WEBHOOK_QUEUE_FULL
+ * @property {number}  [maxRetries=3]      429 retries per request
+ * @property {number}  [maxUploadSize]     Bytes of `files` allowed per request (default 10 MiB);
+ *                                         raise it for webhooks in boosted guilds
  */
@@ -0,0 +1,3 @@
+'use strict';
+const mod = require('./WebhookQueue.mjs');
+module.exports = mod;
@@ -0,0 +1,236 @@
+import { setTimeout as sleep } from 'node:timers/promises';
+import { ForgeError, ForgeErrorCode } from '../errors/ForgeError.mjs';
+
+const MAX_CONTENT = 2000;
+const MAX_EMBEDS  = 10;
+
+// Only plain messages merge; anything else (components, tts, files…) is sent as is
+const MERGEABLE = new Set(['content', 'embeds', 'username', 'avatar_url', 'allowed_mentions']);
+
+/**
+ * WebhookQueue — One FIFO queue per webhook, paced by Discord's rate-limit headers.
+ *
+ * Requests to a webhook run one at a time, in order. After each response the
+ * bucket's `X-RateLimit-Remaining` / `X-RateLimit-Reset-After` are recorded per
+ * route, and a request that would exceed them waits for the reset instead of
+ * hitting a 429. A 429 that happens anyway pauses the route for `retry_after`
+ * and retries, up to `maxRetries` times.
+ *
+ * Queued sends marked `coalesce` are merged into the send waiting before them
+ * when both are plain messages to the same target and the result still fits
+ * one message; every merged caller receives the same message.
+ *
+ * A webhook's queue is dropped once it is idle and none of its routes is
+ * exhausted, so posting to many webhooks does not grow memory; its counters
+ * start again from zero the next time it is used.
+ */
+export class WebhookQueue {
+  /**
+   * @param {import('../rest/ForgeRest.mjs').ForgeRest} rest
+   * @param {{ maxRetries?: number, maxQueue?: number }} [options]
+   */
+  constructor(rest, options = {}) {
+    this._rest       = rest;
+    this._maxRetries = options.maxRetries ?? 3;
+    this._maxQueue   = options.maxQueue   ?? Infinity;
+    /** @type {Map<string, Bucket>}  webhook ID → its queue */
+    this._buckets    = new Map();
+  }
+
+  /**
+   * Queue a request for a webhook.
+   * @param {string} webhookId
+   * @param {QueuedRequest} request
+   * @returns {Promise<any>}  The response body
+   * @throws {ForgeError} WEBHOOK_QUEUE_FULL when `maxQueue` requests are already waiting
+   */
+  push(webhookId, request) {
+    const bucket = this._bucket(webhookId);
+
+    const last = bucket.pending[bucket.pending.length - 1];
+    if (request.coalesce && last?.coalesce && last.endpoint === request.endpoint) {
+      const merged = merge(last.body, request.body);
+      if (merged) {
+        last.body = merged;
+        bucket.stats.coalesced++;
+        return last.promise;
+      }
+    }
+
+    if (bucket.pending.length >= this._maxQueue) {
+      return Promise.reject(new ForgeError(ForgeErrorCode.WEBHOOK_QUEUE_FULL, `${bucket.pending.length} waiting`));
+    }
+
+    // A body still being built (files being read) keeps its place in line;
+    // if building fails, the caller is rejected when its turn comes
+    Promise.resolve(request.body).catch(() => {});
+
+    const task = { ...request, attempts: 0 };
+    task.promise = new Promise((resolve, reject) => { task.resolve = resolve; task.reject = reject; });
+    bucket.pending.push(task);
+    this._run(bucket);
+    return task.promise;
+  }
+
+  /**
+   * Queue metrics for one webhook, since its queue was last idle.
+   * @param {string} webhookId
+   * @returns {WebhookQueueStats}
+   */
+  stats(webhookId) {
+    const bucket = this._buckets.get(webhookId);
+    if (!bucket) return { queued: 0, inFlight: 0, waitingFor: 0, sent: 0, retried: 0, coalesced: 0 };
+
+    const now = Date.now();
+    const waitingFor = Math.max(0, ...[...bucket.limits.values()]
+      .filter(limit => limit.remaining === 0)
+      .map(limit => limit.resetAt - now));
+    return { queued: bucket.pending.length, inFlight: bucket.running ? 1 : 0, waitingFor, ...bucket.stats };
+  }
+
+  /** @returns {string[]}  IDs of the webhooks with a queue: busy, or waiting for a rate limit to reset */
+  webhooks() {
+    return [...this._buckets.keys()];
+  }
+
+  /**
+   * Resolves once nothing is queued or in flight for the webhook.
+   * @param {string} webhookId
+   * @returns {Promise<void>}
+   */
+  drain(webhookId) {
+    const bucket = this._buckets.get(webhookId);
+    if (!bucket?.running) return Promise.resolve();
+    return new Promise(resolve => bucket.drained.push(resolve));
+  }
+
+  // ─── Internals ─────────────────────────────────────────────────────────────
+
+  _bucket(webhookId) {
+    let bucket = this._buckets.get(webhookId);
+    if (!bucket) {
+      bucket = {
+        id:      webhookId,
+        pending: [],
+        running: false,
+        drained: [],
+        limits:  new Map(),   // route → last known limit
+        stats:   { sent: 0, retried: 0, coalesced: 0 },
+        pruneTimer: null,
+      };
+      this._buckets.set(webhookId, bucket);
+    }
+    return bucket;
+  }
+
+  async _run(bucket) {
+    if (bucket.running) return;
+    bucket.running = true;
+
+    while (bucket.pending.length) {
+      const task = bucket.pending.shift();
+      try {
+        task.resolve(await this._execute(bucket, task));
+      } catch (err) {
+        task.reject(err);
+      }
+    }
+
+    bucket.running = false;
+    for (const resolve of bucket.drained.splice(0)) resolve();
+    this._prune(bucket);
+  }
+
+  /** Forget an idle bucket, or check again once its last exhausted route resets. */
+  _prune(bucket) {
+    clearTimeout(bucket.pruneTimer);
+    if (bucket.running || bucket.pending.length || this._buckets.get(bucket.id) !== bucket) return;
+
+    // Routes with requests left carry nothing worth keeping; the next response reports them again
+    const now     = Date.now();
+    const resetAt = Math.max(0, ...[...bucket.limits.values()]
+      .filter(limit => limit.remaining === 0)
+      .map(limit => limit.resetAt));
+    if (resetAt <= now) {
+      this._buckets.delete(bucket.id);
+      return;
+    }
+    bucket.pruneTimer = setTimeout(() => this._prune(bucket), resetAt - now);
+    bucket.pruneTimer.unref?.();
+  }
+
+  async _execute(bucket, task) {
+    const body = await task.body;
+
+    for (;;) {
+      const limit = bucket.limits.get(task.route);
+      if (limit?.remaining === 0 && limit.resetAt > Date.now()) await sleep(limit.resetAt - Date.now());
+
+      try {
+        const data = await this._rest.request(task.method, task.endpoint, {
+          body,
+          onHeaders: (headers) => record(bucket, task.route, headers),
+        });
+        bucket.stats.sent++;
+        return data;
+      } catch (err) {
+        if (err.code !== ForgeErrorCode.RATE_LIMITED || task.attempts >= this._maxRetries) throw err;
+        task.attempts++;
+        bucket.stats.retried++;
+        bucket.limits.set(task.route, { remaining: 0, resetAt: Date.now() + (err.retryAfter ?? 1_000) });
+      }
+    }
+  }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function record(bucket, route, headers) {
+  const remaining  = headers.get('x-ratelimit-remaining');
+  const resetAfter = headers.get('x-ratelimit-reset-after');
+  if (remaining === null || resetAfter === null) return;
+  bucket.limits.set(route, { remaining: Number(remaining), resetAt: Date.now() + Number(resetAfter) * 1_000 });
+}
+
+/** Both bodies as one message, or null when they differ in more than content and embeds or do not fit. */
+function merge(a, b) {
+  if (![a, b].every(body => Object.keys(body).every(key => MERGEABLE.has(key) || body[key] === undefined))) return null;
+  if (a.username !== b.username || a.avatar_url !== b.avatar_url) return null;
+  if (JSON.stringify(a.allowed_mentions) !== JSON.stringify(b.allowed_mentions)) return null;
+
+  const content = [a.content, b.content].filter(Boolean).join('\n');
+  const embeds  = [...(a.embeds ?? []), ...(b.embeds ?? [])];
+  if (content.length > MAX_CONTENT || embeds.length > MAX_EMBEDS) return null;
+
+  return { ...a, content: content || undefined, embeds: embeds.length ? embeds : undefined };
+}
+
+/**
+ * @typedef {object} QueuedRequest
+ * @property {'GET'|'POST'|'PATCH'|'DELETE'} method
+ * @property {string}  endpoint
+ * @property {string}  route       Rate-limit route within the webhook, e.g. 'POST'
+ * @property {any}     [body]      A JSON payload, FormData, or a promise of either
+ * @property {boolean} [coalesce]  May merge with the send queued before it; plain payloads only
+ */
+
+/**
+ * @typedef {object} WebhookQueueStats
+ * @property {number} queued      Requests waiting
+ * @property {number} inFlight    0 or 1
+ * @property {number} waitingFor  ms until an exhausted route resets (0 when none is)
+ * @property {number} sent
+ * @property {number} retried     429s retried
+ * @property {number} coalesced   Sends merged into another
+ */
+
+/**
+ * @typedef {object} Bucket
+ * @property {string}  id
+ * @property {Array<QueuedRequest & { promise: Promise<any>, resolve: Function, reject: Function, attempts: number }>} pending
+ * @property {boolean} running
+ * @property {Array<() => void>} drained
+ * @property {Map<string, { remaining: number, resetAt: number }>} limits
+ * @property {{ sent: number, retried: number, coalesced: number }} stats
+ * @property {NodeJS.Timeout|null} pruneTimer
+ */
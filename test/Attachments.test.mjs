@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import { toFormData, DEFAULT_MAX_UPLOAD } from '../src/webhooks/Attachments.mjs';
+
+const payload = (form) => JSON.parse(form.get('payload_json'));
+
+test('payload_json lists each file and the parts carry the data', async () => {
+  const form = await toFormData({ content: 'hi' }, [
+    Buffer.from('one'),
+    { attachment: new Uint8Array([1, 2]), name: 'two.bin', description: 'Two bytes' },
+    new Blob(['three']),
+  ], DEFAULT_MAX_UPLOAD);
+
+  assert.deepEqual(payload(form), {
+    content:     'hi',
+    attachments: [
+      { id: 0, filename: 'file-0' },
+      { id: 1, filename: 'two.bin', description: 'Two bytes' },
+      { id: 2, filename: 'file-2' },
+    ],
+  });
+  assert.equal(await form.get('files[0]').text(), 'one');
+  assert.equal(form.get('files[1]').name, 'two.bin');
+  assert.equal(form.get('files[1]').size, 2);
+  assert.equal(await form.get('files[2]').text(), 'three');
+});
+
+test('paths and file streams are named after the file', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'forge-attachments-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const file = join(dir, 'chart.png');
+  await writeFile(file, 'png');
+
+  const form = await toFormData({}, [file, createReadStream(file), Readable.from(['a', 'b'])], DEFAULT_MAX_UPLOAD);
+  assert.deepEqual(payload(form).attachments.map(a => a.filename), ['chart.png', 'chart.png', 'file-2']);
+  assert.equal(await form.get('files[1]').text(), 'png');
+  assert.equal(await form.get('files[2]').text(), 'ab');
+});
+
+test('files over the size limit together are rejected', async () => {
+  await assert.rejects(
+    toFormData({}, [Buffer.alloc(600), Buffer.alloc(600)], 1_024),
+    { code: 'WEBHOOK_FILE_TOO_LARGE' }
+  );
+  await toFormData({}, [Buffer.alloc(512), Buffer.alloc(512)], 1_024);
+});
+
+test('unsupported sources are rejected', async () => {
+  await assert.rejects(toFormData({}, [42], DEFAULT_MAX_UPLOAD), { code: 'WEBHOOK_INVALID_FILE' });
+  await assert.rejects(toFormData({}, [{ attachment: {}, name: 'x.txt' }], DEFAULT_MAX_UPLOAD), { code: 'WEBHOOK_INVALID_FILE' });
+});
+
+test('embeds may only reference uploaded or kept attachments', async () => {
+  const embeds = [{ image: { url: 'attachment://chart.png' }, footer: { icon_url: 'attachment://icon.png' } }];
+
+  await assert.rejects(
+    toFormData({ embeds }, [{ attachment: Buffer.from('x'), name: 'chart.png' }], DEFAULT_MAX_UPLOAD),
+    { code: 'WEBHOOK_INVALID_FILE' }
+  );
+
+  // An edit keeps icon.png and uploads chart.png
+  const kept = { id: '1100', filename: 'icon.png' };
+  const form = await toFormData(
+    { embeds, attachments: [kept] },
+    [{ attachment: Buffer.from('x'), name: 'chart.png' }],
+    DEFAULT_MAX_UPLOAD
+  );
+  assert.deepEqual(payload(form).attachments, [kept, { id: 0, filename: 'chart.png' }]);
+});
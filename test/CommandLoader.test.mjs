@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, unlink, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { CommandLoader } from '../src/loader/CommandLoader.mjs';
+import { InteractionRouter } from '../src/routing/InteractionRouter.mjs';
+
+/** Write `files` (relative path → source) into a fresh temporary directory. */
+async function tree(t, files) {
+  const root = await mkdtemp(join(tmpdir(), 'forge-loader-'));
+  t.after(() => rm(root, { recursive: true, force: true }));
+  for (const [path, source] of Object.entries(files)) {
+    await mkdir(join(root, path, '..'), { recursive: true });
+    await writeFile(join(root, path), source);
+  }
+  return root;
+}
+
+function slash(commandName, subcommand = null) {
+  return {
+    commandName,
+    options:                     { getSubcommandGroup: () => null, getSubcommand: () => subcommand },
+    isChatInputCommand:          () => true,
+    isAutocomplete:              () => false,
+    isUserContextMenuCommand:    () => false,
+    isMessageContextMenuCommand: () => false,
+  };
+}
+
+test('maps files to command paths and collects their definitions', async (t) => {
+  const root = await tree(t, {
+    'ping.mjs':      "export const data = { name: 'ping', description: 'Pong' }; export const execute = (i) => { i.ran = 'ping'; };",
+    'mod/index.mjs': "export const data = { name: 'mod', description: 'Moderation' };",
+    'mod/ban.mjs':   "export const data = { name: 'ban', description: 'Ban' }; export const execute = (i) => { i.ran = 'mod ban'; };",
+    '_shared/x.mjs': 'export const helper = 1;',
+  });
+  const router = new InteractionRouter({ warnings: false });
+  assert.deepEqual(await new CommandLoader(router, { commands: root }).load(), { commands: 3, components: 0 });
+
+  const ban = slash('mod', 'ban');
+  await router.handle(ban);
+  assert.equal(ban.ran, 'mod ban');
+  assert.deepEqual(router.definitions(), [
+    { name: 'mod', description: 'Moderation', options: [{ name: 'ban', description: 'Ban', type: 1 }] },
+    { name: 'ping', description: 'Pong' },
+  ]);
+});
+
+test('a definition-only parent does not swallow unknown subcommands', async (t) => {
+  const root = await tree(t, {
+    'mod/index.mjs': "export const data = { name: 'mod', description: 'Moderation' };",
+    'mod/ban.mjs':   "export const data = { name: 'ban', description: 'Ban' }; export const execute = () => {};",
+  });
+  let fellBack = false;
+  const router = new InteractionRouter({ warnings: false }).fallback(() => { fellBack = true; });
+  await new CommandLoader(router, { commands: root }).load();
+
+  assert.equal(await router.handle(slash('mod', 'kick')), false);
+  assert.ok(fellBack);
+});
+
+test('rejects a top-level index file', async (t) => {
+  const root   = await tree(t, { 'index.mjs': "export const data = { name: 'x', description: 'x' };" });
+  const loader = new CommandLoader(new InteractionRouter({ warnings: false }), { commands: root });
+  await assert.rejects(loader.load(), { code: 'LOADER_INVALID_MODULE', detail: /index files belong in a command's directory/ });
+});
+
+test('rejects command modules without execute()', async (t) => {
+  const root   = await tree(t, { 'ping.mjs': "export const data = { name: 'ping', description: 'Pong' };" });
+  const loader = new CommandLoader(new InteractionRouter({ warnings: false }), { commands: root });
+  await assert.rejects(loader.load(), { code: 'LOADER_INVALID_MODULE' });
+});
+
+test('sync() unloads deleted files, definition-only ones included', async (t) => {
+  const root = await tree(t, {
+    'mod/index.mjs': "export const data = { name: 'mod', description: 'Moderation' };",
+    'mod/ban.mjs':   "export const data = { name: 'ban', description: 'Ban' }; export const execute = () => {};",
+  });
+  const router = new InteractionRouter({ warnings: false });
+  const loader = new CommandLoader(router, { commands: root });
+  await loader.load();
+
+  await unlink(join(root, 'mod/index.mjs'));
+  // Overlapping syncs run one after another
+  await Promise.all([loader.sync(), loader.sync()]);
+  assert.equal(router.definitions()[0].description, 'mod');
+
+  await unlink(join(root, 'mod/ban.mjs'));
+  await loader.sync();
+  assert.deepEqual(router.definitions(), []);
+});
+
+test('components map to customIds unless they export their own', async (t) => {
+  const root = await tree(t, {
+    'ticket/open.mjs': 'export const execute = (i) => { i.ran = "open"; };',
+    'close.mjs':       "export const customId = 'ticket:close_*'; export const execute = (i, { wildcard }) => { i.ran = wildcard; };",
+  });
+  const router = new InteractionRouter({ warnings: false });
+  await new CommandLoader(router, { components: root }).load();
+
+  for (const [customId, ran] of [['ticket:open', 'open'], ['ticket:close_42', '42']]) {
+    const interaction = { customId, isAutocomplete: () => false };
+    await router.handle(interaction);
+    assert.equal(interaction.ran, ran);
+  }
+});
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommandSync } from '../src/commands/CommandSync.mjs';
+import { InteractionRouter } from '../src/routing/InteractionRouter.mjs';
+
+/**
+ * A CommandSync whose REST client serves `deployed` on GET and records every
+ * other request.
+ */
+function syncWith(deployed, options = {}) {
+  const calls = [];
+  const sync  = new CommandSync({ token: 't', application: { id: 'app' } }, { logger: () => {}, ...options });
+  sync._rest  = {
+    async request(method, endpoint, { body, query } = {}) {
+      if (method === 'GET') {
+        calls.push({ method, endpoint, query });
+        return structuredClone(deployed);
+      }
+      calls.push({ method, endpoint, body });
+      return body ?? null;
+    },
+  };
+  return { sync, calls, writes: () => calls.filter(call => call.method !== 'GET') };
+}
+
+/** A command as Discord returns it: ids, version and server defaults filled in. */
+const remote = (id, command) => ({
+  id,
+  application_id:     'app',
+  version:            '1',
+  type:               1,
+  default_permission: true,
+  default_member_permissions: null,
+  dm_permission:      true,
+  contexts:           null,
+  integration_types:  [0],
+  nsfw:               false,
+  name_localizations: null,
+  description_localizations: null,
+  ...command,
+});
+
+const ping = { name: 'ping', description: 'Pong' };
+const ban  = {
+  name: 'ban', description: 'Ban someone',
+  options: [
+    { type: 6, name: 'user', description: 'Who', required: true },
+    { type: 3, name: 'reason', description: 'Why' },
+  ],
+};
+
+test('an unchanged command issues no writes', async () => {
+  const { sync, calls, writes } = syncWith([remote('1', ping), remote('2', ban)]);
+
+  const diff = await sync.deploy([ping, ban]);
+  assert.deepEqual(diff.unchanged.map(c => c.id), ['1', '2']);
+  assert.deepEqual([diff.added, diff.changed, diff.removed], [[], [], []]);
+  assert.deepEqual(writes(), []);
+  assert.deepEqual(calls[0], { method: 'GET', endpoint: '/applications/app/commands', query: { with_localizations: 'true' } });
+});
+
+test('false, null and empty values match what Discord omits', async () => {
+  const { sync } = syncWith([remote('1', { ...ban, options: ban.options.map(o => ({ ...o, description_localized: o.description })) })]);
+
+  const local = {
+    ...ban,
+    nsfw:                      false,
+    name_localizations:        {},
+    description_localizations: null,
+    options: [
+      { ...ban.options[0], autocomplete: false, choices: [] },
+      { ...ban.options[1], required: false, min_length: undefined },
+    ],
+  };
+  assert.equal((await sync.diff([local])).unchanged.length, 1);
+});
+
+test('fields with varying server defaults only count when set locally', async () => {
+  const { sync } = syncWith([remote('1', { ...ping, contexts: [0, 1, 2], integration_types: [0, 1] })]);
+
+  assert.equal((await sync.diff([ping])).unchanged.length, 1);
+
+  const diff = await sync.diff([{ ...ping, contexts: [0] }]);
+  assert.deepEqual(diff.changed[0].changes, [{ path: 'contexts', before: [0, 1, 2], after: [0] }]);
+});
+
+test('an entry point command keeps the handler Discord defaulted', async () => {
+  const launch   = { name: 'launch', description: 'Launch', type: 4 };
+  const { sync } = syncWith([remote('1', { ...launch, handler: 2 })]);
+
+  assert.equal((await sync.diff([launch])).unchanged.length, 1);
+  assert.deepEqual((await sync.diff([{ ...launch, handler: 1 }])).changed[0].changes, [{ path: 'handler', before: 2, after: 1 }]);
+});
+
+test('changes are reported by option name, including order', async () => {
+  const { sync } = syncWith([remote('1', ban)]);
+
+  const local = {
+    ...ban,
+    description: 'Ban a member',
+    options:     [{ ...ban.options[1], required: true }, ban.options[0], { type: 4, name: 'days', description: 'Days' }],
+  };
+  const { changed } = await sync.diff([local]);
+  assert.deepEqual(changed[0].changes.map(c => c.path), [
+    'description',
+    'options.reason.required',
+    'options.days',
+    'options[order]',
+  ]);
+  assert.deepEqual(changed[0].changes.at(-1), { path: 'options[order]', before: ['user', 'reason'], after: ['reason', 'user'] });
+});
+
+test('commands are matched by type and name', async () => {
+  const { sync } = syncWith([remote('1', { name: 'Report', type: 2, description: '' }), remote('2', { ...ping, name: 'Report' })]);
+
+  const diff = await sync.diff([{ name: 'Report', type: 2 }]);
+  assert.deepEqual(diff.unchanged.map(c => c.id), ['1']);
+  assert.deepEqual(diff.removed.map(c => c.id), ['2']);
+});
+
+test('deploy() posts, patches and deletes only what differs', async () => {
+  const { sync, writes } = syncWith([remote('1', ping), remote('2', ban), remote('3', { name: 'old', description: 'Old' })], { applicationId: 'other' });
+
+  const diff = await sync.deploy([{ ...ping, description: 'Pong!' }, ban, { name: 'new', description: 'New' }], { guildId: 'g' });
+  const base = '/applications/other/guilds/g/commands';
+  assert.deepEqual(writes(), [
+    { method: 'POST', endpoint: base, body: { name: 'new', description: 'New' } },
+    { method: 'PATCH', endpoint: `${base}/1`, body: { ...ping, description: 'Pong!' } },
+    { method: 'DELETE', endpoint: `${base}/3`, body: undefined },
+  ]);
+  assert.deepEqual(diff.unchanged.map(c => c.id), ['2']);
+});
+
+test('prune: false keeps commands that are no longer defined', async () => {
+  const { sync, writes } = syncWith([remote('1', ping), remote('3', { name: 'old', description: 'Old' })]);
+
+  const diff = await sync.deploy([ping], { prune: false });
+  assert.deepEqual(diff.removed, []);
+  assert.deepEqual(writes(), []);
+});
+
+test('a first deploy is one bulk PUT of every definition', async () => {
+  const router = new InteractionRouter({ warnings: false })
+    .command('ping', { data: ping }, () => {})
+    .userContext('Report', { data: { name: 'Report', type: 2 } }, () => {});
+  const { sync, writes } = syncWith([]);
+
+  const diff = await sync.deploy(router);
+  assert.equal(diff.added.length, 2);
+  assert.deepEqual(writes(), [{ method: 'PUT', endpoint: '/applications/app/commands', body: router.definitions() }]);
+});
+
+test('a dry run logs the diff and writes nothing', async () => {
+  const lines = [];
+  const { sync, writes } = syncWith([remote('1', ban), remote('3', { name: 'old', description: 'Old' })], { logger: (line) => lines.push(line) });
+
+  await sync.deploy([{ ...ban, description: 'Ban a member' }, ping], { dryRun: true, guildId: 'g' });
+  assert.deepEqual(writes(), []);
+  assert.equal(lines[0], [
+    'Commands (guild g):',
+    '  + /ping',
+    '  ~ /ban',
+    '      description: "Ban someone" → "Ban a member"',
+    '  - /old',
+    '  0 unchanged',
+  ].join('\n'));
+
+  assert.equal(CommandSync.format({ added: [], changed: [], removed: [], unchanged: [{}] }), 'Commands (global): up to date, 1 unchanged');
+});
+
+test('invalid input and a missing application ID are rejected', async () => {
+  await assert.rejects(syncWith([]).sync.deploy({}), { code: 'INVALID_FORM_BODY' });
+
+  const sync = new CommandSync({ token: 't' });
+  await assert.rejects(sync.fetch(), { code: 'CLIENT_NOT_READY' });
+});
@@ -0,0 +1,519 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { ConfirmationManager } from '../src/confirmations/ConfirmationManager.mjs';
+import { InteractionRouter } from '../src/routing/InteractionRouter.mjs';
+import { MemoryStore } from '../src/stores/MemoryStore.mjs';
+
+/** Components of a payload, rows flattened. */
+const controls = (payload) => payload.components.flatMap(row => row.toJSON?.().components ?? row.components);
+
+/**
+ * A component collector driven by hand. `collect()` runs the filter and the
+ * listeners and ends on `max` like discord.js; `stop('time')` plays a timeout.
+ */
+class FakeCollector extends EventEmitter {
+  constructor({ filter, max }) {
+    super();
+    this.filter    = filter;
+    this.max       = max;
+    this.collected = 0;
+    this.ended     = false;
+  }
+
+  async collect(interaction) {
+    if (this.ended || !this.filter(interaction)) return;
+    const handled = Promise.all(this.listeners('collect').map(fn => fn(interaction)));
+    if (++this.collected === this.max) this.stop('limit');
+    await handled;
+  }
+
+  stop(reason = 'user') {
+    if (this.ended) return;
+    this.ended = true;
+    this.emit('end', new Map(), reason);
+  }
+}
+
+/** A command interaction whose reply is a message with hand-driven collectors. */
+function command(userId = 'u1') {
+  const message = {
+    edits:      [],
+    collectors: [],
+    async edit(payload) { message.edits.push(payload); },
+    createMessageComponentCollector(options) {
+      const collector = new FakeCollector(options);
+      message.collectors.push(collector);
+      return collector;
+    },
+  };
+  return {
+    user:    { id: userId },
+    message,
+    edits:   [],
+    async reply(payload) { message.sent = payload; return message; },
+    async editReply(payload) { this.edits.push(payload); return message; },
+  };
+}
+
+/** Resolves with the prompt's newest collector once the prompt is up. */
+async function opened(interaction, count = 1) {
+  for (let i = 0; i < 20 && interaction.message.collectors.length < count; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  return interaction.message.collectors.at(-1);
+}
+
+/** A click that records how it was answered. */
+function click(customId, userId = 'u1', extra = {}) {
+  const sent = [];
+  const record = (method) => async (payload) => { sent.push({ method, payload }); };
+  return {
+    sent,
+    customId,
+    user:           { id: userId },
+    isAutocomplete: () => false,
+    update:         record('update'),
+    reply:          record('reply'),
+    deferUpdate:    record('deferUpdate'),
+    ...extra,
+  };
+}
+
+/** A router that lets handler errors fail the test. */
+const router = () => new InteractionRouter({ warnings: false }).onError((err) => { throw err; });
+
+// ─── Persistence ─────────────────────────────────────────────────────────────
+
+test('a persistent confirmation needs persist() and a registered handler', async () => {
+  const confirm = new ConfirmationManager();
+  await assert.rejects(confirm.ask(command(), { handler: 'ban' }), { code: 'PERSISTENCE_NOT_CONFIGURED' });
+
+  confirm.persist(router());
+  await assert.rejects(confirm.ask(command(), { handler: 'ban' }), { code: 'ROUTER_HANDLER_NOT_FOUND' });
+  await assert.rejects(confirm.ask(command(), { handler: 'ban', countdown: 1_000 }), { code: 'CONFIRMATION_INVALID_OPTIONS' });
+});
+
+test('persist() routes each router once and keeps its store', async () => {
+  const store   = new MemoryStore();
+  const app     = router();
+  const confirm = new ConfirmationManager().persist(app, { store }).persist(app);
+  assert.equal(app.routes().length, 1);
+  assert.equal(confirm._store, store);
+
+  // Each manager has its own store
+  const other = new ConfirmationManager().persist(router());
+  assert.notEqual(other._store, store);
+});
+
+test('a persistent answer reaches its handler after a restart', async () => {
+  const store = new MemoryStore();
+  const calls = [];
+  const sender = new ConfirmationManager().persist(router(), { store }).register('ban', () => {});
+  const reply  = command();
+  assert.equal(await sender.ask(reply, { content: 'Ban?', handler: 'ban', data: { target: 'u9' } }), undefined);
+  const [yes] = controls(reply.message.sent);
+  assert.equal((await store.keys('forge:confirm:')).length, 1);
+
+  // A new process with the same store and handler name
+  const app     = router();
+  new ConfirmationManager().persist(app, { store }).register('ban', (i, result) => calls.push(result));
+  const yesClick = click(yes.custom_id);
+  assert.equal(await app.handle(yesClick), true);
+
+  assert.deepEqual(calls, [{ confirmed: true, data: { target: 'u9' } }]);
+  assert.deepEqual(yesClick.sent, [{ method: 'update', payload: { content: '✅ Confirmed.', embeds: [], components: [] } }]);
+  assert.deepEqual(await store.keys('forge:confirm:'), []);
+});
+
+test('a persistent confirmation answers its owner once, and only its owner', async () => {
+  const calls   = [];
+  const app     = router();
+  const confirm = new ConfirmationManager().persist(app).register('ban', (i, result) => calls.push(result));
+  const reply   = command('owner');
+  await confirm.ask(reply, { handler: 'ban', updateReply: false });
+  const [, no] = controls(reply.message.sent);
+
+  const stranger = click(no.custom_id, 'stranger');
+  await app.handle(stranger);
+  assert.deepEqual(stranger.sent, [{ method: 'reply', payload: { content: '❌ This confirmation is not for you.', ephemeral: true } }]);
+
+  const owner = click(no.custom_id, 'owner');
+  await app.handle(owner);
+  assert.deepEqual(owner.sent, [{ method: 'deferUpdate', payload: undefined }]);
+  assert.deepEqual(calls, [{ confirmed: false, data: null }]);
+
+  // The state is gone, so a second click finds it expired
+  const again = click(no.custom_id, 'owner');
+  await app.handle(again);
+  assert.equal(again.sent[0].payload.content, '⏳ Timed out.');
+  assert.equal(calls.length, 1);
+});
+
+test('an expired persistent confirmation says so and runs nothing', async () => {
+  let ran = false;
+  const app     = router();
+  const confirm = new ConfirmationManager({ timedOutText: 'Too late.' }).persist(app).register('ban', () => { ran = true; });
+  const reply   = command();
+  await confirm.ask(reply, { handler: 'ban', timeout: 20 });
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  const late = click(controls(reply.message.sent)[0].custom_id);
+  await app.handle(late);
+  assert.deepEqual(late.sent, [{ method: 'update', payload: { content: 'Too late.', embeds: [], components: [] } }]);
+  assert.equal(ran, false);
+});
+
+// ─── choose() ────────────────────────────────────────────────────────────────
+
+test('choose() offers up to five buttons and resolves with the value picked', async () => {
+  const confirm = new ConfirmationManager();
+  const reply   = command();
+  const picked  = confirm.choose(reply, { content: 'Which?', choices: ['red', { label: 'Green', value: 'g' }, 'blue'] });
+  const collector = await opened(reply);
+
+  const buttons = controls(reply.message.sent);
+  assert.deepEqual(buttons.map(b => b.label), ['red', 'Green', 'blue']);
+
+  // Only the invoking user may answer
+  const stranger = click(buttons[1].custom_id, 'stranger');
+  await collector.collect(stranger);
+  assert.equal(stranger.sent[0].payload.content, '❌ This confirmation is not for you.');
+
+  await collector.collect(click(buttons[1].custom_id));
+  assert.equal(await picked, 'g');
+  assert.deepEqual(reply.message.edits, [{ content: '✅ Green', embeds: [], components: [] }]);
+});
+
+test('choose() switches to a select menu past five choices', async () => {
+  const confirm = new ConfirmationManager();
+  const reply   = command();
+  const choices = Array.from({ length: 7 }, (_, i) => ({ label: `Role ${i}`, value: `r${i}`, description: `#${i}` }));
+  const picked  = confirm.choose(reply, { choices, chosenText: (choice) => `Picked ${choice.value}` });
+  const collector = await opened(reply);
+
+  const [menu] = controls(reply.message.sent);
+  assert.equal(menu.options.length, 7);
+  assert.equal(menu.options[6].description, '#6');
+
+  await collector.collect(click(menu.custom_id, 'u1', { values: ['6'] }));
+  assert.equal(await picked, 'r6');
+  assert.equal(reply.message.edits[0].content, 'Picked r6');
+});
+
+test('choose() times out with CONFIRMATION_TIMED_OUT', async () => {
+  const confirm = new ConfirmationManager();
+  const reply   = command();
+  const picked  = confirm.choose(reply, { choices: ['a', 'b'] });
+  (await opened(reply)).stop('time');
+
+  await assert.rejects(picked, { code: 'CONFIRMATION_TIMED_OUT' });
+  assert.equal(reply.message.edits[0].content, '⏳ Timed out.');
+});
+
+test('choose() rejects empty, oversized and duplicate choices', async () => {
+  const confirm = new ConfirmationManager();
+  for (const choices of [[], Array(26).fill(0).map((_, i) => String(i)), ['a', 'a']]) {
+    await assert.rejects(confirm.choose(command(), { choices }), { code: 'CONFIRMATION_INVALID_OPTIONS' });
+  }
+});
+
+// ─── approve() ───────────────────────────────────────────────────────────────
+
+/** Start an approval and return its collector and the Approve / Deny customIds. */
+async function approval(options) {
+  const reply   = command('requester');
+  const result  = new ConfirmationManager().approve(reply, { content: 'Deploy?', ...options });
+  result.catch(() => {});   // asserted by the test, maybe after a rejection
+  const collector = await opened(reply);
+  const [yes, no] = controls(reply.message.sent).map(b => b.custom_id);
+  return { reply, result, collector, yes, no };
+}
+
+test('approve() resolves once the quorum of users approves', async () => {
+  const { reply, result, collector, yes } = await approval({ approvers: { users: ['a', 'b', 'c'] }, required: 2 });
+  assert.equal(reply.message.sent.content, 'Deploy?\n\nApproved 0/2');
+  assert.equal(reply.message.sent.ephemeral, false);
+
+  const first = click(yes, 'a');
+  await collector.collect(first);
+  assert.deepEqual(first.sent, [{ method: 'update', payload: { content: 'Deploy?\n\nApproved 1/2 · <@a>' } }]);
+
+  // Voting twice and voting without being an approver change nothing
+  const twice = click(yes, 'a');
+  await collector.collect(twice);
+  assert.equal(twice.sent[0].payload.content, 'You already voted.');
+  const outsider = click(yes, 'requester');
+  await collector.collect(outsider);
+  assert.equal(outsider.sent[0].payload.content, '❌ You are not one of the approvers.');
+
+  const second = click(yes, 'b');
+  await collector.collect(second);
+  assert.deepEqual(await result, { approved: true, approvedBy: ['a', 'b'], deniedBy: [] });
+  assert.equal(second.sent[0].payload.content, '✅ Confirmed.\n\nApproved 2/2 · <@a>, <@b>');
+  assert.ok(collector.ended);
+});
+
+test('approve() gives up as soon as the quorum is out of reach', async () => {
+  // Three users, two needed: the second denial decides it
+  const { result, collector, yes, no } = await approval({ approvers: { users: ['a', 'b', 'c'] }, required: 2 });
+  await collector.collect(click(no, 'a'));
+  await collector.collect(click(yes, 'b'));
+  assert.equal(collector.ended, false);
+
+  const last = click(no, 'c');
+  await collector.collect(last);
+  assert.deepEqual(await result, { approved: false, approvedBy: ['b'], deniedBy: ['a', 'c'] });
+  assert.equal(last.sent[0].payload.content, '❌ Cancelled.\n\nApproved 1/2 · <@b>\nDenied by <@a>, <@c>');
+});
+
+test('approve() with roles counts members holding them and denies at `required` denials', async () => {
+  const { result, collector, yes, no } = await approval({ approvers: { roles: ['mod'] }, required: 2 });
+  const mod = { member: { roles: ['mod'] } };
+
+  const member = click(yes, 'x', { member: { roles: ['member'] } });
+  await collector.collect(member);
+  assert.equal(member.sent[0].payload.content, '❌ You are not one of the approvers.');
+
+  await collector.collect(click(yes, 'm1', mod));
+  await collector.collect(click(no, 'm2', mod));
+  assert.equal(collector.ended, false);
+  await collector.collect(click(no, 'm3', { member: { roles: { cache: new Map([['mod', {}]]) } } }));
+  assert.deepEqual(await result, { approved: false, approvedBy: ['m1'], deniedBy: ['m2', 'm3'] });
+});
+
+test('approve() times out with the votes so far on the message', async () => {
+  const { reply, result, collector, yes } = await approval({ approvers: { users: ['a', 'b'] } });
+  await collector.collect(click(yes, 'a'));
+  collector.stop('time');
+
+  await assert.rejects(result, { code: 'CONFIRMATION_TIMED_OUT' });
+  assert.deepEqual(reply.message.edits, [{ content: '⏳ Timed out.\n\nApproved 1/2 · <@a>', embeds: [], components: [] }]);
+});
+
+test('approve() checks its approvers and quorum', async () => {
+  const confirm = new ConfirmationManager();
+  for (const options of [{}, { approvers: { users: [] } }, { approvers: { users: ['a'] }, required: 2 }, { approvers: { roles: ['r'] }, required: 0 }]) {
+    await assert.rejects(confirm.approve(command(), options), { code: 'CONFIRMATION_INVALID_OPTIONS' });
+  }
+});
+
+// ─── prompt() and signals ────────────────────────────────────────────────────
+
+test('prompt() resolves with the status, who answered and the click', async () => {
+  const confirm = new ConfirmationManager();
+  const reply   = command();
+  const result  = confirm.prompt(reply, { content: 'Sure?' });
+  const collector = await opened(reply);
+
+  const yes = click(controls(reply.message.sent)[0].custom_id);
+  await collector.collect(yes);
+  assert.deepEqual(await result, { status: 'confirmed', by: yes.user, interaction: yes });
+  assert.deepEqual(yes.sent, [{ method: 'deferUpdate', payload: undefined }]);
+  assert.equal(reply.message.edits[0].content, '✅ Confirmed.');
+});
+
+test('prompt() with updateReply: false hands the click back unanswered', async () => {
+  const confirm = new ConfirmationManager();
+  const reply   = command();
+  const result  = confirm.prompt(reply, { updateReply: false });
+  const collector = await opened(reply);
+
+  const no = click(controls(reply.message.sent)[1].custom_id);
+  await collector.collect(no);
+  assert.deepEqual(await result, { status: 'cancelled', by: no.user, interaction: no });
+  assert.deepEqual(no.sent, []);
+  assert.deepEqual(reply.message.edits, []);
+});
+
+test('prompt() reports a timeout instead of throwing', async () => {
+  const confirm = new ConfirmationManager();
+  const reply   = command();
+  const result  = confirm.prompt(reply);
+  (await opened(reply)).stop('time');
+
+  assert.deepEqual(await result, { status: 'timeout', by: null, interaction: null });
+  assert.equal(reply.message.edits[0].content, '⏳ Timed out.');
+});
+
+/** An AbortController whose signal counts its abort listeners. */
+function watchedSignal() {
+  const controller = new AbortController();
+  const { signal } = controller;
+  let listeners    = 0;
+  const add    = signal.addEventListener.bind(signal);
+  const remove = signal.removeEventListener.bind(signal);
+  signal.addEventListener    = (type, fn, options) => { listeners++; add(type, fn, options); };
+  signal.removeEventListener = (type, fn, options) => { listeners--; remove(type, fn, options); };
+  return { controller, signal, listeners: () => listeners };
+}
+
+test('an already aborted signal settles before anything is sent', async () => {
+  const confirm = new ConfirmationManager();
+  const reason  = new Error('gone');
+  const signal  = AbortSignal.abort(reason);
+
+  const reply = command();
+  assert.deepEqual(await confirm.prompt(reply, { signal }), { status: 'aborted', by: null, interaction: null });
+  await assert.rejects(confirm.ask(reply, { signal }), reason);
+  await assert.rejects(confirm.choose(reply, { choices: ['a'], signal }), reason);
+  await assert.rejects(confirm.approve(reply, { approvers: { users: ['a'] }, signal }), reason);
+  assert.equal(reply.message.sent, undefined);
+});
+
+test('aborting mid-wait removes the buttons and settles with the reason', async () => {
+  const confirm = new ConfirmationManager({ abortedText: 'Never mind.' });
+
+  const prompted = watchedSignal();
+  let reply      = command();
+  const result   = confirm.prompt(reply, { signal: prompted.signal });
+  await opened(reply);
+  prompted.controller.abort();
+  assert.deepEqual(await result, { status: 'aborted', by: null, interaction: null });
+  assert.deepEqual(reply.message.edits, [{ content: 'Never mind.', embeds: [], components: [] }]);
+  assert.equal(prompted.listeners(), 0);
+
+  const reason = new Error('superseded');
+  const asked  = watchedSignal();
+  reply        = command();
+  const answer = confirm.ask(reply, { signal: asked.signal });
+  await opened(reply);
+  asked.controller.abort(reason);
+  await assert.rejects(answer, reason);
+  assert.equal(asked.listeners(), 0);
+
+  const voted = watchedSignal();
+  reply       = command();
+  const votes = confirm.approve(reply, { approvers: { users: ['a'] }, signal: voted.signal });
+  await opened(reply);
+  voted.controller.abort(reason);
+  await assert.rejects(votes, reason);
+  assert.equal(reply.message.edits[0].content, 'Never mind.\n\nApproved 0/1');
+  assert.equal(voted.listeners(), 0);
+});
+
+test('an answered or timed out prompt lets go of its signal', async () => {
+  const confirm = new ConfirmationManager();
+
+  const answered = watchedSignal();
+  let reply      = command();
+  const result   = confirm.prompt(reply, { signal: answered.signal });
+  const collector = await opened(reply);
+  assert.equal(answered.listeners(), 1);
+  await collector.collect(click(controls(reply.message.sent)[0].custom_id));
+  await result;
+  assert.equal(answered.listeners(), 0);
+
+  const timedOut = watchedSignal();
+  reply          = command();
+  const picked   = confirm.choose(reply, { choices: ['a'], signal: timedOut.signal });
+  (await opened(reply)).stop('time');
+  await assert.rejects(picked, { code: 'CONFIRMATION_TIMED_OUT' });
+  assert.equal(timedOut.listeners(), 0);
+
+  // Aborting afterwards changes nothing
+  answered.controller.abort();
+  timedOut.controller.abort();
+  assert.equal(reply.message.edits.length, 1);
+});
+
+// ─── Safeguards ──────────────────────────────────────────────────────────────
+
+/** A click on Confirm whose modal is submitted with `typed`. */
+function typing(customId, typed, submitted = {}) {
+  const answer = click(customId);
+  answer.showModal        = async (modal) => { answer.modal = modal.toJSON(); };
+  answer.awaitModalSubmit = async ({ filter }) => {
+    const submit = click(answer.modal.custom_id, answer.user.id, {
+      fields: { getTextInputValue: (id) => id === 'phrase' ? typed : '' },
+      ...submitted,
+    });
+    assert.ok(filter(submit));
+    answer.submit = submit;
+    return submit;
+  };
+  return answer;
+}
+
+test('a mistyped phrase keeps the prompt open for another try', async () => {
+  const confirm = new ConfirmationManager();
+  const reply   = command();
+  const result  = confirm.ask(reply, { content: 'Delete the server?', phrase: 'delete my-server' });
+  const first   = await opened(reply);
+  const yesId   = controls(reply.message.sent)[0].custom_id;
+
+  const wrong = typing(yesId, 'delete my server');
+  await first.collect(wrong);
+  const second = await opened(reply, 2);
+  assert.equal(wrong.modal.components[0].components[0].placeholder, 'delete my-server');
+  assert.deepEqual(wrong.sent, []);   // showModal() was the answer
+  assert.deepEqual(wrong.submit.sent, [{ method: 'reply', payload: { content: '❌ That does not match, nothing was done.', ephemeral: true } }]);
+  assert.deepEqual(reply.message.edits, []);
+
+  // The same buttons listen again; surrounding spaces are forgiven
+  const right = typing(yesId, '  delete my-server ');
+  await second.collect(right);
+  assert.equal(await result, true);
+  assert.deepEqual(right.submit.sent, [{ method: 'deferUpdate', payload: undefined }]);
+  assert.equal(reply.message.edits[0].content, '✅ Confirmed.');
+});
+
+test('a phrase prompt survives a submit that cannot be acknowledged', async () => {
+  const confirm = new ConfirmationManager();
+  const reply   = command();
+  const result  = confirm.prompt(reply, { phrase: 'yes' });
+  const collector = await opened(reply);
+
+  const answer = typing(controls(reply.message.sent)[0].custom_id, 'yes', {
+    deferUpdate: async () => { throw new Error('Unknown interaction'); },
+  });
+  await collector.collect(answer);
+  assert.deepEqual(await result, { status: 'confirmed', by: answer.user, interaction: answer.submit });
+  assert.equal(reply.message.edits[0].content, '✅ Confirmed.');
+});
+
+test('Cancel needs no phrase', async () => {
+  const confirm = new ConfirmationManager();
+  const reply   = command();
+  const result  = confirm.ask(reply, { phrase: 'yes' });
+  const collector = await opened(reply);
+
+  const no = click(controls(reply.message.sent)[1].custom_id);
+  await collector.collect(no);
+  assert.equal(await result, false);
+  assert.deepEqual(no.sent, [{ method: 'deferUpdate', payload: undefined }]);
+});
+
+test('countdown keeps Confirm disabled until it has run out', async () => {
+  const confirm = new ConfirmationManager();
+  const reply   = command();
+  const result  = confirm.ask(reply, { countdown: 1_000 });
+  const collector = await opened(reply);
+
+  const [yes] = controls(reply.message.sent);
+  assert.equal(yes.label, 'Confirm (1)');
+  assert.equal(yes.disabled, true);
+
+  await new Promise(resolve => setTimeout(resolve, 1_100));
+  assert.equal(reply.edits.length, 1);
+  const [enabled] = controls(reply.edits[0]);
+  assert.equal(enabled.label, 'Confirm');
+  assert.equal(enabled.disabled, false);
+  assert.equal(enabled.custom_id, yes.custom_id);
+
+  await collector.collect(click(yes.custom_id));
+  assert.equal(await result, true);
+  assert.equal(reply.edits.length, 1);
+});
+
+test('phrase and countdown are checked, and refused where they do not apply', async () => {
+  const confirm = new ConfirmationManager();
+  const invalid = { code: 'CONFIRMATION_INVALID_OPTIONS' };
+
+  await assert.rejects(confirm.ask(command(), { phrase: '  ' }), invalid);
+  await assert.rejects(confirm.prompt(command(), { countdown: 30_000, timeout: 30_000 }), invalid);
+  await assert.rejects(confirm.choose(command(), { choices: ['a'], phrase: 'yes' }), invalid);
+  await assert.rejects(confirm.choose(command(), { choices: ['a'], countdown: 1_000 }), invalid);
+  await assert.rejects(confirm.approve(command(), { approvers: { users: ['a'] }, phrase: 'yes' }), invalid);
+  await assert.rejects(confirm.approve(command(), { approvers: { users: ['a'] }, countdown: 1_000 }), invalid);
+});
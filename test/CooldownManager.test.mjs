@@ -0,0 +1,270 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { CooldownManager } from '../src/cooldowns/CooldownManager.mjs';
+import { MemoryStore } from '../src/stores/MemoryStore.mjs';
+
+const manager = (options = {}) => new CooldownManager({ autoSweep: false, ...options });
+
+test('use() sets a cooldown and rejects while it lasts', async () => {
+  const cooldowns = manager();
+  await cooldowns.use('ban', 'u1', 10_000);
+
+  await assert.rejects(cooldowns.use('ban', 'u1', 10_000), { code: 'COOLDOWN_ACTIVE' });
+  const result = await cooldowns.check('ban', 'u1');
+  assert.equal(result.onCooldown, true);
+  assert.ok(result.remaining > 9_000 && result.remaining <= 10_000);
+  assert.equal((await cooldowns.check('ban', 'u2')).onCooldown, false);
+});
+
+test('a granted use() reports onCooldown: false with what is left after it', async () => {
+  const cooldowns = manager();
+
+  const fixed = await cooldowns.use('ban', 'u1', 10_000);
+  assert.equal(fixed.onCooldown, false);
+  assert.equal(fixed.usesLeft, 0);
+  assert.ok(fixed.nextIn > 9_000 && fixed.nextIn <= 10_000);
+
+  const limit = { uses: 2, per: 60_000 };
+  await cooldowns.use('search', 'u1', limit);
+  const last = await cooldowns.use('search', 'u1', limit);
+  assert.deepEqual({ ...last, nextIn: undefined }, { onCooldown: false, remaining: 0, remainingText: '0s', usesLeft: 0, nextIn: undefined });
+  assert.equal((await cooldowns.check('search', 'u1', limit)).onCooldown, true);
+});
+
+test('concurrent use() calls let exactly one through', async () => {
+  const cooldowns = manager();
+  const results   = await Promise.allSettled(Array.from({ length: 5 }, () => cooldowns.use('daily', 'u1', 60_000)));
+  assert.equal(results.filter(r => r.status === 'fulfilled').length, 1);
+});
+
+test('rate limits allow bursts up to the limit', async () => {
+  const cooldowns = manager();
+  const limit     = { uses: 3, per: 60_000 };
+  assert.equal((await cooldowns.use('search', 'u1', limit)).usesLeft, 2);
+  await cooldowns.use('search', 'u1', limit);
+  await cooldowns.use('search', 'u1', limit);
+  await assert.rejects(cooldowns.use('search', 'u1', limit), { code: 'COOLDOWN_ACTIVE' });
+});
+
+test('a plain Map still works as the store', async () => {
+  const map       = new Map();
+  const cooldowns = manager({ store: map });
+  await cooldowns.use('ban', 'u1', 10_000);
+  await assert.rejects(cooldowns.use('ban', 'u1', 10_000), { code: 'COOLDOWN_ACTIVE' });
+  assert.equal(map.size, 1);
+});
+
+test('stores without acquire() and keys() are rejected', () => {
+  assert.throws(() => manager({ store: { get() {}, set() {}, delete() {} } }), { code: 'STORE_INVALID_CONFIG' });
+});
+
+test('a fixed cooldown replaces a rate-limit state left on the same key', async () => {
+  const cooldowns = manager();
+  await cooldowns.use('search', 'u1', { uses: 5, per: 60_000 });
+  await cooldowns.use('search', 'u1', 1_000);
+  assert.equal((await cooldowns.check('search', 'u1')).onCooldown, true);
+  assert.equal((await cooldowns.use('search', 'u2', { uses: 5, per: 60_000 })).usesLeft, 4);
+});
+
+test('rule middleware resolves the subcommand path', async () => {
+  const cooldowns = manager();
+  cooldowns.define('mod ban', { limit: 10_000 });
+  cooldowns.define('mod', { limit: 10_000 });
+
+  const interaction = (subcommand) => ({
+    commandName: 'mod',
+    user:        { id: 'u1' },
+    options:     { getSubcommandGroup: () => null, getSubcommand: () => subcommand },
+  });
+  const run = (i) => cooldowns.middleware()(i, {}, async () => {});
+
+  await run(interaction('ban'));
+  await assert.rejects(run(interaction('ban')), { code: 'COOLDOWN_ACTIVE' });
+  await run(interaction('kick'));   // falls back to the "mod" rule, which is separate
+  assert.deepEqual(cooldowns.stats('mod ban'), { hits: 1, misses: 1, bypassed: 0 });
+  assert.deepEqual(cooldowns.stats('mod'), { hits: 0, misses: 1, bypassed: 0 });
+});
+
+test('cooldowns in a pre-async Map keep running and still expire', async () => {
+  const now = Date.now();
+  const map = new Map([
+    ['forge:cd:ban:u1', now + 10_000],
+    ['forge:cd:ban:u2', now - 1_000],
+    ['forge:cd:kick:u1', now - 1_000],
+  ]);
+  const cooldowns = manager({ store: map });
+
+  const active = await cooldowns.check('ban', 'u1');
+  assert.equal(active.onCooldown, true);
+  assert.equal(active.expiry, now + 10_000);
+  await assert.rejects(cooldowns.use('ban', 'u1', 10_000), { code: 'COOLDOWN_ACTIVE' });
+  assert.equal((await cooldowns.check('ban', 'u2')).onCooldown, false);
+
+  assert.equal(await cooldowns.sweep(), 1);
+  assert.deepEqual([...map.keys()], ['forge:cd:ban:u1']);
+});
+
+test('contention is its own error and not counted as a hit', async () => {
+  // Every write loses the race, yet no entry is ever there to block
+  const store = new MemoryStore();
+  store.acquire = async () => false;
+  store.swap    = async () => false;
+  const cooldowns = manager({ store });
+
+  await assert.rejects(cooldowns.use('ban', 'u1', 10_000), { code: 'COOLDOWN_CONTENDED' });
+  await assert.rejects(cooldowns.use('search', 'u1', { uses: 2, per: 1_000 }), { code: 'COOLDOWN_CONTENDED' });
+  assert.deepEqual(cooldowns.stats(), {});
+});
+
+test('stats() counts hits, misses and bypasses per command', async () => {
+  const cooldowns = manager();
+  cooldowns.define('daily', { limit: 60_000, bypass: { users: ['admin'] } });
+  const as = (id) => ({ user: { id }, member: null, guildId: null, channelId: 'c' });
+
+  await cooldowns.use('ban', 'u1', 1_000);
+  await cooldowns.use('ban', 'u1', 1_000).catch(() => {});
+  await cooldowns.useRule('daily', as('admin'));
+  await cooldowns.useRule('daily', as('u1'));
+
+  assert.deepEqual(cooldowns.stats('ban'), { hits: 1, misses: 1, bypassed: 0 });
+  assert.deepEqual(cooldowns.stats(), {
+    ban:   { hits: 1, misses: 1, bypassed: 0 },
+    daily: { hits: 0, misses: 1, bypassed: 1 },
+  });
+  assert.deepEqual(cooldowns.stats('unused'), { hits: 0, misses: 0, bypassed: 0 });
+
+  cooldowns.resetStats('ban');
+  assert.deepEqual(Object.keys(cooldowns.stats()), ['daily']);
+  cooldowns.resetStats();
+  assert.deepEqual(cooldowns.stats(), {});
+});
+
+test('list() filters by command and entity, soonest first', async () => {
+  const cooldowns = manager();
+  await cooldowns.use('ban', 'user_1', 20_000);
+  await cooldowns.use('kick', '1', 10_000);
+  await cooldowns.use('ban', 'user_2', 5_000);
+  await cooldowns.use('mod ban', 'guild_9', 30_000);
+
+  const all = await cooldowns.list();
+  assert.deepEqual(all.map(e => `${e.command}:${e.entityId}`), ['ban:user_2', 'kick:1', 'ban:user_1', 'mod ban:guild_9']);
+  assert.ok(all[0].remaining > 4_000 && all[0].remaining <= 5_000);
+  assert.equal(typeof all[0].remainingText, 'string');
+
+  assert.deepEqual((await cooldowns.list({ command: 'ban' })).map(e => e.entityId), ['user_2', 'user_1']);
+  // A bare ID also finds its scoped form
+  assert.deepEqual((await cooldowns.list({ entityId: '1' })).map(e => e.command), ['kick', 'ban']);
+  assert.deepEqual((await cooldowns.list({ entityId: 'user_1' })).map(e => e.command), ['ban']);
+});
+
+test('resetEntity() removes one entity across commands', async () => {
+  const cooldowns = manager();
+  await cooldowns.use('ban', 'user_1', 10_000);
+  await cooldowns.use('kick', 'user_1', 10_000);
+  await cooldowns.use('kick', 'user_2', 10_000);
+
+  assert.equal(await cooldowns.resetEntity('1'), 2);
+  assert.deepEqual((await cooldowns.list()).map(e => e.entityId), ['user_2']);
+});
+
+test('extend() and reduce() shift fixed cooldowns', async () => {
+  const cooldowns = manager();
+  await cooldowns.use('ban', 'u1', 10_000);
+
+  const longer = await cooldowns.extend('ban', 'u1', 5_000);
+  assert.ok(longer.remaining > 14_000 && longer.remaining <= 15_000);
+  const shorter = await cooldowns.reduce('ban', 'u1', 12_000);
+  assert.ok(shorter.remaining > 2_000 && shorter.remaining <= 3_000);
+
+  assert.equal((await cooldowns.reduce('ban', 'u1', 5_000)).onCooldown, false);
+  assert.deepEqual(await cooldowns.list(), []);
+  // Nothing to extend
+  assert.equal((await cooldowns.extend('ban', 'u2', 5_000)).onCooldown, false);
+  assert.deepEqual(await cooldowns.list(), []);
+
+  await assert.rejects(cooldowns.extend('ban', 'u1', 0), { code: 'COOLDOWN_INVALID_DURATION' });
+});
+
+test('extend() and reduce() shift rate limits given the same limit', async () => {
+  const cooldowns = manager();
+  const limit     = { uses: 1, per: 10_000 };
+  await cooldowns.use('search', 'u1', limit);
+
+  await assert.rejects(cooldowns.extend('search', 'u1', 5_000), { code: 'COOLDOWN_INVALID_LIMIT' });
+  const longer = await cooldowns.extend('search', 'u1', 5_000, limit);
+  assert.ok(longer.remaining > 14_000 && longer.remaining <= 15_000);
+  assert.equal((await cooldowns.reduce('search', 'u1', 20_000, limit)).onCooldown, false);
+  assert.equal((await cooldowns.use('search', 'u1', limit)).usesLeft, 0);
+});
+
+test('export() and import() round-trip through JSON between stores', async () => {
+  const from = manager({ keyPrefix: 'a:' });
+  await from.use('ban', 'u1', 60_000);
+  await from.use('search', 'u1', { capacity: 3, every: 10_000 });
+  await from.set('forever', 'u1', 1_000);
+
+  const snapshot = JSON.parse(JSON.stringify(await from.export()));
+  assert.equal(snapshot.version, 1);
+  assert.deepEqual(snapshot.entries.map(e => e.key).sort(), ['ban:u1', 'forever:u1', 'search:u1']);
+
+  // Another prefix and store: keys are stored without the prefix
+  const store = new MemoryStore();
+  const to    = manager({ store, keyPrefix: 'b:' });
+  assert.equal(await to.import(snapshot), 3);
+  assert.deepEqual((await store.keys('b:')).sort(), ['b:ban:u1', 'b:forever:u1', 'b:search:u1']);
+  assert.equal((await to.check('ban', 'u1')).onCooldown, true);
+  assert.equal((await to.check('search', 'u1', { capacity: 3, every: 10_000 })).usesLeft, 2);
+});
+
+test('import() skips expired entries and rejects foreign data', async () => {
+  const cooldowns = manager();
+  const now       = Date.now();
+  const imported  = await cooldowns.import({
+    version: 1,
+    entries: [
+      { key: 'ban:u1', value: now + 60_000, expiresAt: now + 60_000 },
+      { key: 'ban:u2', value: now - 1, expiresAt: now - 1 },
+      { key: 'note:u1', value: 'kept', expiresAt: null },
+    ],
+  });
+
+  assert.equal(imported, 2);
+  assert.deepEqual((await cooldowns.list()).map(e => `${e.command}:${e.entityId}`), ['ban:u1', 'note:u1']);
+  await assert.rejects(cooldowns.import({ version: 2, entries: [] }), { code: 'COOLDOWN_INVALID_SNAPSHOT' });
+  await assert.rejects(cooldowns.import([]), { code: 'COOLDOWN_INVALID_SNAPSHOT' });
+});
+
+test('a snapshot file is restored on start and written on destroy()', async (t) => {
+  const dir  = await mkdtemp(join(tmpdir(), 'forge-cooldowns-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const path = join(dir, 'cooldowns.json');
+
+  // First start: no file yet
+  const first = manager({ snapshot: { path, interval: 0 } });
+  await first.use('daily', 'u1', 86_400_000);
+  await first.destroy();
+  assert.equal(JSON.parse(await readFile(path, 'utf8')).entries.length, 1);
+  assert.deepEqual(await readdir(dir), ['cooldowns.json']);
+
+  const second = manager({ snapshot: { path, interval: 0 } });
+  await assert.rejects(second.use('daily', 'u1', 86_400_000), { code: 'COOLDOWN_ACTIVE' });
+  await second.destroy();
+});
+
+test('a damaged snapshot file only warns', async (t) => {
+  const dir  = await mkdtemp(join(tmpdir(), 'forge-cooldowns-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const path = join(dir, 'cooldowns.json');
+  await writeFile(path, '{ not json');
+
+  const warned    = once(process, 'warning');
+  const cooldowns = manager({ snapshot: { path, interval: 0 } });
+  await cooldowns.ready;
+  assert.equal((await warned)[0].name, 'ForgeWarning');
+  assert.equal((await cooldowns.use('daily', 'u1', 1_000)).onCooldown, false);
+  await assert.rejects(manager().save(), { code: 'STORE_INVALID_CONFIG' });
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CustomIdCodec } from '../src/routing/CustomIdCodec.mjs';
+
+const codec = new CustomIdCodec('ban', {
+  userId: 'snowflake',
+  days:   'int',
+  ratio:  'number?',
+  silent: 'bool?',
+  mode:   ['soft', 'hard'],
+  reason: 'string?',
+});
+
+test('round-trips every field type', () => {
+  const params = { userId: '123456789012345678', days: -7, ratio: 0.25, silent: true, mode: 'hard', reason: 'spam: 100%' };
+  assert.deepEqual(codec.parse(codec.build(params)), params);
+});
+
+test('stores snowflakes and integers in base 36', () => {
+  assert.equal(codec.build({ userId: '123456789012345678', days: 35, mode: 'soft' }), 'ban:xrls1wq49ji:z:::0');
+});
+
+test('drops trailing missing optionals and parses them back as undefined', () => {
+  const id = new CustomIdCodec('x', { a: 'int', b: 'string?', c: 'int?' }).build({ a: 1 });
+  assert.equal(id, 'x:1');
+  assert.deepEqual(new CustomIdCodec('x', { a: 'int', b: 'string?', c: 'int?' }).parse(id), { a: 1, b: undefined, c: undefined });
+});
+
+test('keeps an empty string distinct from a missing value', () => {
+  const c = new CustomIdCodec('x', { a: 'string', b: 'string?', c: 'string?' });
+  assert.deepEqual(c.parse(c.build({ a: '' })), { a: '', b: undefined, c: undefined });
+  assert.deepEqual(c.parse(c.build({ a: 'x', b: '' })), { a: 'x', b: '', c: undefined });
+  assert.deepEqual(c.parse(c.build({ a: '%', c: '' })), { a: '%', b: undefined, c: '' });
+});
+
+test('rejects a missing required field', () => {
+  const c = new CustomIdCodec('x', { a: 'string', b: 'int' });
+  assert.throws(() => c.build({ a: 'y' }), { code: 'ROUTER_INVALID_PARAMS' });
+  assert.throws(() => c.parse('x:y'), { code: 'ROUTER_INVALID_PARAMS' });
+});
+
+test('rejects invalid values and malformed ids', () => {
+  assert.throws(() => codec.build({ userId: 'abc', days: 1, mode: 'soft' }), { code: 'ROUTER_INVALID_PARAMS' });
+  assert.throws(() => codec.build({ userId: '1', days: 1.5, mode: 'soft' }), { code: 'ROUTER_INVALID_PARAMS' });
+  assert.throws(() => codec.build({ userId: '1', days: 1, mode: 'medium' }), { code: 'ROUTER_INVALID_PARAMS' });
+  assert.throws(() => codec.parse('kick:1:1'), { code: 'ROUTER_INVALID_PARAMS' });
+  assert.throws(() => codec.parse('ban:1:1::::0:x:extra'), { code: 'ROUTER_INVALID_PARAMS' });
+});
+
+test('enforces the 100-character customId limit', () => {
+  const c = new CustomIdCodec('note', { text: 'string' });
+  assert.equal(c.build({ text: 'a'.repeat(95) }).length, 100);
+  assert.throws(() => c.build({ text: 'a'.repeat(96) }), { code: 'ROUTER_CUSTOM_ID_TOO_LONG' });
+});
+
+test('matches only its own ids', () => {
+  assert.ok(codec.matches('ban'));
+  assert.ok(codec.matches('ban:1'));
+  assert.ok(!codec.matches('banana:1'));
+});
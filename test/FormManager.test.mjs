@@ -0,0 +1,187 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FormManager } from '../src/forms/FormManager.mjs';
+
+/**
+ * A user who answers each modal with the next entry of `answers` (raw text by
+ * field key) and presses "Fix answers" whenever it is offered. Running out of
+ * answers is a timeout.
+ */
+function user(answers) {
+  const log = { modals: [], replies: [], deleted: 0 };
+
+  const opener = () => ({
+    user: { id: 'u1' },
+    async showModal(modal) { log.modals.push(modal.toJSON()); },
+    async awaitModalSubmit({ filter }) {
+      const values = answers[log.modals.length - 1];
+      if (!values) throw new Error('time');
+
+      const submit = {
+        customId: log.modals.at(-1).custom_id,
+        user:     { id: 'u1' },
+        fields:   { getTextInputValue: (key) => values[key] ?? '' },
+        async reply(payload) {
+          log.replies.push(payload);
+          return {
+            async awaitMessageComponent({ filter: pressed }) {
+              const button = { customId: payload.components[0].components[0].data.custom_id, user: { id: 'u1' } };
+              assert.ok(pressed(button));
+              return opener();
+            },
+          };
+        },
+        async deleteReply() { log.deleted++; },
+        async editReply() {},
+      };
+      assert.ok(filter(submit));
+      return submit;
+    },
+  });
+
+  return { interaction: opener(), log };
+}
+
+/** Ask once and return the error messages, or the values when valid. */
+async function errorsFor(fields, answers) {
+  const { interaction } = user([answers]);
+  try {
+    return (await new FormManager({ maxAttempts: 1 }).ask(interaction, { title: 'T', fields })).values;
+  } catch (err) {
+    assert.equal(err.code, 'FORM_INVALID');
+    return err.detail.split('; ');
+  }
+}
+
+test('the modal is built from the schema', async () => {
+  const { interaction, log } = user([{ name: 'Ann', bio: 'Hi' }]);
+  await new FormManager().ask(interaction, {
+    title:  'Profile',
+    fields: {
+      name: { label: 'Name', minLength: 2, maxLength: 32, placeholder: 'Your name' },
+      bio:  { style: 'paragraph', required: false, value: 'Hello' },
+    },
+  });
+
+  const [modal] = log.modals;
+  assert.equal(modal.title, 'Profile');
+  assert.match(modal.custom_id, /^forge_form_/);
+  assert.deepEqual(modal.components.map(row => row.components[0]), [
+    { type: 4, custom_id: 'name', label: 'Name', style: 1, required: true, placeholder: 'Your name', min_length: 2, max_length: 32 },
+    { type: 4, custom_id: 'bio', label: 'bio', style: 2, required: false, value: 'Hello' },
+  ]);
+});
+
+test('invalid schemas are rejected before anything is shown', async () => {
+  const { interaction, log } = user([]);
+  const forms = new FormManager();
+  const six   = Object.fromEntries([1, 2, 3, 4, 5, 6].map(n => [`f${n}`, {}]));
+
+  await assert.rejects(forms.ask(interaction, { title: 'T', fields: {} }), { code: 'FORM_INVALID_SCHEMA' });
+  await assert.rejects(forms.ask(interaction, { title: 'T', fields: six }), { code: 'FORM_INVALID_SCHEMA' });
+  await assert.rejects(forms.ask(interaction, { title: 'T', fields: { a: { type: 'bool' } } }), { code: 'FORM_INVALID_SCHEMA' });
+  assert.equal(log.modals.length, 0);
+});
+
+test('each type is parsed from trimmed text', async () => {
+  const values = await errorsFor(
+    { s: {}, n: { type: 'number' }, i: { type: 'int' }, d: { type: 'date' }, o: { type: 'int', required: false } },
+    { s: '  text ', n: '-3.25', i: '42', d: '2025-12-31' },
+  );
+  assert.deepEqual(values, { s: 'text', n: -3.25, i: 42, d: new Date('2025-12-31'), o: undefined });
+});
+
+test('text that does not parse is reported per type', async () => {
+  const errors = await errorsFor(
+    { n: { type: 'number' }, i: { type: 'int' }, big: { type: 'int' }, d: { type: 'date' }, e: { type: 'number', label: 'Exp' } },
+    { n: 'abc', i: '1.5', big: '9007199254740993', d: 'someday', e: '1e3' },
+  );
+  assert.deepEqual(errors, [
+    '**n** must be a number',
+    '**i** must be a whole number',
+    '**big** must be a whole number',
+    '**d** must be a date, e.g. 2025-12-31',
+    '**Exp** must be a number',
+  ]);
+});
+
+test('required, length and pattern checks', async () => {
+  const errors = await errorsFor({
+    missing: {},
+    short:   { minLength: 3 },
+    long:    { maxLength: 3 },
+    code:    { pattern: /^[A-Z]{3}$/ },
+  }, { short: 'ab', long: 'abcd', code: 'abc' });
+
+  assert.deepEqual(errors, [
+    '**missing** is required',
+    '**short** must be at least 3 characters',
+    '**long** must be at most 3 characters',
+    '**code** is not in the expected format',
+  ]);
+});
+
+test('min and max bound numbers and dates', async () => {
+  const errors = await errorsFor({
+    low:   { type: 'int', min: 1 },
+    high:  { type: 'number', max: 10 },
+    early: { type: 'date', min: new Date('2025-01-01') },
+  }, { low: '0', high: '10.5', early: '2024-06-01' });
+
+  assert.deepEqual(errors, [
+    '**low** must be at least 1',
+    '**high** must be at most 10',
+    '**early** must be at least 2025-01-01',
+  ]);
+});
+
+test('bounds are inclusive', async () => {
+  const values = await errorsFor({ n: { type: 'int', min: 1, max: 3 }, s: { minLength: 2, maxLength: 2 } }, { n: '3', s: 'ab' });
+  assert.deepEqual(values, { n: 3, s: 'ab' });
+});
+
+test('custom validators and messages', async () => {
+  const errors = await errorsFor({
+    even:  { type: 'int', validate: (n) => n % 2 === 0 || 'must be even' },
+    other: { validate: (value, raw) => value !== raw.even },
+    named: { type: 'int', min: 5, message: 'needs 5 or more' },
+  }, { even: '3', other: '3', named: '1' });
+
+  assert.deepEqual(errors, ['**even** must be even', '**other** is invalid', '**named** needs 5 or more']);
+});
+
+test('invalid answers can be fixed in a prefilled modal', async () => {
+  const { interaction, log } = user([{ age: 'ten', name: 'Ann' }, { age: '10', name: 'Ann' }]);
+  const { values, interaction: submit } = await new FormManager().ask(interaction, {
+    title:  'T',
+    fields: { name: {}, age: { type: 'int' } },
+  });
+
+  assert.deepEqual(values, { name: 'Ann', age: 10 });
+  assert.equal(submit.customId, log.modals[1].custom_id);
+  assert.equal(log.modals.length, 2);
+  assert.deepEqual(log.modals[1].components.map(row => row.components[0].value), ['Ann', 'ten']);
+
+  const [retry] = log.replies;
+  assert.equal(retry.ephemeral, true);
+  assert.equal(retry.embeds[0].data.description, '**age** must be a whole number');
+  assert.equal(retry.components[0].components[0].data.label, 'Fix answers');
+  assert.equal(log.deleted, 1);
+});
+
+test('maxAttempts invalid submissions reject with FORM_INVALID', async () => {
+  const { interaction, log } = user([{ age: 'x' }, { age: 'y' }]);
+
+  await assert.rejects(
+    new FormManager({ maxAttempts: 2 }).ask(interaction, { title: 'T', fields: { age: { type: 'int' } } }),
+    { code: 'FORM_INVALID', detail: '**age** must be a whole number' },
+  );
+  assert.equal(log.modals.length, 2);
+  // The last reply only lists the errors
+  assert.equal(log.replies.at(-1).components, undefined);
+});
+
+test('no submission in time rejects with FORM_TIMED_OUT', async () => {
+  const { interaction } = user([]);
+  await assert.rejects(new FormManager().ask(interaction, { title: 'T', fields: { a: {} } }), { code: 'FORM_TIMED_OUT' });
+});
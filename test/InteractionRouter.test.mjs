@@ -0,0 +1,309 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter, once } from 'node:events';
+import { InteractionRouter } from '../src/routing/InteractionRouter.mjs';
+import { ForgeError, ForgeErrorCode } from '../src/errors/ForgeError.mjs';
+
+/** Route `customId` and report which handler ran, with its params. */
+async function dispatch(router, customId) {
+  let hit = null;
+  const interaction = { customId, isAutocomplete: () => false, _hit: (name, params) => { hit = { name, params }; } };
+  await router.handle(interaction);
+  return hit;
+}
+
+const handler = (name) => (interaction, params) => interaction._hit(name, params);
+
+test('exact ids win over globs and regexes registered earlier', async () => {
+  const router = new InteractionRouter({ warnings: false })
+    .on(/^page_.+$/, handler('regex'))
+    .on('page_*', handler('glob'))
+    .on('page_next', handler('exact'));
+
+  assert.equal((await dispatch(router, 'page_next')).name, 'exact');
+});
+
+test('globs rank above regexes, and the more specific glob first', async () => {
+  const router = new InteractionRouter({ warnings: false })
+    .on(/^ticket:(?<rest>.+)$/, handler('regex'))
+    .on('ticket:*', handler('short'))
+    .on('ticket:close_*', handler('long'));
+
+  assert.deepEqual(await dispatch(router, 'ticket:close_42'), { name: 'long', params: { wildcard: '42' } });
+  assert.equal((await dispatch(router, 'ticket:open')).name, 'short');
+});
+
+test('priority beats kind and specificity', async () => {
+  const router = new InteractionRouter({ warnings: false })
+    .on('menu_*_item', handler('specific'))
+    .on(/^menu_/, { priority: 5 }, handler('priority'));
+
+  assert.equal((await dispatch(router, 'menu_1_item')).name, 'priority');
+});
+
+test('equal routes keep registration order', async () => {
+  const router = new InteractionRouter({ warnings: false })
+    .on('a_*', handler('first'))
+    .on('*_b', handler('second'));
+
+  assert.equal((await dispatch(router, 'a_b')).name, 'first');
+});
+
+test('codec routes decode their params', async () => {
+  const router = new InteractionRouter({ warnings: false });
+  const ban    = router.define('ban', { userId: 'snowflake', days: 'int' }, handler('ban'));
+
+  const hit = await dispatch(router, ban.build({ userId: '123456789012345678', days: 7 }));
+  assert.deepEqual(hit, { name: 'ban', params: { userId: '123456789012345678', days: 7 } });
+});
+
+test('unmatched ids reach the fallback', async () => {
+  let fellBack = false;
+  const router = new InteractionRouter({ warnings: false })
+    .on('known', handler('known'))
+    .fallback(() => { fellBack = true; });
+
+  assert.equal(await router.handle({ customId: 'unknown', isAutocomplete: () => false }), false);
+  assert.ok(fellBack);
+});
+
+/** An interaction in the given acknowledgement state that records how it was answered. */
+function repliable(state = {}) {
+  const sent = [];
+  const record = (method) => async (payload) => { sent.push({ method, payload }); };
+  return {
+    sent,
+    customId:       'boom',
+    replied:        false,
+    deferred:       false,
+    isAutocomplete: () => false,
+    isRepliable:    () => true,
+    reply:          record('reply'),
+    editReply:      record('editReply'),
+    followUp:       record('followUp'),
+    ...state,
+  };
+}
+
+test('handler errors reach onError() with the route', async () => {
+  const seen   = [];
+  const router = new InteractionRouter({ warnings: false })
+    .on('boom', () => { throw new Error('kaboom'); })
+    .onError((err, interaction, route) => { seen.push([err.message, route.pattern]); });
+
+  assert.equal(await router.handle(repliable()), true);
+  assert.deepEqual(seen, [['kaboom', 'boom']]);
+});
+
+test('defaultErrorHandler answers according to the interaction state', async () => {
+  const error = new Error('kaboom');
+
+  for (const [state, method] of [[{}, 'reply'], [{ deferred: true }, 'editReply'], [{ replied: true, deferred: true }, 'followUp']]) {
+    const interaction = repliable(state);
+    await InteractionRouter.defaultErrorHandler(error, interaction);
+    assert.deepEqual(interaction.sent.map(s => s.method), [method], JSON.stringify(state));
+    assert.equal(interaction.sent[0].payload.embeds[0].data.title, '❌ Something went wrong');
+  }
+});
+
+test('defaultErrorHandler uses friendly text for known codes and skips what cannot be replied to', async () => {
+  const interaction = repliable();
+  await InteractionRouter.defaultErrorHandler(new ForgeError(ForgeErrorCode.COOLDOWN_ACTIVE, '3s remaining'), interaction);
+  assert.equal(interaction.sent[0].payload.embeds[0].data.title, '❌ On Cooldown');
+  assert.match(interaction.sent[0].payload.embeds[0].data.description, /\*\*3s\*\*/);
+  assert.equal(interaction.sent[0].payload.ephemeral, true);
+
+  const responses = [];
+  await InteractionRouter.defaultErrorHandler(new Error('x'), {
+    isAutocomplete: () => true, responded: false, respond: async (choices) => { responses.push(choices); },
+  });
+  assert.deepEqual(responses, [[]]);
+
+  const button = repliable({ isRepliable: () => false });
+  await InteractionRouter.defaultErrorHandler(new Error('x'), button);
+  assert.deepEqual(button.sent, []);
+});
+
+test('attach() surfaces a throwing onError() on the client, or as a warning', async () => {
+  const router = new InteractionRouter({ warnings: false })
+    .on('boom', () => { throw new Error('handler'); })
+    .onError(() => { throw new Error('onError'); });
+
+  const client = new EventEmitter();
+  router.attach(client);
+
+  const errored = once(client, 'error');
+  client.emit('interactionCreate', repliable());
+  assert.equal((await errored)[0].message, 'onError');
+
+  client.removeAllListeners('error');
+  const warned = once(process, 'warning');
+  client.emit('interactionCreate', repliable());
+  const [warning] = await warned;
+  assert.equal(warning.name, 'ForgeWarning');
+  assert.match(warning.message, /onError\(\) threw — Error: onError/);
+});
+
+test('definitions() keeps top-level-only fields off subcommand options', () => {
+  const router = new InteractionRouter({ warnings: false })
+    .command('mod', { data: { name: 'mod', description: 'Moderation', default_member_permissions: '4' } })
+    .command('mod ban', {
+      data: {
+        name:                       'ban',
+        description:                'Ban a member',
+        description_localizations:  { fr: 'Bannir un membre' },
+        options:                    [{ type: 6, name: 'user', description: 'Who', required: true }],
+        default_member_permissions: '4',
+        dm_permission:              false,
+        contexts:                   [0],
+        integration_types:          [0],
+        nsfw:                       false,
+      },
+    }, () => {})
+    .command('mod kick', () => {});
+
+  assert.deepEqual(router.definitions(), [{
+    name:                       'mod',
+    description:                'Moderation',
+    default_member_permissions: '4',
+    options: [{
+      type:                      1,
+      name:                      'ban',
+      description:               'Ban a member',
+      description_localizations: { fr: 'Bannir un membre' },
+      options:                   [{ type: 6, name: 'user', description: 'Who', required: true }],
+    }],
+  }]);
+});
+
+/** Middleware that logs `name` before and after the rest of the chain. */
+const trace = (log, name) => async (interaction, params, next) => {
+  log.push(`${name}>`);
+  await next();
+  log.push(`<${name}`);
+};
+
+test('global middleware wraps route middleware wraps the handler', async () => {
+  const log    = [];
+  const router = new InteractionRouter({ warnings: false })
+    .use(trace(log, 'global'))
+    .on('go', [trace(log, 'route')], () => log.push('handler'));
+
+  await dispatch(router, 'go');
+  assert.deepEqual(log, ['global>', 'route>', 'handler', '<route', '<global']);
+});
+
+test('middleware that does not call next() short-circuits the route', async () => {
+  const router = new InteractionRouter({ warnings: false })
+    .use(async (interaction, params, next) => { if (params.wildcard !== 'blocked') await next(); })
+    .on('item_*', handler('item'));
+
+  assert.equal(await dispatch(router, 'item_blocked'), null);
+  assert.equal((await dispatch(router, 'item_ok')).name, 'item');
+});
+
+test('calling next() twice is an error handled by onError()', async () => {
+  let caught;
+  const router = new InteractionRouter({ warnings: false })
+    .use(async (interaction, params, next) => { await next(); await next(); })
+    .on('go', () => {})
+    .onError((err) => { caught = err; });
+
+  await dispatch(router, 'go');
+  assert.equal(caught.code, 'ROUTER_INVALID_MIDDLEWARE');
+});
+
+test('invalid middleware is rejected at registration', () => {
+  assert.throws(() => new InteractionRouter().use('nope'), { code: 'ROUTER_INVALID_MIDDLEWARE' });
+});
+
+test('a mounted router matches the customId without its prefix', async () => {
+  const shop   = new InteractionRouter({ warnings: false }).on('buy_*', handler('buy'));
+  const router = new InteractionRouter({ warnings: false }).mount('eco:', shop);
+
+  assert.deepEqual(await dispatch(router, 'eco:buy_sword'), { name: 'buy', params: { wildcard: 'sword' } });
+  assert.equal(await dispatch(router, 'buy_sword'), null);
+});
+
+test('glob and regex prefixes merge their captures into the params', async () => {
+  const router = new InteractionRouter({ warnings: false })
+    .group('shop_*:', (shop) => shop.on('buy', handler('glob')))
+    .group(/^guild_(?<guildId>\d+):/, (guild) => guild.on('item_*', handler('regex')));
+
+  assert.deepEqual(await dispatch(router, 'shop_42:buy'), { name: 'glob', params: { wildcard: '42' } });
+  assert.deepEqual(await dispatch(router, 'guild_7:item_3'), { name: 'regex', params: { guildId: '7', wildcard: '3' } });
+});
+
+test('codecs under literal mounts build and parse full customIds', async () => {
+  const tickets = new InteractionRouter({ warnings: false });
+  const before  = tickets.define('close', { id: 'int' }, handler('close'));
+  const inner   = new InteractionRouter({ warnings: false });
+  tickets.mount('admin:', inner);
+
+  const router = new InteractionRouter({ warnings: false }).mount('ticket:', tickets);
+  const after  = inner.define('purge', { days: 'int?' }, handler('purge'));
+
+  assert.equal(before.build({ id: 35 }), 'ticket:close:z');
+  assert.equal(after.build({ days: 2 }), 'ticket:admin:purge:2');
+  assert.deepEqual(await dispatch(router, before.build({ id: 35 })), { name: 'close', params: { id: 35 } });
+  assert.deepEqual(await dispatch(router, after.build({})), { name: 'purge', params: { days: undefined } });
+  assert.deepEqual(before.parse('close:z'), { id: 35 });
+});
+
+test('middleware runs parent, mount, child global, then route', async () => {
+  const log   = [];
+  const child = new InteractionRouter({ warnings: false })
+    .use(trace(log, 'child'))
+    .on('go', [trace(log, 'route')], () => log.push('handler'));
+  const router = new InteractionRouter({ warnings: false })
+    .use(trace(log, 'parent'))
+    .mount('x:', child, [trace(log, 'mount')]);
+
+  await dispatch(router, 'x:go');
+  assert.deepEqual(log, ['parent>', 'mount>', 'child>', 'route>', 'handler', '<route', '<child', '<mount', '<parent']);
+});
+
+test('group middleware is shared by every route in the group', async () => {
+  const log    = [];
+  const router = new InteractionRouter({ warnings: false })
+    .group('ticket:', [trace(log, 'staff')], (tickets) => {
+      tickets.on('open', () => log.push('open'));
+      tickets.on('close_*', () => log.push('close'));
+    });
+
+  await dispatch(router, 'ticket:open');
+  await dispatch(router, 'ticket:close_1');
+  assert.deepEqual(log, ['staff>', 'open', '<staff', 'staff>', 'close', '<staff']);
+});
+
+test('a mounted router falls back to its parent\'s fallback and onError', async () => {
+  const seen  = [];
+  const child = new InteractionRouter({ warnings: false }).on('boom', () => { throw new Error('boom'); });
+  const router = new InteractionRouter({ warnings: false })
+    .mount('x:', child)
+    .fallback((interaction) => { seen.push(`fallback ${interaction.customId}`); })
+    .onError((err) => { seen.push(`error ${err.message}`); });
+
+  await dispatch(router, 'x:missing');
+  await dispatch(router, 'x:boom');
+  child.fallback(() => { seen.push('child fallback'); });
+  await dispatch(router, 'x:missing');
+  assert.deepEqual(seen, ['fallback x:missing', 'error boom', 'child fallback']);
+});
+
+test('slash commands of mounted routers are routed as-is', async () => {
+  let ran = null;
+  const child  = new InteractionRouter({ warnings: false }).command('ping', () => { ran = 'ping'; });
+  const router = new InteractionRouter({ warnings: false }).mount('x:', child);
+
+  const interaction = {
+    commandName:                 'ping',
+    isAutocomplete:              () => false,
+    isChatInputCommand:          () => true,
+    isUserContextMenuCommand:    () => false,
+    isMessageContextMenuCommand: () => false,
+    options:                     { getSubcommandGroup: () => null, getSubcommand: () => null },
+  };
+  assert.equal(await router.handle(interaction), true);
+  assert.equal(ran, 'ping');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { MemoryStore } from '../src/stores/MemoryStore.mjs';
+
+test('get, set and delete, with expiry', async () => {
+  const store = new MemoryStore();
+  await store.set('a', { n: 1 });
+  await store.set('b', 2, 20);
+  assert.deepEqual(await store.get('a'), { n: 1 });
+  assert.equal(await store.get('b'), 2);
+
+  await sleep(30);
+  assert.equal(await store.get('b'), undefined);
+  await store.delete('a');
+  assert.equal(await store.get('a'), undefined);
+});
+
+test('acquire() writes only when the key is missing or expired', async () => {
+  const store = new MemoryStore();
+  assert.equal(await store.acquire('k', 1, 20), true);
+  assert.equal(await store.acquire('k', 2, 20), false);
+  assert.equal(await store.get('k'), 1);
+
+  await sleep(30);
+  assert.equal(await store.acquire('k', 3), true);
+  assert.equal(await store.get('k'), 3);
+});
+
+test('concurrent acquire() calls have exactly one winner', async () => {
+  const store = new MemoryStore();
+  const won   = await Promise.all(Array.from({ length: 10 }, (_, i) => store.acquire('k', i, 1_000)));
+  assert.equal(won.filter(Boolean).length, 1);
+});
+
+test('swap() compares the current value as JSON', async () => {
+  const store = new MemoryStore();
+  await store.set('k', { tokens: 2, at: 5 });
+
+  assert.equal(await store.swap('k', { tokens: 1, at: 5 }, 'x'), false);
+  assert.equal(await store.swap('k', { tokens: 2, at: 5 }, { tokens: 1, at: 6 }), true);
+  assert.deepEqual(await store.get('k'), { tokens: 1, at: 6 });
+  // undefined expects the key to be absent
+  assert.equal(await store.swap('k', undefined, 'y'), false);
+  assert.equal(await store.swap('other', undefined, 'y'), true);
+});
+
+test('keys() and entries() list live entries under a prefix', async () => {
+  const store = new MemoryStore();
+  await store.set('cd:a', 1);
+  await store.set('cd:b', 2, 20);
+  await store.set('other', 3);
+  assert.deepEqual((await store.keys('cd:')).sort(), ['cd:a', 'cd:b']);
+
+  await sleep(30);
+  assert.deepEqual(await store.entries('cd:'), [{ key: 'cd:a', value: 1, expiresAt: null }]);
+  assert.equal(await store.sweep(), 1);
+});
+
+test('can be backed by an existing Map', async () => {
+  const map   = new Map();
+  const store = new MemoryStore(map);
+  await store.set('k', 1);
+  assert.equal(map.size, 1);
+});
@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPageSource } from '../src/pagination/PageSource.mjs';
+
+/** `{ count, fetch }` that records every index it was asked for. */
+function indexed(count) {
+  const fetched = [];
+  return {
+    fetched,
+    source: { count, fetch: async (i) => { fetched.push(i); return { content: `page ${i + 1}` }; } },
+  };
+}
+
+/** `{ next }` over `total` pages whose cursor is the next page number, recording the cursors used. */
+function cursored(total) {
+  const cursors = [];
+  return {
+    cursors,
+    source: {
+      start: 0,
+      next:  async (cursor) => {
+        cursors.push(cursor);
+        return { page: { content: `page ${cursor + 1}` }, cursor: cursor + 1 < total ? cursor + 1 : null };
+      },
+    },
+  };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('arrays are served as they are', async () => {
+  const pages  = [{ content: 'a' }, { content: 'b' }];
+  const source = createPageSource(pages);
+  assert.equal(source.count, 2);
+  assert.equal(await source.get(1), pages[1]);
+  assert.equal(await source.get(2), undefined);
+});
+
+test('unknown or malformed sources are rejected', () => {
+  for (const pages of [{}, 42, { count: -1, fetch() {} }, { count: 1.5, fetch() {} }]) {
+    assert.throws(() => createPageSource(pages), { code: 'PAGINATOR_INVALID_SOURCE' });
+  }
+});
+
+// ─── { count, fetch } ────────────────────────────────────────────────────────
+
+test('fetched pages are cached, least recently used evicted first', async () => {
+  const { source, fetched } = indexed(10);
+  const pages = createPageSource(source, { cacheSize: 2, prefetch: false });
+
+  await pages.get(0);
+  await pages.get(1);
+  await pages.get(0);   // 0 is now the most recent, so 1 goes next
+  await pages.get(2);
+  assert.deepEqual(fetched, [0, 1, 2]);
+  assert.equal(pages.peek(1), undefined);
+  assert.deepEqual(pages.peek(0), { content: 'page 1' });
+
+  await pages.get(1);
+  assert.deepEqual(fetched, [0, 1, 2, 1]);
+  assert.equal(await pages.get(10), undefined);
+  assert.equal(await pages.get(-1), undefined);
+  assert.equal(fetched.length, 4);
+});
+
+test('one page is never fetched twice at once, and failures are not cached', async () => {
+  let calls = 0;
+  const pages = createPageSource({
+    count: 2,
+    fetch: async () => {
+      if (++calls === 2) throw new Error('flaky');
+      return { content: `call ${calls}` };
+    },
+  }, { prefetch: false });
+
+  const [a, b] = await Promise.all([pages.get(0), pages.get(0)]);
+  assert.equal(a, b);
+  assert.equal(calls, 1);
+
+  await assert.rejects(pages.get(1), /flaky/);
+  assert.deepEqual(await pages.get(1), { content: 'call 3' });
+});
+
+test('prefetch loads the pages either side in the background', async () => {
+  const { source, fetched } = indexed(5);
+  const pages = createPageSource(source);
+  await pages.get(2);
+  pages.prefetch(2);
+  await settle();
+  assert.deepEqual([...fetched].sort(), [1, 2, 3]);
+
+  const quiet = indexed(5);
+  const off   = createPageSource(quiet.source, { prefetch: false });
+  off.prefetch(2);
+  await settle();
+  assert.deepEqual(quiet.fetched, []);
+});
+
+// ─── { next(cursor) } ────────────────────────────────────────────────────────
+
+test('cursor sources walk forward and learn their count at the last page', async () => {
+  const { source, cursors } = cursored(3);
+  const pages = createPageSource(source, { prefetch: false });
+  assert.equal(pages.count, null);
+  assert.equal(pages.known, 1);
+
+  assert.deepEqual(await pages.get(2), { content: 'page 3' });
+  assert.deepEqual(cursors, [0, 1, 2]);
+  assert.equal(pages.count, 3);
+  assert.equal(await pages.get(3), undefined);
+  assert.equal(cursors.length, 3);
+});
+
+test('going back to an evicted cursor page fetches it again from its own cursor', async () => {
+  const { source, cursors } = cursored(5);
+  const pages = createPageSource(source, { cacheSize: 2, prefetch: false });
+
+  await pages.get(4);
+  assert.deepEqual(cursors, [0, 1, 2, 3, 4]);
+  assert.equal(pages.peek(1), undefined);
+
+  // Only page 1 is fetched again, not the chain from the start
+  assert.deepEqual(await pages.get(1), { content: 'page 2' });
+  assert.deepEqual(cursors, [0, 1, 2, 3, 4, 1]);
+});
+
+test('asking past the end of a cursor source stops at the end', async () => {
+  const { source, cursors } = cursored(2);
+  const pages = createPageSource(source, { prefetch: false });
+  assert.equal(await pages.get(5), undefined);
+  assert.equal(pages.count, 2);
+  assert.deepEqual(cursors, [0, 1]);
+});
+
+// ─── Iterables ───────────────────────────────────────────────────────────────
+
+test('iterables read one page ahead to spot the last page', async () => {
+  let read = 0;
+  async function* generate() {
+    for (let i = 0; i < 3; i++) {
+      read++;
+      yield { content: `page ${i + 1}` };
+    }
+  }
+  const pages = createPageSource(generate());
+
+  assert.deepEqual(await pages.get(0), { content: 'page 1' });
+  assert.equal(read, 2);
+  assert.equal(pages.count, null);
+  assert.equal(pages.known, 2);
+
+  await pages.get(1);
+  assert.equal(read, 3);
+  assert.equal(pages.count, null);
+
+  // Reading ahead of the last page finds the iterator exhausted
+  await pages.get(2);
+  assert.equal(pages.count, 3);
+  assert.equal(await pages.get(3), undefined);
+  assert.equal(read, 3);
+
+  // Every page is kept, since iterators cannot rewind
+  assert.deepEqual(await pages.get(0), { content: 'page 1' });
+});
+
+test('concurrent reads from an iterable never skip a page', async () => {
+  const pages = createPageSource([1, 2, 3, 4].map(n => ({ content: String(n) }))[Symbol.iterator]());
+  const read  = await Promise.all([pages.get(2), pages.get(0), pages.get(1)]);
+  assert.deepEqual(read.map(page => page.content), ['3', '1', '2']);
+  assert.equal(await pages.get(3).then(page => page.content), '4');
+  assert.equal(pages.count, 4);
+});
@@ -0,0 +1,532 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter, once } from 'node:events';
+import { Paginator } from '../src/pagination/Paginator.mjs';
+import { InteractionRouter } from '../src/routing/InteractionRouter.mjs';
+import { MemoryStore } from '../src/stores/MemoryStore.mjs';
+
+const pages = (n) => Array.from({ length: n }, (_, i) => ({ content: `page ${i + 1}` }));
+
+/** Components of a classic payload, rows flattened. */
+const controls = (payload) => payload.components.flatMap(row => row.toJSON?.().components ?? row.components);
+
+/** customId of the button with this label: « ‹ › » ✕ by default. */
+const button = (payload, label) => controls(payload).find(c => c.label === label).custom_id;
+
+/**
+ * A component collector driven by hand: `collect()` runs the filter and the
+ * listeners like discord.js, `stop('time')` plays a timeout.
+ */
+class FakeCollector extends EventEmitter {
+  constructor({ filter }) {
+    super();
+    this.filter = filter;
+    this.ended  = false;
+  }
+
+  async collect(interaction) {
+    if (this.ended || !this.filter(interaction)) return;
+    await Promise.all(this.listeners('collect').map(fn => fn(interaction)));
+  }
+
+  stop(reason = 'user') {
+    if (this.ended) return;
+    this.ended = true;
+    this.emit('end', new Map(), reason);
+  }
+}
+
+/** A sent message that records its edits and hands out one collector. */
+function fakeMessage(sent) {
+  const message = {
+    sent,
+    edits:      [],
+    components: sent.components,
+    collector:  null,
+    async edit(payload) { message.edits.push(payload); message.components = payload.components; },
+    createMessageComponentCollector(options) { return (message.collector = new FakeCollector(options)); },
+  };
+  return message;
+}
+
+/** A command interaction whose reply is a fake message. */
+function command(userId = 'u1') {
+  const interaction = {
+    user:    { id: userId },
+    message: null,
+    async reply(payload) { return (interaction.message = fakeMessage(payload)); },
+    async editReply(payload) { return interaction.message.edit(payload); },
+  };
+  return interaction;
+}
+
+/** A click on a collector-driven paginator that records how it was answered. */
+function press(customId, userId = 'u1', extra = {}) {
+  const sent = [];
+  const record = (method) => async (payload) => { sent.push({ method, payload }); };
+  const interaction = {
+    sent,
+    customId,
+    user:        { id: userId },
+    message:     null,   // an ephemeral copy's message, once replied
+    deferUpdate: record('deferUpdate'),
+    followUp:    record('followUp'),
+    async reply(payload) {
+      sent.push({ method: 'reply', payload });
+      return (interaction.message = fakeMessage(payload));
+    },
+    async editReply(payload) { return interaction.message.edit(payload); },
+    ...extra,
+  };
+  return interaction;
+}
+
+/** A click on a persistent paginator as the router receives it. */
+function routed(customId, message, userId = 'u1') {
+  const sent = [];
+  return {
+    sent,
+    customId,
+    message,
+    user:           { id: userId },
+    isAutocomplete: () => false,
+    isModalSubmit:  () => false,
+    async update(payload) { sent.push({ method: 'update', payload }); message.components = payload.components; },
+    async reply(payload)  { sent.push({ method: 'reply', payload }); },
+  };
+}
+
+/** A router that lets handler errors fail the test. */
+const router = () => new InteractionRouter({ warnings: false }).onError((err) => { throw err; });
+
+// ─── Persistence ─────────────────────────────────────────────────────────────
+
+test('a persistent paginator needs persist() first', () => {
+  // Runs before any other test calls persist(): the store is process-wide
+  assert.throws(() => new Paginator(pages(2), { persistent: true }), { code: 'PERSISTENCE_NOT_CONFIGURED' });
+});
+
+test('persist() routes a router once and shares one store across routers', async () => {
+  const store = new MemoryStore();
+  const first = router();
+  Paginator.persist(first, { store });
+  Paginator.persist(first);
+  assert.equal(first.routes().length, 1);
+
+  // A second router in the same process reads the same store
+  const second = router();
+  Paginator.persist(second);
+  const reply = command();
+  await new Paginator(pages(3), { persistent: true }).reply(reply);
+
+  const next = button(reply.message.sent, '›');
+  const click = routed(next, reply.message);
+  assert.equal(await second.handle(click), true);
+  assert.equal(click.sent[0].payload.content, 'page 2');
+});
+
+test('a persistent paginator survives a restart through its store', async () => {
+  const store = new MemoryStore();
+  Paginator.persist(router(), { store });
+  const reply     = command();
+  const paginator = new Paginator(pages(3), { persistent: true, timeout: 60_000 });
+  await paginator.reply(reply);
+  const next = button(reply.message.sent, '›');
+
+  // A new process: only the store and the sent message are left
+  const restarted = router();
+  Paginator.persist(restarted, { store });
+  for (const expected of ['page 2', 'page 3']) {
+    const click = routed(next, reply.message);
+    await restarted.handle(click);
+    assert.equal(click.sent[0].payload.content, expected);
+  }
+
+  const state = await store.get(`forge:page:${paginator._id}`);
+  assert.equal(state.current, 2);
+  assert.equal(state.expiresAt, paginator._expiresAt);
+});
+
+test('an expired persistent paginator only freezes its buttons', async () => {
+  const store = new MemoryStore();
+  const app   = router();
+  Paginator.persist(app, { store });
+  const reply = command();
+  await new Paginator(pages(3), { persistent: true, timeout: 20 }).reply(reply);
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  const click = routed(button(reply.message.sent, '›'), reply.message);
+  await app.handle(click);
+
+  const [{ method, payload }] = click.sent;
+  assert.equal(method, 'update');
+  assert.equal(payload.content, undefined);
+  assert.ok(controls(payload).every(c => c.disabled));
+});
+
+test('a persistent paginator keeps other users out', async () => {
+  const app = router();
+  Paginator.persist(app, { store: new MemoryStore() });
+  const reply = command('owner');
+  await new Paginator(pages(3), { persistent: true }).reply(reply);
+
+  const click = routed(button(reply.message.sent, '›'), reply.message, 'stranger');
+  await app.handle(click);
+  assert.deepEqual(click.sent, [{ method: 'reply', payload: { content: '❌ This pagination is not for you.', ephemeral: true } }]);
+});
+
+test('stopping a persistent paginator deletes its state', async () => {
+  const store = new MemoryStore();
+  const app   = router();
+  Paginator.persist(app, { store });
+  const reply     = command();
+  const paginator = new Paginator(pages(3), { persistent: true });
+  await paginator.reply(reply);
+  
+  const stop = routed(button(reply.message.sent, '✕'), reply.message);
+  await app.handle(stop);
+  assert.ok(controls(stop.sent[0].payload).every(c => c.disabled));
+  assert.equal(await store.get(`forge:page:${paginator._id}`), undefined);
+
+  // Later clicks find nothing and just freeze the buttons
+  const next = routed(button(reply.message.sent, '›'), reply.message);
+  await app.handle(next);
+  assert.equal(next.sent[0].payload.content, undefined);
+});
+
+// ─── fromItems() ─────────────────────────────────────────────────────────────
+
+test('fromItems() keeps long titles within the embed limit, prefix included', async () => {
+  for (const preset of ['info', 'success', 'warning', 'error', 'loading']) {
+    const paginator = Paginator.fromItems(['a'], { title: 'x'.repeat(300), preset });
+    const { title } = (await paginator._source.get(0)).embeds[0].data;
+    assert.equal(title.length, 256);
+    assert.ok(title.endsWith('x…'));
+  }
+});
+
+// ─── Access ──────────────────────────────────────────────────────────────────
+
+test('an allow-list admits listed users and roles, cached or raw', async () => {
+  const app = router();
+  Paginator.persist(app, { store: new MemoryStore() });
+  const reply = command('owner');
+  await new Paginator(pages(3), { persistent: true, access: { users: ['friend'], roles: ['mod'] } }).reply(reply);
+  const next = button(reply.message.sent, '›');
+
+  const members = {
+    owner:    undefined,
+    friend:   undefined,
+    cached:   { roles: { cache: new Map([['mod', {}]]) } },
+    raw:      { roles: ['mod'] },
+    stranger: { roles: ['member'] },
+  };
+  const allowed = {};
+  for (const [userId, member] of Object.entries(members)) {
+    const click = routed(next, reply.message, userId);
+    click.member = member;
+    await app.handle(click);
+    allowed[userId] = click.sent[0].method === 'update';
+  }
+  assert.deepEqual(allowed, { owner: true, friend: true, cached: true, raw: true, stranger: false });
+});
+
+// ─── Collector-driven navigation ─────────────────────────────────────────────
+
+const NAV = {
+  first: 'forge_page_first',
+  prev:  'forge_page_prev',
+  next:  'forge_page_next',
+  last:  'forge_page_last',
+  stop:  'forge_page_stop',
+};
+
+/** Send `paginator` as u1's reply and collect what it emits. */
+async function start(paginator, userId = 'u1') {
+  const events = [];
+  for (const name of ['pageChange', 'end', 'denied']) {
+    paginator.on(name, (...args) => events.push([name, ...args]));
+  }
+  const reply = command(userId);
+  await paginator.reply(reply);
+  return { reply, message: reply.message, collector: reply.message.collector, events };
+}
+
+test('navigation emits pageChange with the page, the previous one and the click', async () => {
+  const { message, collector, events } = await start(new Paginator(pages(3)));
+
+  const next = press(NAV.next);
+  await collector.collect(next);
+  assert.deepEqual(next.sent, [{ method: 'deferUpdate', payload: undefined }]);
+  assert.equal(message.edits.at(-1).content, 'page 2');
+
+  const last = press(NAV.last);
+  await collector.collect(last);
+  // Past the end nothing moves, so nothing is emitted
+  await collector.collect(press(NAV.next));
+  assert.equal(message.edits.length, 2);
+
+  assert.deepEqual(events, [['pageChange', 1, 0, next], ['pageChange', 2, 1, last]]);
+});
+
+test('end reports why the paginator stopped and disables its buttons', async () => {
+  for (const [stop, reason] of [
+    [({ collector }) => collector.collect(press(NAV.stop)), 'user'],
+    [({ collector }) => collector.stop('time'), 'timeout'],
+    [({ paginator }) => paginator.stop(), 'manual'],
+  ]) {
+    const paginator = new Paginator(pages(2));
+    const started   = await start(paginator);
+    const ended     = once(paginator, 'end');
+    await stop({ ...started, paginator });
+
+    assert.deepEqual(await ended, [reason]);
+    assert.ok(controls(started.message.edits.at(-1)).every(c => c.disabled), reason);
+  }
+});
+
+test("'owner' mode turns everyone else away with denied", async () => {
+  const { message, collector, events } = await start(new Paginator(pages(2)), 'owner');
+
+  const stranger = press(NAV.next, 'stranger');
+  await collector.collect(stranger);
+  assert.deepEqual(stranger.sent, [{ method: 'reply', payload: { content: '❌ This pagination is not for you.', ephemeral: true } }]);
+  assert.deepEqual(events, [['denied', stranger]]);
+  assert.deepEqual(message.edits, []);
+});
+
+test("'anyone' and allow-list modes", async () => {
+  let { collector, events } = await start(new Paginator(pages(3), { access: 'anyone' }), 'owner');
+  await collector.collect(press(NAV.next, 'stranger'));
+  assert.deepEqual(events.map(([name]) => name), ['pageChange']);
+
+  ({ collector, events } = await start(new Paginator(pages(3), { access: { users: ['friend'], roles: ['mod'] } }), 'owner'));
+  await collector.collect(press(NAV.next, 'friend'));
+  await collector.collect(press(NAV.next, 'moderator', { member: { roles: ['mod'] } }));
+  await collector.collect(press(NAV.next, 'stranger', { member: { roles: [] } }));
+  assert.deepEqual(events.map(([name, ...args]) => name === 'denied' ? [name, args[0].user.id] : [name, args[0]]),
+    [['pageChange', 1], ['pageChange', 2], ['denied', 'stranger']]);
+});
+
+test("'independent' mode gives each user an ephemeral copy and leaves the shared message alone", async () => {
+  const paginator = new Paginator(pages(3), { access: 'independent' });
+  const { message, collector, events } = await start(paginator, 'owner');
+
+  const first = press(NAV.next, 'a');
+  await collector.collect(first);
+  assert.equal(first.sent[0].method, 'reply');
+  assert.equal(first.sent[0].payload.content, 'page 2');
+  assert.equal(first.sent[0].payload.ephemeral, true);
+  assert.deepEqual(message.edits, []);
+  assert.deepEqual(events, [['pageChange', 1, 0, first]]);
+
+  // The copy belongs to its user, who browses it on their own
+  const copy  = first.message.collector;
+  const other = press(NAV.next, 'b');
+  await copy.collect(other);
+  assert.equal(other.sent[0].payload.content, '❌ This pagination is not for you.');
+
+  const again = press(NAV.next, 'a');
+  await copy.collect(again);
+  assert.equal(first.message.edits.at(-1).content, 'page 3');
+  assert.deepEqual(events.slice(1), [['pageChange', 2, 1, again]]);
+
+  // Only the owner ends it for everyone, closing the copies too
+  await collector.collect(press(NAV.stop, 'a'));
+  assert.equal(collector.ended, false);
+  const ended = once(paginator, 'end');
+  await collector.collect(press(NAV.stop, 'owner'));
+  assert.deepEqual(await ended, ['user']);
+  assert.ok(copy.ended);
+});
+
+test('a page the source fails to load is reported to the user and on error', async () => {
+  const failure   = new Error('database down');
+  const paginator = new Paginator({ count: 3, fetch: async (i) => { if (i === 2) throw failure; return { content: `page ${i + 1}` }; } }, { prefetch: false });
+  const errors    = [];
+  paginator.on('error', (err, i) => errors.push([err, i]));
+  const { message, collector, events } = await start(paginator);
+
+  const last = press(NAV.last);
+  await collector.collect(last);
+  assert.deepEqual(last.sent[1], { method: 'followUp', payload: { content: '❌ That page could not be loaded.', ephemeral: true } });
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0][0].code, 'PAGINATOR_PAGE_FAILED');
+  assert.equal(errors[0][0].cause, failure);
+  assert.equal(errors[0][1], last);
+
+  // The paginator stays where it was
+  assert.deepEqual(message.edits, []);
+  assert.deepEqual(events, []);
+  await assert.rejects(paginator.goTo(2), { code: 'PAGINATOR_PAGE_FAILED' });
+});
+
+test('other failures reach error, or a warning, without blaming the page', async () => {
+  const paginator = new Paginator(pages(2));
+  const { collector } = await start(paginator);
+  const broken = new Error('Unknown interaction');
+  const click  = () => press(NAV.next, 'u1', { deferUpdate: async () => { throw broken; } });
+
+  const warned = once(process, 'warning');
+  const first  = click();
+  await collector.collect(first);
+  const [warning] = await warned;
+  assert.equal(warning.name, 'ForgeWarning');
+  assert.match(warning.message, /Unknown interaction/);
+  assert.deepEqual(first.sent, []);
+
+  const errors = [];
+  paginator.on('error', (err) => errors.push(err));
+  await collector.collect(click());
+  assert.deepEqual(errors, [broken]);
+});
+
+test("'independent' copies report their failures on the shared paginator", async () => {
+  const paginator = new Paginator({ count: 3, fetch: async (i) => { if (i === 2) throw new Error('gone'); return { content: `page ${i + 1}` }; } }, {
+    access:   'independent',
+    prefetch: false,
+  });
+  const errors = [];
+  paginator.on('error', (err, i) => errors.push([err.code, i.user.id]));
+  const { collector } = await start(paginator, 'owner');
+
+  const open = press(NAV.first, 'a');
+  await collector.collect(open);
+  const last = press(NAV.last, 'a');
+  await open.message.collector.collect(last);
+  assert.deepEqual(errors, [['PAGINATOR_PAGE_FAILED', 'a']]);
+  assert.equal(last.sent.at(-1).method, 'followUp');
+});
+
+// ─── Select and jump ─────────────────────────────────────────────────────────
+
+/** Select menu options of the paginator's current payload. */
+const selectOptions = (payload) => controls(payload).find(c => c.custom_id === 'forge_page_select').options;
+
+test('select options are labelled by title, with a fallback for empty ones', async () => {
+  const embed = (title) => ({ embeds: [{ title }] });
+  const { message } = await start(new Paginator([
+    embed('Rules'),
+    embed('   '),
+    { content: 'no embed' },
+    embed('From the embed'),
+  ], { select: true, titles: (page, i) => i === 0 ? 'Welcome' : undefined }));
+
+  const options = selectOptions(message.sent);
+  assert.deepEqual(options.map(o => o.label), ['Welcome', 'Page 2', 'Page 3', 'From the embed']);
+  assert.deepEqual(options.map(o => o.value), ['0', '1', '2', '3']);
+  assert.equal(options[1].description, 'Page 2 of 4');
+  assert.deepEqual(options.map(o => o.default), [true, false, false, false]);
+});
+
+test('past 25 pages the select shows a window around the current page', async () => {
+  const { message, collector, events } = await start(new Paginator(pages(40), { select: true, startPage: 30 }));
+
+  let options = selectOptions(message.sent);
+  assert.equal(options.length, 25);
+  assert.deepEqual([options[0].value, options.at(-1).value], ['15', '39']);
+  assert.equal(options.find(o => o.default).value, '30');
+
+  const pick = press('forge_page_select', 'u1', { values: ['2'] });
+  await collector.collect(pick);
+  assert.deepEqual(events, [['pageChange', 2, 30, pick]]);
+  options = selectOptions(message.edits.at(-1));
+  assert.deepEqual([options[0].value, options.at(-1).value], ['0', '24']);
+});
+
+/** A click on the page counter whose jump modal is submitted with `typed`. */
+function jumping(typed, userId = 'u1') {
+  const click = press('forge_page_jump', userId);
+  click.showModal        = async (modal) => { click.modal = modal.toJSON(); };
+  click.awaitModalSubmit = async ({ filter }) => {
+    const submit = press(click.modal.custom_id, userId, { fields: { getTextInputValue: () => typed } });
+    assert.ok(filter(submit));
+    return (click.submit = submit);
+  };
+  return click;
+}
+
+test('jump moves to the page typed into the modal', async () => {
+  const { message, collector, events } = await start(new Paginator(pages(3), { jump: true }));
+  assert.equal(controls(message.sent).find(c => c.custom_id === 'forge_page_jump').label, '1 / 3');
+
+  const click = jumping(' 3 ');
+  await collector.collect(click);
+  assert.equal(click.modal.components[0].components[0].label, 'Page (1–3)');
+  assert.deepEqual(click.submit.sent, [{ method: 'deferUpdate', payload: undefined }]);
+  assert.equal(message.edits.at(-1).content, 'page 3');
+  assert.deepEqual(events, [['pageChange', 2, 0, click.submit]]);
+});
+
+test('jump turns down numbers out of range and anything not a number', async () => {
+  const { message, collector, events } = await start(new Paginator(pages(3), { jump: true }));
+
+  for (const typed of ['0', '4', '-1', '2.5', 'two', '1e1', '']) {
+    const click = jumping(typed);
+    await collector.collect(click);
+    assert.deepEqual(click.submit.sent, [{ method: 'reply', payload: { content: '❌ Enter a page number between 1 and 3.', ephemeral: true } }], typed);
+  }
+  assert.deepEqual(message.edits, []);
+  assert.deepEqual(events, []);
+});
+
+test('jumping past the end of a lazy source finds its real length', async () => {
+  let calls  = 0;
+  const lazy = {
+    start: 0,
+    next:  async (cursor) => {
+      calls++;
+      return { page: { content: `page ${cursor + 1}` }, cursor: cursor < 2 ? cursor + 1 : null };
+    },
+  };
+  const { collector } = await start(new Paginator(lazy, { jump: true, prefetch: false }));
+
+  const click = jumping('9');
+  await collector.collect(click);
+  assert.equal(click.submit.sent[0].payload.content, '❌ Enter a page number between 1 and 3.');
+  assert.equal(calls, 3);
+});
+
+// ─── Layout ──────────────────────────────────────────────────────────────────
+
+const IS_COMPONENTS_V2 = 1 << 15;
+
+/** A Components V2 page: one container holding `texts` text displays. */
+const container = (texts = 1) => ({
+  components: [{ type: 17, components: Array.from({ length: texts }, (_, i) => ({ type: 10, content: `# Section ${i + 1}` })) }],
+});
+
+test('Components V2 pages get their controls inside the last container', async () => {
+  const page = container();
+  const { message } = await start(new Paginator([page, container()]));
+  const { components, flags } = message.sent;
+
+  assert.equal(flags & IS_COMPONENTS_V2, IS_COMPONENTS_V2);
+  assert.equal(components.length, 1);
+  assert.deepEqual(components[0].components.map(c => c.type), [10, 14, 1, 1]);
+  assert.deepEqual(components[0].components[2].components.map(c => c.custom_id), [
+    'forge_page_first', 'forge_page_prev', 'forge_page_count', 'forge_page_next', 'forge_page_last',
+  ]);
+  // The page itself is left as it was
+  assert.equal(page.components[0].components.length, 1);
+});
+
+test("controls: 'below' puts the rows after the page", async () => {
+  const { message } = await start(new Paginator([container(), container()], { controls: 'below' }));
+  assert.deepEqual(message.sent.components.map(c => c.type), [17, 1, 1]);
+  assert.equal(message.sent.components[0].components.length, 1);
+});
+
+test('pages the controls do not fit on throw PAGINATOR_TOO_MANY_COMPONENTS', async () => {
+  // Container, 31 texts, separator, then two rows holding six buttons: 1 + 31 + 1 + 2 + 6 = 41
+  await assert.rejects(new Paginator([container(31)]).reply(command()), (err) => {
+    assert.equal(err.code, 'PAGINATOR_TOO_MANY_COMPONENTS');
+    assert.match(err.message, /use 41 components; a message allows 40/);
+    return true;
+  });
+  await assert.doesNotReject(new Paginator([container(30)]).reply(command()));
+
+  // Classic messages: five action rows
+  const rows = Array.from({ length: 4 }, () => ({ type: 1, components: [{ type: 2, style: 1, label: 'x', custom_id: 'x' }] }));
+  await assert.rejects(new Paginator([{ content: 'a', components: rows }]).reply(command()), { code: 'PAGINATOR_TOO_MANY_COMPONENTS' });
+});
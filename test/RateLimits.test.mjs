@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileLimit } from '../src/cooldowns/RateLimits.mjs';
+
+/** Take `count` uses at `now`, threading the state through. */
+function takeMany(rule, state, now, count) {
+  let result;
+  for (let i = 0; i < count; i++) {
+    result = rule.take(state, now);
+    if (result.allowed) state = result.state;
+  }
+  return { ...result, state };
+}
+
+test('invalid limits are rejected', () => {
+  for (const limit of [undefined, {}, { uses: 0, per: 1_000 }, { uses: 1.5, per: 1_000 }, { uses: 2, per: 0 },
+    { capacity: 0, every: 1_000 }, { capacity: 2, every: -1 }, { capacity: 2, every: 1_000, refill: 0 }]) {
+    assert.throws(() => compileLimit(limit), { code: 'COOLDOWN_INVALID_LIMIT' }, JSON.stringify(limit));
+  }
+});
+
+test('sliding window allows `uses` within any `per`', () => {
+  const rule = compileLimit({ uses: 3, per: 1_000 });
+
+  let result = rule.take(undefined, 0);
+  assert.deepEqual(result, { allowed: true, state: [0], ttl: 1_000, info: { usesLeft: 2, nextIn: 1_000, remaining: 0 } });
+
+  result = takeMany(rule, result.state, 400, 2);
+  assert.deepEqual(result.state, [0, 400, 400]);
+  assert.equal(result.info.usesLeft, 0);
+  assert.equal(result.info.remaining, 600);
+
+  // Still full one millisecond before the first use leaves the window
+  assert.equal(rule.take(result.state, 999).allowed, false);
+  assert.deepEqual(rule.take(result.state, 999).info, { usesLeft: 0, nextIn: 1, remaining: 1 });
+
+  // At 1000 the first use has expired; the two at 400 block until 1400
+  result = rule.take(result.state, 1_000);
+  assert.equal(result.allowed, true);
+  assert.deepEqual(result.state, [400, 400, 1_000]);
+  assert.equal(rule.inspect(result.state, 1_000).remaining, 400);
+});
+
+test('sliding window shift() moves every use and drops expired ones', () => {
+  const rule = compileLimit({ uses: 2, per: 1_000 });
+
+  assert.deepEqual(rule.shift([0, 500], 300, 600), { state: [300, 800], ttl: 1_200 });
+  assert.deepEqual(rule.shift([0, 500], -200, 900), { state: [300], ttl: 400 });
+  assert.equal(rule.shift([0, 500], -600, 900), null);
+  assert.equal(rule.shift(undefined, 300, 600), null);
+});
+
+test('token bucket allows a burst of `capacity`, then refills continuously', () => {
+  const rule = compileLimit({ capacity: 3, refill: 1, every: 1_000 });
+
+  let result = takeMany(rule, undefined, 0, 3);
+  assert.deepEqual(result.state, { tokens: 0, at: 0 });
+  assert.equal(result.ttl, 3_000);
+  assert.deepEqual(result.info, { usesLeft: 0, nextIn: 1_000, remaining: 1_000 });
+
+  assert.equal(rule.take(result.state, 999).allowed, false);
+  assert.deepEqual(rule.inspect(result.state, 250).remaining, 750);
+
+  result = rule.take(result.state, 1_000);
+  assert.equal(result.allowed, true);
+  assert.deepEqual(result.state, { tokens: 0, at: 1_000 });
+
+  // Never fills past capacity
+  const { tokens, usesLeft, nextIn } = rule.inspect(result.state, 60_000);
+  assert.deepEqual({ tokens, usesLeft, nextIn }, { tokens: 3, usesLeft: 3, nextIn: 0 });
+});
+
+test('token bucket refill and every set the rate', () => {
+  const rule   = compileLimit({ capacity: 4, refill: 2, every: 1_000 });   // one token per 500ms
+  const result = takeMany(rule, undefined, 0, 4);
+  assert.equal(rule.inspect(result.state, 500).usesLeft, 1);
+  assert.equal(rule.inspect(result.state, 1_250).usesLeft, 2);
+  assert.equal(rule.inspect(result.state, 1_250).nextIn, 250);
+});
+
+test('token bucket shift() can owe tokens and returns null once full', () => {
+  const rule = compileLimit({ capacity: 2, every: 1_000 });
+  const full = rule.take(undefined, 0).state;   // { tokens: 1, at: 0 }
+
+  const owed = rule.shift(full, 2_000, 0);
+  assert.deepEqual(owed, { state: { tokens: -1, at: 0 }, ttl: 3_000 });
+  assert.deepEqual(rule.inspect(owed.state, 1_500), { tokens: 0.5, usesLeft: 0, nextIn: 500, remaining: 500 });
+
+  assert.equal(rule.shift(full, -1_000, 0), null);
+});
+
+test('a state of another shape reads as empty', () => {
+  const window = compileLimit({ uses: 2, per: 1_000 });
+  const bucket = compileLimit({ capacity: 2, every: 1_000 });
+
+  assert.equal(window.inspect({ tokens: 0, at: 0 }, 0).usesLeft, 2);
+  assert.equal(bucket.inspect([0, 0], 0).usesLeft, 2);
+  assert.equal(bucket.inspect(Date.now() + 5_000, 0).usesLeft, 2);
+});
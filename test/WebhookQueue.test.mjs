@@ -0,0 +1,202 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebhookQueue } from '../src/webhooks/WebhookQueue.mjs';
+import { ForgeError, ForgeErrorCode } from '../src/errors/ForgeError.mjs';
+
+/**
+ * A stand-in for ForgeRest that records each request and answers with
+ * `respond(call)`: a value, a thrown error, or a promise of either.
+ */
+function fakeRest(respond = () => ({ id: 'm' })) {
+  const calls = [];
+  return {
+    calls,
+    async request(method, endpoint, { body, onHeaders }) {
+      const call = { method, endpoint, body, at: Date.now(), onHeaders };
+      calls.push(call);
+      return respond(call, calls.length);
+    },
+  };
+}
+
+const send = (body, extra = {}) => ({ method: 'POST', route: 'POST', endpoint: '/webhooks/1/t', body, ...extra });
+
+const rateLimited = (retryAfter) => Object.assign(new ForgeError(ForgeErrorCode.RATE_LIMITED), { retryAfter });
+
+const headers = (remaining, resetAfter) => new Headers({
+  'x-ratelimit-remaining':   String(remaining),
+  'x-ratelimit-reset-after': String(resetAfter),
+});
+
+test('requests to one webhook run one at a time, in order', async () => {
+  let active = 0;
+  let most   = 0;
+  const rest = fakeRest(async (call) => {
+    most = Math.max(most, ++active);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    active--;
+    return call.body.content;
+  });
+  const queue = new WebhookQueue(rest);
+
+  const pushed = ['a', 'b', 'c'].map(content => queue.push('1', send({ content })));
+  assert.deepEqual(queue.stats('1'), { queued: 2, inFlight: 1, waitingFor: 0, sent: 0, retried: 0, coalesced: 0 });
+  await pushed[1];
+  assert.deepEqual(queue.stats('1'), { queued: 0, inFlight: 1, waitingFor: 0, sent: 2, retried: 0, coalesced: 0 });
+
+  assert.deepEqual(await Promise.all(pushed), ['a', 'b', 'c']);
+  assert.equal(most, 1);
+});
+
+test('an exhausted route waits for its reset instead of hitting a 429', async () => {
+  const rest  = fakeRest((call, n) => {
+    call.onHeaders(n === 1 ? headers(0, 0.05) : headers(4, 1));
+    return {};
+  });
+  const queue = new WebhookQueue(rest);
+
+  await queue.push('1', send({ content: 'a' }));
+  const stats = queue.stats('1');
+  assert.ok(stats.waitingFor > 0 && stats.waitingFor <= 50);
+
+  await queue.push('1', send({ content: 'b' }));
+  assert.ok(rest.calls[1].at - rest.calls[0].at >= 45);
+  // Other routes of the same webhook are not held back
+  await queue.push('1', send(undefined, { method: 'DELETE', route: 'DELETE', endpoint: '/webhooks/1/t/messages/m' }));
+  assert.equal(queue.stats('1').waitingFor, 0);
+});
+
+test('a 429 is retried after retryAfter, up to maxRetries', async () => {
+  let rest  = fakeRest((call, n) => { if (n === 1) throw rateLimited(30); return 'ok'; });
+  let queue = new WebhookQueue(rest);
+
+  const sent = queue.push('1', send({ content: 'a' }));
+  await new Promise(resolve => setTimeout(resolve, 10));
+  const stats = queue.stats('1');
+  assert.equal(stats.retried, 1);
+  assert.ok(stats.waitingFor > 0 && stats.waitingFor <= 30);
+
+  assert.equal(await sent, 'ok');
+  assert.equal(rest.calls.length, 2);
+  assert.ok(rest.calls[1].at - rest.calls[0].at >= 25);
+
+  rest  = fakeRest(() => { throw rateLimited(1); });
+  queue = new WebhookQueue(rest, { maxRetries: 2 });
+  await assert.rejects(queue.push('1', send({ content: 'a' })), { code: 'RATE_LIMITED' });
+  assert.equal(rest.calls.length, 3);
+});
+
+test('other errors reject only their own request', async () => {
+  const rest  = fakeRest((call) => { if (call.body.content === 'bad') throw new ForgeError(ForgeErrorCode.INVALID_FORM_BODY); return 'ok'; });
+  const queue = new WebhookQueue(rest);
+
+  const [bad, good] = await Promise.allSettled([queue.push('1', send({ content: 'bad' })), queue.push('1', send({ content: 'x' }))]);
+  assert.equal(bad.reason.code, 'INVALID_FORM_BODY');
+  assert.equal(rest.calls.length, 2);
+  assert.equal(good.value, 'ok');
+});
+
+test('coalesced sends merge into the one waiting before them', async () => {
+  let release;
+  const gate  = new Promise(resolve => { release = resolve; });
+  const rest  = fakeRest(async (call, n) => { if (n === 1) await gate; return call.body; });
+  const queue = new WebhookQueue(rest);
+
+  const first = queue.push('1', send({ content: 'in flight' }, { coalesce: true }));
+  const a     = queue.push('1', send({ content: 'a', embeds: [{ title: '1' }] }, { coalesce: true }));
+  const b     = queue.push('1', send({ content: 'b', embeds: [{ title: '2' }] }, { coalesce: true }));
+  assert.equal(a, b);
+  assert.deepEqual(queue.stats('1'), { queued: 1, inFlight: 1, waitingFor: 0, sent: 0, retried: 0, coalesced: 1 });
+
+  release();
+  assert.deepEqual(await first, { content: 'in flight' });
+  assert.deepEqual(await b, { content: 'a\nb', embeds: [{ title: '1' }, { title: '2' }] });
+  assert.equal(rest.calls.length, 2);
+});
+
+test('sends that differ or do not fit one message stay separate', async () => {
+  const cases = [
+    [{ content: 'a' }, { content: 'b' }, { coalesce: false }],
+    [{ content: 'a' }, { content: 'b', components: [] }, {}],
+    [{ content: 'a', username: 'x' }, { content: 'b', username: 'y' }, {}],
+    [{ content: 'a', allowed_mentions: { parse: [] } }, { content: 'b' }, {}],
+    [{ content: 'a'.repeat(1_500) }, { content: 'b'.repeat(500) }, {}],
+    [{ embeds: Array(6).fill({}) }, { embeds: Array(5).fill({}) }, {}],
+    [{ content: 'a' }, { content: 'b' }, { endpoint: '/webhooks/1/t?thread_id=2' }],
+  ];
+
+  for (const [first, second, extra] of cases) {
+    let release;
+    const gate  = new Promise(resolve => { release = resolve; });
+    const rest  = fakeRest(async (call, n) => { if (n === 1) await gate; return {}; });
+    const queue = new WebhookQueue(rest);
+
+    queue.push('1', send({ content: 'in flight' }));
+    queue.push('1', send(first, { coalesce: true }));
+    queue.push('1', send(second, { coalesce: true, ...extra }));
+    assert.equal(queue.stats('1').coalesced, 0, JSON.stringify([first, second, extra]).slice(0, 80));
+
+    release();
+    await queue.drain('1');
+    assert.equal(rest.calls.length, 3);
+  }
+});
+
+test('maxQueue rejects once that many requests are waiting', async () => {
+  let release;
+  const gate  = new Promise(resolve => { release = resolve; });
+  const queue = new WebhookQueue(fakeRest(() => gate), { maxQueue: 1 });
+
+  const running = queue.push('1', send({ content: 'a' }));
+  const waiting = queue.push('1', send({ content: 'b' }));
+  await assert.rejects(queue.push('1', send({ content: 'c' })), { code: 'WEBHOOK_QUEUE_FULL' });
+
+  release({});
+  await Promise.all([running, waiting]);
+});
+
+test('a body still being built keeps its place in line', async () => {
+  const rest  = fakeRest((call) => call.body.content);
+  const queue = new WebhookQueue(rest);
+
+  const slow   = new Promise(resolve => setTimeout(() => resolve({ content: 'first' }), 20));
+  const failed = Promise.reject(new ForgeError(ForgeErrorCode.WEBHOOK_INVALID_FILE));
+  const results = await Promise.allSettled([
+    queue.push('1', send(slow)),
+    queue.push('1', send(failed)),
+    queue.push('1', send({ content: 'third' })),
+  ]);
+
+  assert.deepEqual(results.map(r => r.value ?? r.reason.code), ['first', 'WEBHOOK_INVALID_FILE', 'third']);
+  assert.deepEqual(rest.calls.map(call => call.body.content), ['first', 'third']);
+});
+
+test('drain() waits for everything queued for the webhook', async () => {
+  const rest  = fakeRest(() => new Promise(resolve => setTimeout(resolve, 5, {})));
+  const queue = new WebhookQueue(rest);
+
+  assert.equal(await queue.drain('1'), undefined);
+  queue.push('1', send({ content: 'a' }));
+  queue.push('1', send({ content: 'b' }));
+  assert.deepEqual(queue.webhooks(), ['1']);
+  await queue.drain('1');
+  assert.equal(rest.calls.length, 2);
+});
+
+test('idle queues are dropped once their routes have reset', async () => {
+  const rest  = fakeRest((call) => {
+    call.onHeaders(call.endpoint === '/webhooks/2/t' ? headers(0, 0.03) : headers(4, 1));
+    return {};
+  });
+  const queue = new WebhookQueue(rest);
+
+  await queue.push('1', { ...send({ content: 'a' }), endpoint: '/webhooks/1/t' });
+  await queue.push('2', { ...send({ content: 'a' }), endpoint: '/webhooks/2/t' });
+  // Webhook 1 has requests left, webhook 2 must wait for its reset
+  assert.deepEqual(queue.webhooks(), ['2']);
+  assert.deepEqual(queue.stats('1'), { queued: 0, inFlight: 0, waitingFor: 0, sent: 0, retried: 0, coalesced: 0 });
+  assert.equal(queue.stats('2').sent, 1);
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(queue.webhooks(), []);
+});